@@ -1,5 +1,12 @@
+﻿using System.Collections.Concurrent;
+using System.Globalization;
+using System.Security.Cryptography;
 using System.Text;
+using System.Text.Json;
 using System.Text.Json.Serialization;
+using System.Threading.Channels;
+using System.Xml;
+using System.Xml.Linq;
 using Microsoft.Extensions.Options;
 using MySqlConnector;
 using PotMap.models;
@@ -10,16 +17,12 @@ const string AccessPasswordEnvVar = "POTMAP_ACCESS_PASSWORD";
 var builder = WebApplication.CreateBuilder(args);
 builder.WebHost.UseUrls("http://0.0.0.0:8001");
 
+// Optional: when set, "admin" can always sign in with this password (used to create the first editors).
 var accessPassword = Environment.GetEnvironmentVariable(AccessPasswordEnvVar);
 
-if (string.IsNullOrWhiteSpace(accessPassword))
-{
-    throw new InvalidOperationException($"Access password must be provided via environment variable '{AccessPasswordEnvVar}'.");
-}
-
 builder.Services.Configure<ApiSecurityOptions>(options =>
 {
-    options.AccessPassword = accessPassword;
+    options.AccessPassword = accessPassword?.Trim() ?? string.Empty;
 });
 
 var connectionString = Environment.GetEnvironmentVariable(ConnectionStringEnvVar);
@@ -31,6 +34,7 @@ if (string.IsNullOrWhiteSpace(connectionString))
 
 var dataSource = new MySqlDataSourceBuilder(connectionString).Build();
 builder.Services.AddSingleton(dataSource);
+builder.Services.AddSingleton<PoiEventHub>();
 
 builder.Services.ConfigureHttpJsonOptions(options =>
 {
@@ -47,10 +51,39 @@ app.MapPost("/api/data", async (
     ApiRequest request,
     MySqlDataSource dataSource,
     IOptions<ApiSecurityOptions> apiOptions,
+    PoiEventHub events,
     ILoggerFactory loggerFactory) =>
 {
     var logger = loggerFactory.CreateLogger("PotMap.Api");
-    return await ApiHandler.HandleAsync(request, dataSource, apiOptions.Value, logger);
+    return await ApiHandler.HandleAsync(request, dataSource, apiOptions.Value, events, logger);
+});
+
+// Icons uploaded in the type editor. The URL in types.image carries a hash of the icon, so a replaced
+// icon gets a new URL and each one can be cached for good.
+app.MapGet("/api/type-icons/{id:int}.svg", async (HttpContext context, int id, MySqlDataSource dataSource) =>
+{
+    var svg = await ApiHandler.ReadTypeIconAsync(dataSource, id);
+    if (svg is null)
+    {
+        return Results.NotFound();
+    }
+
+    context.Response.Headers.CacheControl = "public, max-age=31536000, immutable";
+    context.Response.Headers.ContentSecurityPolicy = "default-src 'none'; style-src 'unsafe-inline'";
+    return Results.Text(svg, "image/svg+xml");
+});
+
+// Server-sent events with every POI change on one map, so open pages update without reloading.
+app.MapGet("/api/events", async (HttpContext context, string? mapId, PoiEventHub events) =>
+{
+    var normalizedMapId = HexGuid.Normalize(mapId);
+    if (normalizedMapId is null)
+    {
+        return Results.Json(new ErrorEnvelope("mapId is required"), statusCode: StatusCodes.Status400BadRequest);
+    }
+
+    await events.StreamAsync(context, normalizedMapId);
+    return Results.Empty;
 });
 
 app.MapFallbackToFile("/index.html");
@@ -59,14 +92,78 @@ app.Run();
 
 static class ApiHandler
 {
-    private static readonly HashSet<string> MutatingActions = new(StringComparer.OrdinalIgnoreCase)
+    // Minimum role per protected action; actions not listed here are public.
+    private static readonly Dictionary<string, string> RequiredRoles = new(StringComparer.OrdinalIgnoreCase)
+    {
+        ["history"] = EditorRoles.Viewer,
+        ["create"] = EditorRoles.Editor,
+        ["update"] = EditorRoles.Editor,
+        ["delete"] = EditorRoles.Editor,
+        ["restore"] = EditorRoles.Editor,
+        ["batch"] = EditorRoles.Editor,
+        ["import"] = EditorRoles.Admin,
+        ["importcheck"] = EditorRoles.Admin,
+        ["duplicates"] = EditorRoles.Admin,
+        ["editors"] = EditorRoles.Admin,
+        ["saveeditor"] = EditorRoles.Admin,
+        ["revokeeditor"] = EditorRoles.Admin,
+        ["savecalibration"] = EditorRoles.Admin,
+        ["typeusage"] = EditorRoles.Admin,
+        ["createtype"] = EditorRoles.Admin,
+        ["updatetype"] = EditorRoles.Admin,
+        ["deletetype"] = EditorRoles.Admin,
+    };
+
+    private const int MaxTitleLength = 100;
+    private const int MaxNoteLength = 1000;
+    private const int MaxEditorLength = 64;
+    private const int MinPasswordLength = 8;
+    private const string BootstrapAdminName = "admin";
+    private const int DefaultHistoryLimit = 50;
+    private const int MaxHistoryLimit = 200;
+    private const int MaxCalibrationPoints = 16;
+    private const int MaxImportPois = 5000;
+    private const int MaxBatchOperations = 1000;
+    private const double DefaultDuplicateRadius = 15;
+    private const double MaxDuplicateRadius = 5000;
+    private const int MinSyncCodeLength = 12;
+    private const int MaxSyncChanges = 10000;
+    private const int MaxTypeNameLength = 64;
+    private const int MaxRespawnSeconds = 7 * 24 * 60 * 60;
+    private const string TypeIconRoute = "/api/type-icons";
+    // Matches the SET column in sql/009_type_diets.sql, in column order.
+    private static readonly string[] DietTags = { "herbivore", "carnivore", "aquatic" };
+
+    private static readonly JsonSerializerOptions SnapshotJsonOptions = new(JsonSerializerDefaults.Web);
+
+    private const string PoiColumns = @"LOWER(HEX(id)) AS id, LOWER(HEX(map_id)) AS map_id, type, x, y,
+                                        title, note, quantity, verified_at";
+
+    private static readonly Dictionary<string, MySqlDbType> DetailColumns = new()
+    {
+        ["title"] = MySqlDbType.VarChar,
+        ["note"] = MySqlDbType.VarChar,
+        ["quantity"] = MySqlDbType.Int32,
+        ["verified_at"] = MySqlDbType.DateTime,
+    };
+
+    private static readonly HashSet<string> MapAgnosticActions = new(StringComparer.OrdinalIgnoreCase)
     {
-        "create",
-        "update",
-        "delete",
+        "types",
+        "maps",
+        "login",
+        "logout",
+        "editors",
+        "saveeditor",
+        "revokeeditor",
+        "createsync",
+        "typeusage",
+        "createtype",
+        "updatetype",
+        "deletetype",
     };
 
-    public static async Task<IResult> HandleAsync(ApiRequest request, MySqlDataSource dataSource, ApiSecurityOptions securityOptions, ILogger logger)
+    public static async Task<IResult> HandleAsync(ApiRequest request, MySqlDataSource dataSource, ApiSecurityOptions securityOptions, PoiEventHub events, ILogger logger)
     {
         var action = request.Action?.Trim();
         if (string.IsNullOrWhiteSpace(action))
@@ -75,7 +172,7 @@ static class ApiHandler
         }
 
         action = action.ToLowerInvariant();
-        var requiresMapId = !string.Equals(action, "types", StringComparison.OrdinalIgnoreCase);
+        var requiresMapId = !MapAgnosticActions.Contains(action);
 
         string? normalizedMapId = null;
         if (requiresMapId)
@@ -87,24 +184,49 @@ static class ApiHandler
             }
         }
 
-        if (MutatingActions.Contains(action))
+        try
         {
-            var submittedCode = request.Code?.Trim();
-            if (string.IsNullOrEmpty(submittedCode) || !string.Equals(submittedCode, securityOptions.AccessPassword, StringComparison.Ordinal))
+            EditorSession? session = null;
+            if (RequiredRoles.TryGetValue(action, out var requiredRole))
             {
-                return Results.Json(new ErrorEnvelope("Access denied"), statusCode: StatusCodes.Status403Forbidden);
+                session = await FindSessionAsync(dataSource, request.Token);
+                if (session is null)
+                {
+                    return Results.Json(new ErrorEnvelope("Login required"), statusCode: StatusCodes.Status401Unauthorized);
+                }
+                if (!EditorRoles.Allows(session.Role, requiredRole))
+                {
+                    return Results.Json(new ErrorEnvelope("Access denied"), statusCode: StatusCodes.Status403Forbidden);
+                }
             }
-        }
+            var edit = new EditContext(session?.Name, request.ClientId, events);
 
-        try
-        {
             return action switch
             {
                 "list" => await HandleListAsync(dataSource, normalizedMapId!),
-                "create" => await HandleCreateAsync(dataSource, normalizedMapId!, request.Poi),
-                "update" => await HandleUpdateAsync(dataSource, normalizedMapId!, request.Poi),
-                "delete" => await HandleDeleteAsync(dataSource, normalizedMapId!, request.PoiId),
+                "create" => await HandleCreateAsync(dataSource, normalizedMapId!, request.Poi, edit),
+                "update" => await HandleUpdateAsync(dataSource, normalizedMapId!, request.Poi, edit),
+                "delete" => await HandleDeleteAsync(dataSource, normalizedMapId!, request.PoiId, edit),
+                "batch" => await HandleBatchAsync(dataSource, normalizedMapId!, request.Operations, edit),
+                "restore" => await HandleRestoreAsync(dataSource, normalizedMapId!, request.ChangeId, edit),
+                "import" => await HandleImportAsync(dataSource, normalizedMapId!, request.Pois, edit),
+                "importcheck" => await HandleImportCheckAsync(dataSource, normalizedMapId!, request.Pois),
+                "duplicates" => await HandleDuplicatesAsync(dataSource, normalizedMapId!, request.Radius),
+                "history" => await HandleHistoryAsync(dataSource, normalizedMapId!, request.PoiId, request.Limit),
                 "types" => await HandleTypesAsync(dataSource),
+                "maps" => await HandleMapsAsync(dataSource),
+                "typeusage" => await HandleTypeUsageAsync(dataSource),
+                "createtype" => await HandleCreateTypeAsync(dataSource, request.PoiType, edit),
+                "updatetype" => await HandleUpdateTypeAsync(dataSource, request.PoiType, edit),
+                "deletetype" => await HandleDeleteTypeAsync(dataSource, request.PoiType, edit),
+                "savecalibration" => await HandleSaveCalibrationAsync(dataSource, normalizedMapId!, request.Calibration),
+                "createsync" => await HandleCreateSyncAsync(dataSource, request.Sync),
+                "syncvisited" => await HandleSyncVisitedAsync(dataSource, normalizedMapId!, request.Sync),
+                "login" => await HandleLoginAsync(dataSource, securityOptions, request.Editor),
+                "logout" => await HandleLogoutAsync(dataSource, request.Token),
+                "editors" => await HandleEditorsAsync(dataSource),
+                "saveeditor" => await HandleSaveEditorAsync(dataSource, request.Editor, session!),
+                "revokeeditor" => await HandleRevokeEditorAsync(dataSource, request.Editor, session!),
                 _ => Results.Json(new ErrorEnvelope("Unsupported action"), statusCode: StatusCodes.Status400BadRequest),
             };
         }
@@ -122,7 +244,7 @@ static class ApiHandler
 
     private static async Task<IResult> HandleListAsync(MySqlDataSource dataSource, string mapId)
     {
-        const string sql = @"SELECT LOWER(HEX(id)) AS id, LOWER(HEX(map_id)) AS map_id, type, x, y
+        const string sql = $@"SELECT {PoiColumns}
                               FROM pois
                               WHERE map_id = UNHEX(@mapId)
                               ORDER BY id";
@@ -136,133 +258,1931 @@ static class ApiHandler
         await using var reader = await command.ExecuteReaderAsync();
         while (await reader.ReadAsync())
         {
-            records.Add(new PoiRecord(
-                reader.GetString("id"),
-                reader.GetString("map_id"),
-                reader.GetInt32("type"),
-                reader.GetDouble("x"),
-                reader.GetDouble("y")));
+            records.Add(ReadPoiRecord(reader));
         }
 
         return Results.Json(new DataEnvelope<IEnumerable<PoiRecord>>(records));
     }
 
-    private static async Task<IResult> HandleCreateAsync(MySqlDataSource dataSource, string mapId, PoiPayload? poi)
+    private static Task<IResult> HandleCreateAsync(MySqlDataSource dataSource, string mapId, PoiPayload? poi, EditContext edit) =>
+        RunPoiOperationAsync(dataSource, edit, (connection, transaction) => CreatePoiAsync(connection, transaction, mapId, poi, edit));
+
+    private static async Task<PoiOperationResult> CreatePoiAsync(MySqlConnection connection, MySqlTransaction transaction, string mapId, PoiPayload? poi, EditContext edit)
     {
         if (poi is null)
         {
-            return Results.Json(new ErrorEnvelope("poi payload missing"), statusCode: StatusCodes.Status400BadRequest);
+            return PoiOperationResult.Failed(StatusCodes.Status400BadRequest, "poi payload missing");
         }
 
         var poiId = HexGuid.Normalize(poi.Id);
         if (poiId is null)
         {
-            return Results.Json(new ErrorEnvelope("poi.id is required"), statusCode: StatusCodes.Status400BadRequest);
+            return PoiOperationResult.Failed(StatusCodes.Status400BadRequest, "poi.id is required");
         }
         if (poi.Type is null)
         {
-            return Results.Json(new ErrorEnvelope("poi.type is required"), statusCode: StatusCodes.Status400BadRequest);
+            return PoiOperationResult.Failed(StatusCodes.Status400BadRequest, "poi.type is required");
         }
         if (poi.X is null || poi.Y is null)
         {
-            return Results.Json(new ErrorEnvelope("poi.x and poi.y are required"), statusCode: StatusCodes.Status400BadRequest);
+            return PoiOperationResult.Failed(StatusCodes.Status400BadRequest, "poi.x and poi.y are required");
+        }
+        if (!TryReadPoiDetails(poi, out var details, out var detailsError))
+        {
+            return PoiOperationResult.Failed(StatusCodes.Status400BadRequest, detailsError!);
+        }
+        // Undoing a delete re-creates the marker; its type may have been deleted since.
+        if (!await TypeExistsAsync(connection, transaction, poi.Type.Value))
+        {
+            return PoiOperationResult.Failed(StatusCodes.Status400BadRequest, $"unknown type {poi.Type.Value}");
         }
 
-        const string sql = @"INSERT INTO pois (id, map_id, type, x, y)
-                              VALUES (UNHEX(@id), UNHEX(@mapId), @type, @x, @y)";
-
-        await using var connection = await dataSource.OpenConnectionAsync();
-        await using var command = connection.CreateCommand();
-        command.CommandText = sql;
-        command.Parameters.Add("@id", MySqlDbType.VarChar, 32).Value = poiId;
-        command.Parameters.Add("@mapId", MySqlDbType.VarChar, 32).Value = mapId;
-        command.Parameters.Add("@type", MySqlDbType.Int32).Value = poi.Type.Value;
-        command.Parameters.Add("@x", MySqlDbType.Double).Value = poi.X.Value;
-        command.Parameters.Add("@y", MySqlDbType.Double).Value = poi.Y.Value;
+        var record = new PoiRecord(
+            poiId,
+            mapId,
+            poi.Type.Value,
+            poi.X.Value,
+            poi.Y.Value,
+            details.GetValueOrDefault("title") as string,
+            details.GetValueOrDefault("note") as string,
+            details.GetValueOrDefault("quantity") as int?,
+            details.GetValueOrDefault("verified_at") as DateTime?);
 
-        await command.ExecuteNonQueryAsync();
+        await InsertPoiAsync(connection, transaction, record);
+        await AppendChangeAsync(connection, transaction, mapId, poiId, "create", null, record, edit.Editor);
+        edit.Defer("create", mapId, poiId, record);
 
-        var response = new PoiRecord(poiId, mapId, poi.Type.Value, poi.X.Value, poi.Y.Value);
-        return Results.Json(new DataEnvelope<PoiRecord>(response), statusCode: StatusCodes.Status201Created);
+        return new PoiOperationResult(StatusCodes.Status201Created, record);
     }
 
-    private static async Task<IResult> HandleUpdateAsync(MySqlDataSource dataSource, string mapId, PoiPayload? poi)
+    private static Task<IResult> HandleUpdateAsync(MySqlDataSource dataSource, string mapId, PoiPayload? poi, EditContext edit) =>
+        RunPoiOperationAsync(dataSource, edit, (connection, transaction) => UpdatePoiAsync(connection, transaction, mapId, poi, edit));
+
+    private static async Task<PoiOperationResult> UpdatePoiAsync(MySqlConnection connection, MySqlTransaction transaction, string mapId, PoiPayload? poi, EditContext edit)
     {
         if (poi is null)
         {
-            return Results.Json(new ErrorEnvelope("poi payload missing"), statusCode: StatusCodes.Status400BadRequest);
+            return PoiOperationResult.Failed(StatusCodes.Status400BadRequest, "poi payload missing");
         }
 
         var poiId = HexGuid.Normalize(poi.Id);
         if (poiId is null)
         {
-            return Results.Json(new ErrorEnvelope("poi.id is required"), statusCode: StatusCodes.Status400BadRequest);
+            return PoiOperationResult.Failed(StatusCodes.Status400BadRequest, "poi.id is required");
         }
-        if (poi.X is null || poi.Y is null)
+        var hasCoords = poi.X is not null || poi.Y is not null;
+        if (hasCoords && (poi.X is null || poi.Y is null))
+        {
+            return PoiOperationResult.Failed(StatusCodes.Status400BadRequest, "poi.x and poi.y must be sent together");
+        }
+        if (!TryReadPoiDetails(poi, out var details, out var detailsError))
+        {
+            return PoiOperationResult.Failed(StatusCodes.Status400BadRequest, detailsError!);
+        }
+        if (!hasCoords && poi.Type is null && details.Count == 0)
+        {
+            return PoiOperationResult.Failed(StatusCodes.Status400BadRequest, "poi.x and poi.y, poi.type or detail fields are required");
+        }
+        if (poi.Type is not null && !await TypeExistsAsync(connection, transaction, poi.Type.Value))
         {
-            return Results.Json(new ErrorEnvelope("poi.x and poi.y are required"), statusCode: StatusCodes.Status400BadRequest);
+            return PoiOperationResult.Failed(StatusCodes.Status400BadRequest, $"unknown type {poi.Type.Value}");
         }
 
-        const string sql = @"UPDATE pois
-                              SET x = @x, y = @y
+        var assignments = new List<string>();
+        if (hasCoords)
+        {
+            assignments.Add("x = @x");
+            assignments.Add("y = @y");
+        }
+        if (poi.Type is not null)
+        {
+            assignments.Add("type = @type");
+        }
+        assignments.AddRange(details.Keys.Select(column => $"{column} = @{column}"));
+
+        var before = await FindPoiAsync(connection, transaction, mapId, poiId);
+        int affected;
+        await using (var command = connection.CreateCommand())
+        {
+            command.Transaction = transaction;
+            command.CommandText = $@"UPDATE pois
+                              SET {string.Join(", ", assignments)}
+                              WHERE id = UNHEX(@id) AND map_id = UNHEX(@mapId)
+                              LIMIT 1";
+            if (hasCoords)
+            {
+                command.Parameters.Add("@x", MySqlDbType.Double).Value = poi.X!.Value;
+                command.Parameters.Add("@y", MySqlDbType.Double).Value = poi.Y!.Value;
+            }
+            if (poi.Type is not null)
+            {
+                command.Parameters.Add("@type", MySqlDbType.Int32).Value = poi.Type.Value;
+            }
+            foreach (var (column, value) in details)
+            {
+                command.Parameters.Add($"@{column}", DetailColumns[column]).Value = value ?? DBNull.Value;
+            }
+            command.Parameters.Add("@id", MySqlDbType.VarChar, 32).Value = poiId;
+            command.Parameters.Add("@mapId", MySqlDbType.VarChar, 32).Value = mapId;
+
+            affected = await command.ExecuteNonQueryAsync();
+        }
+
+        // Answer with the stored row so the client picks up fields this request did not touch.
+        var stored = await FindPoiAsync(connection, transaction, mapId, poiId);
+        var changed = before is not null && stored is not null && before != stored;
+        if (changed)
+        {
+            await AppendChangeAsync(connection, transaction, mapId, poiId, "update", before, stored, edit.Editor);
+            edit.Defer("update", mapId, poiId, stored);
+        }
+
+        var response = stored is null
+            ? new PoiUpdateRecord(poiId, mapId, poi.Type, poi.X, poi.Y, poi.Title, poi.Note, poi.Quantity, null, false)
+            : new PoiUpdateRecord(stored.Id, stored.MapId, stored.Type, stored.X, stored.Y, stored.Title, stored.Note, stored.Quantity, stored.VerifiedAt, affected > 0);
+        return new PoiOperationResult(StatusCodes.Status200OK, response);
+    }
+
+    private static async Task<bool> TypeExistsAsync(MySqlConnection connection, MySqlTransaction? transaction, int type)
+    {
+        await using var command = connection.CreateCommand();
+        command.Transaction = transaction;
+        command.CommandText = "SELECT 1 FROM types WHERE id = @type LIMIT 1";
+        command.Parameters.Add("@type", MySqlDbType.Int32).Value = type;
+        return await command.ExecuteScalarAsync() is not null;
+    }
+
+    private static async Task<PoiRecord?> FindPoiAsync(MySqlConnection connection, MySqlTransaction? transaction, string mapId, string poiId)
+    {
+        const string sql = $@"SELECT {PoiColumns}
+                              FROM pois
                               WHERE id = UNHEX(@id) AND map_id = UNHEX(@mapId)
                               LIMIT 1";
 
-        await using var connection = await dataSource.OpenConnectionAsync();
         await using var command = connection.CreateCommand();
+        command.Transaction = transaction;
         command.CommandText = sql;
-        command.Parameters.Add("@x", MySqlDbType.Double).Value = poi.X.Value;
-        command.Parameters.Add("@y", MySqlDbType.Double).Value = poi.Y.Value;
         command.Parameters.Add("@id", MySqlDbType.VarChar, 32).Value = poiId;
         command.Parameters.Add("@mapId", MySqlDbType.VarChar, 32).Value = mapId;
 
-        var affected = await command.ExecuteNonQueryAsync();
-        var response = new PoiUpdateRecord(poiId, mapId, poi.X.Value, poi.Y.Value, affected > 0);
-        return Results.Json(new DataEnvelope<PoiUpdateRecord>(response));
+        await using var reader = await command.ExecuteReaderAsync();
+        return await reader.ReadAsync() ? ReadPoiRecord(reader) : null;
+    }
+
+    private static async Task UpdatePoiRowAsync(MySqlConnection connection, MySqlTransaction? transaction, PoiRecord record)
+    {
+        const string sql = @"UPDATE pois
+                              SET x = @x, y = @y, title = @title, note = @note, quantity = @quantity, verified_at = @verified_at
+                              WHERE id = UNHEX(@id) AND map_id = UNHEX(@mapId)
+                              LIMIT 1";
+
+        await using var command = connection.CreateCommand();
+        command.Transaction = transaction;
+        command.CommandText = sql;
+        command.Parameters.Add("@id", MySqlDbType.VarChar, 32).Value = record.Id;
+        command.Parameters.Add("@mapId", MySqlDbType.VarChar, 32).Value = record.MapId;
+        command.Parameters.Add("@x", MySqlDbType.Double).Value = record.X;
+        command.Parameters.Add("@y", MySqlDbType.Double).Value = record.Y;
+        command.Parameters.Add("@title", MySqlDbType.VarChar).Value = (object?)record.Title ?? DBNull.Value;
+        command.Parameters.Add("@note", MySqlDbType.VarChar).Value = (object?)record.Note ?? DBNull.Value;
+        command.Parameters.Add("@quantity", MySqlDbType.Int32).Value = (object?)record.Quantity ?? DBNull.Value;
+        command.Parameters.Add("@verified_at", MySqlDbType.DateTime).Value = (object?)record.VerifiedAt ?? DBNull.Value;
+
+        await command.ExecuteNonQueryAsync();
+    }
+
+    private static async Task InsertPoiAsync(MySqlConnection connection, MySqlTransaction? transaction, PoiRecord record)
+    {
+        const string sql = @"INSERT INTO pois (id, map_id, type, x, y, title, note, quantity, verified_at)
+                              VALUES (UNHEX(@id), UNHEX(@mapId), @type, @x, @y, @title, @note, @quantity, @verified_at)";
+
+        await using var command = connection.CreateCommand();
+        command.Transaction = transaction;
+        command.CommandText = sql;
+        command.Parameters.Add("@id", MySqlDbType.VarChar, 32).Value = record.Id;
+        command.Parameters.Add("@mapId", MySqlDbType.VarChar, 32).Value = record.MapId;
+        command.Parameters.Add("@type", MySqlDbType.Int32).Value = record.Type;
+        command.Parameters.Add("@x", MySqlDbType.Double).Value = record.X;
+        command.Parameters.Add("@y", MySqlDbType.Double).Value = record.Y;
+        command.Parameters.Add("@title", MySqlDbType.VarChar).Value = (object?)record.Title ?? DBNull.Value;
+        command.Parameters.Add("@note", MySqlDbType.VarChar).Value = (object?)record.Note ?? DBNull.Value;
+        command.Parameters.Add("@quantity", MySqlDbType.Int32).Value = (object?)record.Quantity ?? DBNull.Value;
+        command.Parameters.Add("@verified_at", MySqlDbType.DateTime).Value = (object?)record.VerifiedAt ?? DBNull.Value;
+
+        await command.ExecuteNonQueryAsync();
+    }
+
+    private static PoiRecord ReadPoiRecord(MySqlDataReader reader)
+    {
+        var titleOrdinal = reader.GetOrdinal("title");
+        var noteOrdinal = reader.GetOrdinal("note");
+        var quantityOrdinal = reader.GetOrdinal("quantity");
+        var verifiedOrdinal = reader.GetOrdinal("verified_at");
+        return new PoiRecord(
+            reader.GetString("id"),
+            reader.GetString("map_id"),
+            reader.GetInt32("type"),
+            reader.GetDouble("x"),
+            reader.GetDouble("y"),
+            reader.IsDBNull(titleOrdinal) ? null : reader.GetString(titleOrdinal),
+            reader.IsDBNull(noteOrdinal) ? null : reader.GetString(noteOrdinal),
+            reader.IsDBNull(quantityOrdinal) ? null : reader.GetInt32(quantityOrdinal),
+            reader.IsDBNull(verifiedOrdinal) ? null : DateTime.SpecifyKind(reader.GetDateTime(verifiedOrdinal), DateTimeKind.Utc));
+    }
+
+    // Collects the detail fields present in the payload keyed by column. Absent (null) fields are
+    // left out so updates keep the stored value; an empty string or a quantity of 0 clears a column.
+    private static bool TryReadPoiDetails(PoiPayload poi, out Dictionary<string, object?> details, out string? error)
+    {
+        details = new Dictionary<string, object?>();
+        error = null;
+
+        if (poi.Title is not null)
+        {
+            var title = poi.Title.Trim();
+            if (title.Length > MaxTitleLength)
+            {
+                error = $"poi.title must be at most {MaxTitleLength} characters";
+                return false;
+            }
+            details["title"] = title.Length == 0 ? null : title;
+        }
+        if (poi.Note is not null)
+        {
+            var note = poi.Note.Trim();
+            if (note.Length > MaxNoteLength)
+            {
+                error = $"poi.note must be at most {MaxNoteLength} characters";
+                return false;
+            }
+            details["note"] = note.Length == 0 ? null : note;
+        }
+        if (poi.Quantity is not null)
+        {
+            if (poi.Quantity.Value < 0)
+            {
+                error = "poi.quantity cannot be negative";
+                return false;
+            }
+            details["quantity"] = poi.Quantity.Value == 0 ? null : poi.Quantity.Value;
+        }
+        if (poi.VerifiedAt is not null)
+        {
+            var raw = poi.VerifiedAt.Trim();
+            if (raw.Length == 0)
+            {
+                details["verified_at"] = null;
+            }
+            else if (DateTime.TryParse(raw, CultureInfo.InvariantCulture, DateTimeStyles.AdjustToUniversal | DateTimeStyles.AssumeUniversal, out var verifiedAt))
+            {
+                details["verified_at"] = DateTime.SpecifyKind(verifiedAt, DateTimeKind.Utc);
+            }
+            else
+            {
+                error = "poi.verifiedAt must be an ISO 8601 timestamp";
+                return false;
+            }
+        }
+
+        return true;
     }
 
-    private static async Task<IResult> HandleDeleteAsync(MySqlDataSource dataSource, string mapId, string? poiIdRaw)
+    private static Task<IResult> HandleDeleteAsync(MySqlDataSource dataSource, string mapId, string? poiIdRaw, EditContext edit) =>
+        RunPoiOperationAsync(dataSource, edit, (connection, transaction) => DeletePoiAsync(connection, transaction, mapId, poiIdRaw, edit));
+
+    private static async Task<PoiOperationResult> DeletePoiAsync(MySqlConnection connection, MySqlTransaction transaction, string mapId, string? poiIdRaw, EditContext edit)
     {
         var poiId = HexGuid.Normalize(poiIdRaw);
         if (poiId is null)
         {
-            return Results.Json(new ErrorEnvelope("poiId is required"), statusCode: StatusCodes.Status400BadRequest);
+            return PoiOperationResult.Failed(StatusCodes.Status400BadRequest, "poiId is required");
         }
 
         const string sql = @"DELETE FROM pois
                               WHERE id = UNHEX(@id) AND map_id = UNHEX(@mapId)
                               LIMIT 1";
 
+        var before = await FindPoiAsync(connection, transaction, mapId, poiId);
+        int affected;
+        await using (var command = connection.CreateCommand())
+        {
+            command.Transaction = transaction;
+            command.CommandText = sql;
+            command.Parameters.Add("@id", MySqlDbType.VarChar, 32).Value = poiId;
+            command.Parameters.Add("@mapId", MySqlDbType.VarChar, 32).Value = mapId;
+
+            affected = await command.ExecuteNonQueryAsync();
+        }
+        if (affected > 0 && before is not null)
+        {
+            await AppendChangeAsync(connection, transaction, mapId, poiId, "delete", before, null, edit.Editor);
+        }
+        if (affected > 0)
+        {
+            edit.Defer("delete", mapId, poiId, null);
+        }
+
+        return new PoiOperationResult(StatusCodes.Status200OK, new DeleteResult(poiId, mapId, affected > 0));
+    }
+
+    // Runs one create/update/delete in its own transaction and publishes its event once committed.
+    private static async Task<IResult> RunPoiOperationAsync(MySqlDataSource dataSource, EditContext edit, Func<MySqlConnection, MySqlTransaction, Task<PoiOperationResult>> operation)
+    {
         await using var connection = await dataSource.OpenConnectionAsync();
-        await using var command = connection.CreateCommand();
-        command.CommandText = sql;
-        command.Parameters.Add("@id", MySqlDbType.VarChar, 32).Value = poiId;
-        command.Parameters.Add("@mapId", MySqlDbType.VarChar, 32).Value = mapId;
+        await using var transaction = await connection.BeginTransactionAsync();
+        var result = await operation(connection, transaction);
+        if (result.Error is not null)
+        {
+            return Results.Json(new ErrorEnvelope(result.Error), statusCode: result.Status);
+        }
+        await transaction.CommitAsync();
+        edit.PublishDeferred();
 
-        var affected = await command.ExecuteNonQueryAsync();
-        var response = new DeleteResult(poiId, mapId, affected > 0);
-        return Results.Json(new DataEnvelope<DeleteResult>(response));
+        return Results.Json(new DataEnvelope<object?>(result.Data), statusCode: result.Status);
     }
 
-    private static async Task<IResult> HandleTypesAsync(MySqlDataSource dataSource)
+    // Applies the operations in order inside one transaction. The first failure rolls everything back
+    // and is reported together with the results of the operations before it.
+    private static async Task<IResult> HandleBatchAsync(MySqlDataSource dataSource, string mapId, IReadOnlyList<BatchOperationPayload>? operations, EditContext edit)
+    {
+        if (operations is null || operations.Count == 0)
+        {
+            return Results.Json(new ErrorEnvelope("operations are required"), statusCode: StatusCodes.Status400BadRequest);
+        }
+        if (operations.Count > MaxBatchOperations)
+        {
+            return Results.Json(new ErrorEnvelope($"at most {MaxBatchOperations} operations can be sent at once"), statusCode: StatusCodes.Status400BadRequest);
+        }
+
+        await using var connection = await dataSource.OpenConnectionAsync();
+        await using var transaction = await connection.BeginTransactionAsync();
+        var results = new List<BatchOperationResult>();
+        for (var index = 0; index < operations.Count; index++)
+        {
+            var operation = operations[index];
+            var action = operation.Action?.Trim().ToLowerInvariant() ?? "";
+            var result = action switch
+            {
+                "create" => await CreatePoiAsync(connection, transaction, mapId, operation.Poi, edit),
+                "update" => await UpdatePoiAsync(connection, transaction, mapId, operation.Poi, edit),
+                "delete" => await DeletePoiAsync(connection, transaction, mapId, operation.PoiId, edit),
+                _ => PoiOperationResult.Failed(StatusCodes.Status400BadRequest, "Unsupported action"),
+            };
+            results.Add(new BatchOperationResult(index, action, result.Status, result.Data, result.Error));
+            if (result.Error is not null)
+            {
+                return Results.Json(new DataEnvelope<BatchResult>(new BatchResult(false, results)), statusCode: result.Status);
+            }
+        }
+        await transaction.CommitAsync();
+        edit.PublishDeferred();
+
+        return Results.Json(new DataEnvelope<BatchResult>(new BatchResult(true, results)));
+    }
+
+    // Re-inserts a deleted POI from the snapshot stored with its delete entry in the change log.
+    private static async Task<IResult> HandleRestoreAsync(MySqlDataSource dataSource, string mapId, long? changeId, EditContext edit)
+    {
+        if (changeId is null)
+        {
+            return Results.Json(new ErrorEnvelope("changeId is required"), statusCode: StatusCodes.Status400BadRequest);
+        }
+
+        const string sql = @"SELECT before_json
+                              FROM poi_changes
+                              WHERE id = @changeId AND map_id = UNHEX(@mapId) AND action = 'delete'
+                              LIMIT 1";
+
+        await using var connection = await dataSource.OpenConnectionAsync();
+        await using var transaction = await connection.BeginTransactionAsync();
+        PoiRecord? snapshot;
+        await using (var command = connection.CreateCommand())
+        {
+            command.Transaction = transaction;
+            command.CommandText = sql;
+            command.Parameters.Add("@changeId", MySqlDbType.Int64).Value = changeId.Value;
+            command.Parameters.Add("@mapId", MySqlDbType.VarChar, 32).Value = mapId;
+            var raw = await command.ExecuteScalarAsync() as string;
+            snapshot = DeserializeSnapshot(raw);
+        }
+        if (snapshot is null)
+        {
+            return Results.Json(new ErrorEnvelope("Deleted POI not found in history"), statusCode: StatusCodes.Status404NotFound);
+        }
+        if (await FindPoiAsync(connection, transaction, mapId, snapshot.Id) is not null)
+        {
+            return Results.Json(new ErrorEnvelope("POI already exists"), statusCode: StatusCodes.Status409Conflict);
+        }
+        if (!await TypeExistsAsync(connection, transaction, snapshot.Type))
+        {
+            return Results.Json(new ErrorEnvelope($"type {snapshot.Type} of this POI no longer exists"), statusCode: StatusCodes.Status409Conflict);
+        }
+
+        var record = snapshot with { MapId = mapId };
+        await InsertPoiAsync(connection, transaction, record);
+        await AppendChangeAsync(connection, transaction, mapId, record.Id, "restore", null, record, edit.Editor);
+        await transaction.CommitAsync();
+        edit.Publish("restore", mapId, record.Id, record);
+
+        return Results.Json(new DataEnvelope<PoiRecord>(record), statusCode: StatusCodes.Status201Created);
+    }
+
+    // Groups markers of the same type that lie within `radius` map pixels of each other, directly or
+    // through a chain of neighbours, so admins can review suspected duplicates.
+    private static async Task<IResult> HandleDuplicatesAsync(MySqlDataSource dataSource, string mapId, double? radius)
+    {
+        var maxDistance = radius ?? DefaultDuplicateRadius;
+        if (!double.IsFinite(maxDistance) || maxDistance <= 0 || maxDistance > MaxDuplicateRadius)
+        {
+            return Results.Json(new ErrorEnvelope($"radius must be greater than 0 and at most {MaxDuplicateRadius}"), statusCode: StatusCodes.Status400BadRequest);
+        }
+
+        await using var connection = await dataSource.OpenConnectionAsync();
+        int width;
+        int height;
+        await using (var mapCommand = connection.CreateCommand())
+        {
+            mapCommand.CommandText = "SELECT width, height FROM maps WHERE id = UNHEX(@mapId) LIMIT 1";
+            mapCommand.Parameters.Add("@mapId", MySqlDbType.VarChar, 32).Value = mapId;
+            await using var reader = await mapCommand.ExecuteReaderAsync();
+            if (!await reader.ReadAsync())
+            {
+                return Results.Json(new ErrorEnvelope("map not found"), statusCode: StatusCodes.Status404NotFound);
+            }
+            width = reader.GetInt32("width");
+            height = reader.GetInt32("height");
+        }
+
+        var pois = new List<PoiRecord>();
+        await using (var command = connection.CreateCommand())
+        {
+            command.CommandText = $@"SELECT {PoiColumns}
+                                     FROM pois
+                                     WHERE map_id = UNHEX(@mapId)";
+            command.Parameters.Add("@mapId", MySqlDbType.VarChar, 32).Value = mapId;
+            await using var reader = await command.ExecuteReaderAsync();
+            while (await reader.ReadAsync())
+            {
+                pois.Add(ReadPoiRecord(reader));
+            }
+        }
+
+        // Legacy rows hold pixel coordinates; normalized rows are scaled up to the map size.
+        (double X, double Y) ToPixels(PoiRecord poi) =>
+            poi.X is >= 0 and <= 1 && poi.Y is >= 0 and <= 1 ? (poi.X * width, poi.Y * height) : (poi.X, poi.Y);
+
+        var clusters = new List<DuplicateCluster>();
+        foreach (var group in pois.GroupBy(poi => poi.Type))
+        {
+            var members = group.ToList();
+            var points = members.Select(ToPixels).ToList();
+            var parent = Enumerable.Range(0, members.Count).ToArray();
+            int Find(int index)
+            {
+                while (parent[index] != index)
+                {
+                    parent[index] = parent[parent[index]];
+                    index = parent[index];
+                }
+                return index;
+            }
+
+            // Cells as wide as the radius: a marker's neighbours are all in the 3x3 cells around it.
+            var cells = new Dictionary<(long X, long Y), List<int>>();
+            for (var index = 0; index < members.Count; index++)
+            {
+                var cellX = (long)Math.Floor(points[index].X / maxDistance);
+                var cellY = (long)Math.Floor(points[index].Y / maxDistance);
+                for (var dx = -1; dx <= 1; dx++)
+                {
+                    for (var dy = -1; dy <= 1; dy++)
+                    {
+                        if (!cells.TryGetValue((cellX + dx, cellY + dy), out var neighbours))
+                        {
+                            continue;
+                        }
+                        foreach (var other in neighbours)
+                        {
+                            if (double.Hypot(points[index].X - points[other].X, points[index].Y - points[other].Y) <= maxDistance)
+                            {
+                                parent[Find(index)] = Find(other);
+                            }
+                        }
+                    }
+                }
+                if (!cells.TryGetValue((cellX, cellY), out var cell))
+                {
+                    cell = new List<int>();
+                    cells[(cellX, cellY)] = cell;
+                }
+                cell.Add(index);
+            }
+
+            clusters.AddRange(Enumerable.Range(0, members.Count)
+                .GroupBy(Find)
+                .Where(cluster => cluster.Count() > 1)
+                .Select(cluster => new DuplicateCluster(group.Key, cluster.Select(index => members[index]).ToList())));
+        }
+
+        var ordered = clusters
+            .OrderByDescending(cluster => cluster.Pois.Count)
+            .ThenBy(cluster => cluster.Type)
+            .ToList();
+        return Results.Json(new DataEnvelope<IEnumerable<DuplicateCluster>>(ordered));
+    }
+
+    private static async Task<IResult> HandleHistoryAsync(MySqlDataSource dataSource, string mapId, string? poiIdRaw, int? limit)
     {
-        const string sql = @"SELECT id, name, image FROM types ORDER BY id ASC";
+        var poiId = HexGuid.Normalize(poiIdRaw);
+        var rowLimit = Math.Clamp(limit ?? DefaultHistoryLimit, 1, MaxHistoryLimit);
+        var sql = $@"SELECT id, LOWER(HEX(poi_id)) AS poi_id, action, before_json, after_json, editor, changed_at
+                      FROM poi_changes
+                      WHERE map_id = UNHEX(@mapId){(poiId is null ? string.Empty : " AND poi_id = UNHEX(@poiId)")}
+                      ORDER BY id DESC
+                      LIMIT @limit";
 
         await using var connection = await dataSource.OpenConnectionAsync();
         await using var command = connection.CreateCommand();
         command.CommandText = sql;
+        command.Parameters.Add("@mapId", MySqlDbType.VarChar, 32).Value = mapId;
+        if (poiId is not null)
+        {
+            command.Parameters.Add("@poiId", MySqlDbType.VarChar, 32).Value = poiId;
+        }
+        command.Parameters.Add("@limit", MySqlDbType.Int32).Value = rowLimit;
 
-        var types = new List<PoiTypeRecord>();
+        var changes = new List<PoiChangeRecord>();
         await using var reader = await command.ExecuteReaderAsync();
         while (await reader.ReadAsync())
         {
-            types.Add(new PoiTypeRecord(
-                reader.GetInt32("id"),
-                reader.GetString("name"),
-                reader.GetString("image")));
+            var beforeOrdinal = reader.GetOrdinal("before_json");
+            var afterOrdinal = reader.GetOrdinal("after_json");
+            var editorOrdinal = reader.GetOrdinal("editor");
+            changes.Add(new PoiChangeRecord(
+                reader.GetInt64("id"),
+                reader.GetString("poi_id"),
+                reader.GetString("action"),
+                reader.IsDBNull(beforeOrdinal) ? null : DeserializeSnapshot(reader.GetString(beforeOrdinal)),
+                reader.IsDBNull(afterOrdinal) ? null : DeserializeSnapshot(reader.GetString(afterOrdinal)),
+                reader.IsDBNull(editorOrdinal) ? null : reader.GetString(editorOrdinal),
+                DateTime.SpecifyKind(reader.GetDateTime("changed_at"), DateTimeKind.Utc)));
         }
 
-        return Results.Json(new DataEnvelope<IEnumerable<PoiTypeRecord>>(types));
+        return Results.Json(new DataEnvelope<IEnumerable<PoiChangeRecord>>(changes));
+    }
+
+    // The change log is append-only: rows are only ever inserted, never updated or deleted.
+    private static async Task AppendChangeAsync(
+        MySqlConnection connection,
+        MySqlTransaction transaction,
+        string mapId,
+        string poiId,
+        string action,
+        PoiRecord? before,
+        PoiRecord? after,
+        string? editor)
+    {
+        // changed_at is read back as UTC; the column default would use the session time zone.
+        const string sql = @"INSERT INTO poi_changes (map_id, poi_id, action, before_json, after_json, editor, changed_at)
+                              VALUES (UNHEX(@mapId), UNHEX(@poiId), @action, @before, @after, @editor, UTC_TIMESTAMP(3))";
+
+        await using var command = connection.CreateCommand();
+        command.Transaction = transaction;
+        command.CommandText = sql;
+        command.Parameters.Add("@mapId", MySqlDbType.VarChar, 32).Value = mapId;
+        command.Parameters.Add("@poiId", MySqlDbType.VarChar, 32).Value = poiId;
+        command.Parameters.Add("@action", MySqlDbType.VarChar, 16).Value = action;
+        command.Parameters.Add("@before", MySqlDbType.JSON).Value = before is null ? DBNull.Value : JsonSerializer.Serialize(before, SnapshotJsonOptions);
+        command.Parameters.Add("@after", MySqlDbType.JSON).Value = after is null ? DBNull.Value : JsonSerializer.Serialize(after, SnapshotJsonOptions);
+        command.Parameters.Add("@editor", MySqlDbType.VarChar, MaxEditorLength).Value = (object?)editor ?? DBNull.Value;
+
+        await command.ExecuteNonQueryAsync();
+    }
+
+    private static PoiRecord? DeserializeSnapshot(string? json)
+    {
+        if (string.IsNullOrWhiteSpace(json))
+        {
+            return null;
+        }
+        try
+        {
+            return JsonSerializer.Deserialize<PoiRecord>(json, SnapshotJsonOptions);
+        }
+        catch (JsonException)
+        {
+            return null;
+        }
+    }
+
+    // Lists the ids of an import file that already belong to another map, so the preview can add those
+    // rows as copies with new ids instead of failing the import.
+    private static async Task<IResult> HandleImportCheckAsync(MySqlDataSource dataSource, string mapId, IReadOnlyList<PoiPayload>? pois)
+    {
+        if (pois is null)
+        {
+            return Results.Json(new ErrorEnvelope("pois is required"), statusCode: StatusCodes.Status400BadRequest);
+        }
+        if (pois.Count > MaxImportPois)
+        {
+            return Results.Json(new ErrorEnvelope($"at most {MaxImportPois} pois can be checked at once"), statusCode: StatusCodes.Status400BadRequest);
+        }
+        var ids = pois
+            .Select(poi => poi.Id is null ? null : HexGuid.Normalize(poi.Id))
+            .OfType<string>()
+            .Distinct()
+            .ToList();
+
+        await using var connection = await dataSource.OpenConnectionAsync();
+        var foreignIds = await FindForeignPoiIdsAsync(connection, null, mapId, ids);
+        return Results.Json(new DataEnvelope<IEnumerable<string>>(foreignIds));
+    }
+
+    private static async Task<HashSet<string>> FindForeignPoiIdsAsync(MySqlConnection connection, MySqlTransaction? transaction, string mapId, IReadOnlyList<string> poiIds)
+    {
+        var foreignIds = new HashSet<string>();
+        if (poiIds.Count == 0)
+        {
+            return foreignIds;
+        }
+
+        await using var command = connection.CreateCommand();
+        command.Transaction = transaction;
+        command.CommandText = $@"SELECT LOWER(HEX(id)) AS id
+                                 FROM pois
+                                 WHERE map_id <> UNHEX(@mapId)
+                                   AND id IN ({string.Join(", ", poiIds.Select((_, index) => $"UNHEX(@id{index})"))})";
+        command.Parameters.Add("@mapId", MySqlDbType.VarChar, 32).Value = mapId;
+        for (var index = 0; index < poiIds.Count; index++)
+        {
+            command.Parameters.Add($"@id{index}", MySqlDbType.VarChar, 32).Value = poiIds[index];
+        }
+        await using var reader = await command.ExecuteReaderAsync();
+        while (await reader.ReadAsync())
+        {
+            foreignIds.Add(reader.GetString("id"));
+        }
+        return foreignIds;
+    }
+
+    // Creates or updates every POI in one transaction; a single invalid row rejects the whole import.
+    private static async Task<IResult> HandleImportAsync(MySqlDataSource dataSource, string mapId, IReadOnlyList<PoiPayload>? pois, EditContext edit)
+    {
+        if (pois is null || pois.Count == 0)
+        {
+            return Results.Json(new ErrorEnvelope("pois are required"), statusCode: StatusCodes.Status400BadRequest);
+        }
+        if (pois.Count > MaxImportPois)
+        {
+            return Results.Json(new ErrorEnvelope($"at most {MaxImportPois} pois can be imported at once"), statusCode: StatusCodes.Status400BadRequest);
+        }
+
+        await using var connection = await dataSource.OpenConnectionAsync();
+        var knownTypes = new HashSet<int>();
+        await using (var typesCommand = connection.CreateCommand())
+        {
+            typesCommand.CommandText = "SELECT id FROM types";
+            await using var reader = await typesCommand.ExecuteReaderAsync();
+            while (await reader.ReadAsync())
+            {
+                knownTypes.Add(reader.GetInt32("id"));
+            }
+        }
+
+        var records = new List<(PoiRecord Record, Dictionary<string, object?> Details)>();
+        var seenIds = new HashSet<string>();
+        for (var index = 0; index < pois.Count; index++)
+        {
+            var poi = pois[index];
+            var poiId = poi.Id is null ? Guid.NewGuid().ToString("N") : HexGuid.Normalize(poi.Id);
+            string? error = null;
+            if (poiId is null)
+            {
+                error = "id must be a 32 character hex id";
+            }
+            else if (!seenIds.Add(poiId))
+            {
+                error = "id appears more than once";
+            }
+            else if (poi.Type is not { } type || !knownTypes.Contains(type))
+            {
+                error = $"type {poi.Type?.ToString() ?? "(missing)"} does not exist";
+            }
+            else if (poi.X is not (>= 0 and <= 1) || poi.Y is not (>= 0 and <= 1))
+            {
+                error = "x and y must be between 0 and 1";
+            }
+            if (error is null && TryReadPoiDetails(poi, out var details, out error))
+            {
+                var record = new PoiRecord(
+                    poiId!,
+                    mapId,
+                    poi.Type!.Value,
+                    poi.X!.Value,
+                    poi.Y!.Value,
+                    details.GetValueOrDefault("title") as string,
+                    details.GetValueOrDefault("note") as string,
+                    details.GetValueOrDefault("quantity") as int?,
+                    details.GetValueOrDefault("verified_at") as DateTime?);
+                records.Add((record, details));
+                continue;
+            }
+            return Results.Json(new ErrorEnvelope($"pois[{index}]: {error}"), statusCode: StatusCodes.Status400BadRequest);
+        }
+
+        var created = 0;
+        var updated = 0;
+        var unchanged = 0;
+        await using var transaction = await connection.BeginTransactionAsync();
+        // Ids are unique across maps, so an export of another map cannot be imported as is.
+        var foreignIds = await FindForeignPoiIdsAsync(connection, transaction, mapId, records.Select(entry => entry.Record.Id).ToList());
+        var clash = records.FindIndex(entry => foreignIds.Contains(entry.Record.Id));
+        if (clash >= 0)
+        {
+            return Results.Json(new ErrorEnvelope($"pois[{clash}]: id {records[clash].Record.Id} belongs to another map"), statusCode: StatusCodes.Status409Conflict);
+        }
+        foreach (var (record, details) in records)
+        {
+            var before = await FindPoiAsync(connection, transaction, mapId, record.Id);
+            if (before is null)
+            {
+                await InsertPoiAsync(connection, transaction, record);
+                await AppendChangeAsync(connection, transaction, mapId, record.Id, "create", null, record, edit.Editor);
+                edit.Defer("create", mapId, record.Id, record);
+                created++;
+                continue;
+            }
+            if (before.Type != record.Type)
+            {
+                return Results.Json(new ErrorEnvelope($"poi {record.Id} already exists with another type"), statusCode: StatusCodes.Status409Conflict);
+            }
+
+            // Detail fields left out of the file keep their stored values.
+            var merged = before with
+            {
+                X = record.X,
+                Y = record.Y,
+                Title = details.ContainsKey("title") ? record.Title : before.Title,
+                Note = details.ContainsKey("note") ? record.Note : before.Note,
+                Quantity = details.ContainsKey("quantity") ? record.Quantity : before.Quantity,
+                VerifiedAt = details.ContainsKey("verified_at") ? record.VerifiedAt : before.VerifiedAt,
+            };
+            if (merged == before)
+            {
+                unchanged++;
+                continue;
+            }
+            await UpdatePoiRowAsync(connection, transaction, merged);
+            await AppendChangeAsync(connection, transaction, mapId, record.Id, "update", before, merged, edit.Editor);
+            edit.Defer("update", mapId, record.Id, merged);
+            updated++;
+        }
+        await transaction.CommitAsync();
+        edit.PublishDeferred();
+
+        return Results.Json(new DataEnvelope<ImportResult>(new ImportResult(created, updated, unchanged)));
+    }
+
+    private static async Task<IResult> HandleTypesAsync(MySqlDataSource dataSource)
+    {
+        const string sql = @"SELECT id, name, image, respawn_seconds, category, diets FROM types ORDER BY id ASC";
+
+        await using var connection = await dataSource.OpenConnectionAsync();
+        await using var command = connection.CreateCommand();
+        command.CommandText = sql;
+
+        var types = new List<PoiTypeRecord>();
+        await using var reader = await command.ExecuteReaderAsync();
+        var respawnOrdinal = reader.GetOrdinal("respawn_seconds");
+        var categoryOrdinal = reader.GetOrdinal("category");
+        var dietsOrdinal = reader.GetOrdinal("diets");
+        while (await reader.ReadAsync())
+        {
+            types.Add(new PoiTypeRecord(
+                reader.GetInt32("id"),
+                reader.GetString("name"),
+                reader.GetString("image"),
+                reader.IsDBNull(respawnOrdinal) ? null : reader.GetInt32(respawnOrdinal),
+                reader.IsDBNull(categoryOrdinal) ? null : reader.GetString(categoryOrdinal),
+                ReadDiets(reader, dietsOrdinal)));
+        }
+
+        return Results.Json(new DataEnvelope<IEnumerable<PoiTypeRecord>>(types));
+    }
+
+    private static IReadOnlyList<string> ReadDiets(MySqlDataReader reader, int ordinal)
+    {
+        return reader.IsDBNull(ordinal)
+            ? Array.Empty<string>()
+            : reader.GetString(ordinal).Split(',', StringSplitOptions.RemoveEmptyEntries);
+    }
+
+    private static async Task<IResult> HandleTypeUsageAsync(MySqlDataSource dataSource)
+    {
+        const string sql = @"SELECT t.id, t.name, t.image, t.respawn_seconds, t.category, t.diets, COUNT(p.id) AS markers
+                              FROM types t
+                              LEFT JOIN pois p ON p.type = t.id
+                              GROUP BY t.id, t.name, t.image, t.respawn_seconds, t.category, t.diets
+                              ORDER BY t.id ASC";
+
+        await using var connection = await dataSource.OpenConnectionAsync();
+        await using var command = connection.CreateCommand();
+        command.CommandText = sql;
+
+        var types = new List<TypeUsageRecord>();
+        await using var reader = await command.ExecuteReaderAsync();
+        var respawnOrdinal = reader.GetOrdinal("respawn_seconds");
+        var categoryOrdinal = reader.GetOrdinal("category");
+        var dietsOrdinal = reader.GetOrdinal("diets");
+        while (await reader.ReadAsync())
+        {
+            types.Add(new TypeUsageRecord(
+                reader.GetInt32("id"),
+                reader.GetString("name"),
+                reader.GetString("image"),
+                reader.IsDBNull(respawnOrdinal) ? null : reader.GetInt32(respawnOrdinal),
+                reader.IsDBNull(categoryOrdinal) ? null : reader.GetString(categoryOrdinal),
+                ReadDiets(reader, dietsOrdinal),
+                Convert.ToInt32(reader.GetInt64("markers"))));
+        }
+
+        return Results.Json(new DataEnvelope<IEnumerable<TypeUsageRecord>>(types));
+    }
+
+    private static async Task<IResult> HandleCreateTypeAsync(MySqlDataSource dataSource, PoiTypePayload? payload, EditContext edit)
+    {
+        if (payload is null || string.IsNullOrWhiteSpace(payload.Name) || string.IsNullOrWhiteSpace(payload.Svg))
+        {
+            return Results.Json(new ErrorEnvelope("poiType.name and poiType.svg are required"), statusCode: StatusCodes.Status400BadRequest);
+        }
+        if (!TryReadTypeFields(payload, out var fields, out var icon, out var error))
+        {
+            return Results.Json(new ErrorEnvelope(error!), statusCode: StatusCodes.Status400BadRequest);
+        }
+
+        await using var connection = await dataSource.OpenConnectionAsync();
+        await using var transaction = await connection.BeginTransactionAsync();
+        // types.id is not auto-increment; the lock keeps two admins from picking the same id.
+        int typeId;
+        await using (var command = connection.CreateCommand())
+        {
+            command.Transaction = transaction;
+            command.CommandText = "SELECT COALESCE(MAX(id), 0) + 1 FROM types FOR UPDATE";
+            typeId = Convert.ToInt32(await command.ExecuteScalarAsync(), CultureInfo.InvariantCulture);
+        }
+        await using (var command = connection.CreateCommand())
+        {
+            command.Transaction = transaction;
+            command.CommandText = @"INSERT INTO types (id, name, image, icon_svg, respawn_seconds, category, diets)
+                                    VALUES (@id, @name, @image, @icon_svg, @respawn_seconds, @category, @diets)";
+            command.Parameters.Add("@id", MySqlDbType.Int32).Value = typeId;
+            command.Parameters.Add("@name", MySqlDbType.VarChar, MaxTypeNameLength).Value = fields["name"];
+            command.Parameters.Add("@image", MySqlDbType.VarChar, 128).Value = GetTypeIconUrl(typeId, icon!);
+            command.Parameters.Add("@icon_svg", MySqlDbType.MediumText).Value = icon;
+            command.Parameters.Add("@respawn_seconds", MySqlDbType.Int32).Value = fields.GetValueOrDefault("respawn_seconds") ?? DBNull.Value;
+            command.Parameters.Add("@category", MySqlDbType.VarChar, MaxTypeNameLength).Value = fields.GetValueOrDefault("category") ?? DBNull.Value;
+            command.Parameters.Add("@diets", MySqlDbType.VarChar).Value = fields.GetValueOrDefault("diets") ?? DBNull.Value;
+            await command.ExecuteNonQueryAsync();
+        }
+        await transaction.CommitAsync();
+        edit.PublishTypesChanged();
+
+        return await HandleTypeUsageAsync(dataSource);
+    }
+
+    private static async Task<IResult> HandleUpdateTypeAsync(MySqlDataSource dataSource, PoiTypePayload? payload, EditContext edit)
+    {
+        if (payload?.Id is null)
+        {
+            return Results.Json(new ErrorEnvelope("poiType.id is required"), statusCode: StatusCodes.Status400BadRequest);
+        }
+        if (!TryReadTypeFields(payload, out var fields, out var icon, out var error))
+        {
+            return Results.Json(new ErrorEnvelope(error!), statusCode: StatusCodes.Status400BadRequest);
+        }
+        if (fields.Count == 0 && icon is null)
+        {
+            return Results.Json(new ErrorEnvelope("poiType.name, poiType.category, poiType.diets, poiType.svg or poiType.respawnSeconds is required"), statusCode: StatusCodes.Status400BadRequest);
+        }
+
+        await using var connection = await dataSource.OpenConnectionAsync();
+        await using var transaction = await connection.BeginTransactionAsync();
+        string? currentName;
+        await using (var command = connection.CreateCommand())
+        {
+            command.Transaction = transaction;
+            command.CommandText = "SELECT name FROM types WHERE id = @id FOR UPDATE";
+            command.Parameters.Add("@id", MySqlDbType.Int32).Value = payload.Id.Value;
+            currentName = await command.ExecuteScalarAsync() as string;
+        }
+        if (currentName is null)
+        {
+            return Results.Json(new ErrorEnvelope($"unknown type {payload.Id.Value}"), statusCode: StatusCodes.Status404NotFound);
+        }
+        // A new icon gets a new URL, so cached copies of the old one never show up under it.
+        if (icon is not null)
+        {
+            fields["image"] = GetTypeIconUrl(payload.Id.Value, icon);
+            fields["icon_svg"] = icon;
+        }
+
+        await using (var command = connection.CreateCommand())
+        {
+            command.Transaction = transaction;
+            command.CommandText = $"UPDATE types SET {string.Join(", ", fields.Keys.Select(column => $"{column} = @{column}"))} WHERE id = @id";
+            command.Parameters.Add("@id", MySqlDbType.Int32).Value = payload.Id.Value;
+            foreach (var (column, value) in fields)
+            {
+                command.Parameters.Add($"@{column}", column switch
+                {
+                    "respawn_seconds" => MySqlDbType.Int32,
+                    "icon_svg" => MySqlDbType.MediumText,
+                    _ => MySqlDbType.VarChar,
+                }).Value = value ?? DBNull.Value;
+            }
+            await command.ExecuteNonQueryAsync();
+        }
+        await transaction.CommitAsync();
+        edit.PublishTypesChanged();
+
+        return await HandleTypeUsageAsync(dataSource);
+    }
+
+    // A type that still has markers is only deleted when they are moved to another type first. Each
+    // moved marker is an ordinary update, so it shows up in history and on open pages.
+    private static async Task<IResult> HandleDeleteTypeAsync(MySqlDataSource dataSource, PoiTypePayload? payload, EditContext edit)
+    {
+        if (payload?.Id is null)
+        {
+            return Results.Json(new ErrorEnvelope("poiType.id is required"), statusCode: StatusCodes.Status400BadRequest);
+        }
+        var typeId = payload.Id.Value;
+        if (payload.ReassignTo == typeId)
+        {
+            return Results.Json(new ErrorEnvelope("markers cannot be moved to the type being deleted"), statusCode: StatusCodes.Status400BadRequest);
+        }
+
+        await using var connection = await dataSource.OpenConnectionAsync();
+        await using var transaction = await connection.BeginTransactionAsync();
+        await using (var command = connection.CreateCommand())
+        {
+            command.Transaction = transaction;
+            command.CommandText = "SELECT 1 FROM types WHERE id = @id FOR UPDATE";
+            command.Parameters.Add("@id", MySqlDbType.Int32).Value = typeId;
+            if (await command.ExecuteScalarAsync() is null)
+            {
+                return Results.Json(new ErrorEnvelope($"unknown type {typeId}"), statusCode: StatusCodes.Status404NotFound);
+            }
+        }
+
+        var markers = new List<(string MapId, string PoiId)>();
+        await using (var command = connection.CreateCommand())
+        {
+            command.Transaction = transaction;
+            command.CommandText = "SELECT LOWER(HEX(map_id)) AS map_id, LOWER(HEX(id)) AS id FROM pois WHERE type = @id FOR UPDATE";
+            command.Parameters.Add("@id", MySqlDbType.Int32).Value = typeId;
+            await using var reader = await command.ExecuteReaderAsync();
+            while (await reader.ReadAsync())
+            {
+                markers.Add((reader.GetString("map_id"), reader.GetString("id")));
+            }
+        }
+        if (markers.Count > 0 && payload.ReassignTo is null)
+        {
+            return Results.Json(new ErrorEnvelope($"type {typeId} is still used by {markers.Count} markers; choose a type to move them to"), statusCode: StatusCodes.Status409Conflict);
+        }
+        foreach (var (mapId, poiId) in markers)
+        {
+            var result = await UpdatePoiAsync(connection, transaction, mapId, new PoiPayload { Id = poiId, Type = payload.ReassignTo }, edit);
+            if (result.Error is not null)
+            {
+                return Results.Json(new ErrorEnvelope(result.Error), statusCode: result.Status);
+            }
+        }
+
+        await using (var command = connection.CreateCommand())
+        {
+            command.Transaction = transaction;
+            command.CommandText = "DELETE FROM types WHERE id = @id";
+            command.Parameters.Add("@id", MySqlDbType.Int32).Value = typeId;
+            await command.ExecuteNonQueryAsync();
+        }
+        await transaction.CommitAsync();
+        edit.PublishDeferred();
+        edit.PublishTypesChanged();
+
+        return await HandleTypeUsageAsync(dataSource);
+    }
+
+    // Reads the optional type columns into the same shape TryReadPoiDetails uses; a respawn time of 0
+    // and an empty category or diet list clear them. The icon is returned separately because storing it
+    // also sets types.image to its versioned URL.
+    private static bool TryReadTypeFields(PoiTypePayload payload, out Dictionary<string, object?> fields, out string? icon, out string? error)
+    {
+        fields = new Dictionary<string, object?>();
+        icon = null;
+        error = null;
+
+        if (payload.Name is not null)
+        {
+            var name = payload.Name.Trim();
+            if (name.Length == 0 || name.Length > MaxTypeNameLength)
+            {
+                error = $"poiType.name must be 1 to {MaxTypeNameLength} characters";
+                return false;
+            }
+            fields["name"] = name;
+        }
+        if (payload.Category is not null)
+        {
+            var category = payload.Category.Trim();
+            if (category.Length > MaxTypeNameLength)
+            {
+                error = $"poiType.category must be at most {MaxTypeNameLength} characters";
+                return false;
+            }
+            fields["category"] = category.Length == 0 ? null : category;
+        }
+        if (payload.Diets is not null)
+        {
+            var diets = payload.Diets.Select(diet => (diet ?? string.Empty).Trim().ToLowerInvariant()).ToHashSet();
+            if (!diets.IsSubsetOf(DietTags))
+            {
+                error = $"poiType.diets may only contain {string.Join(", ", DietTags)}";
+                return false;
+            }
+            fields["diets"] = diets.Count == 0 ? null : string.Join(",", DietTags.Where(diets.Contains));
+        }
+        if (payload.RespawnSeconds is not null)
+        {
+            if (payload.RespawnSeconds.Value < 0 || payload.RespawnSeconds.Value > MaxRespawnSeconds)
+            {
+                error = $"poiType.respawnSeconds must be between 0 and {MaxRespawnSeconds}";
+                return false;
+            }
+            fields["respawn_seconds"] = payload.RespawnSeconds.Value == 0 ? null : payload.RespawnSeconds.Value;
+        }
+        if (!string.IsNullOrWhiteSpace(payload.Svg))
+        {
+            icon = SvgSanitizer.Sanitize(payload.Svg, out error);
+            if (icon is null)
+            {
+                error = $"poiType.svg {error}";
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    private static string GetTypeIconUrl(int typeId, string svg)
+    {
+        return $"{TypeIconRoute}/{typeId}.svg?v={PasswordHasher.HashToken(svg)[..8]}";
+    }
+
+    public static async Task<string?> ReadTypeIconAsync(MySqlDataSource dataSource, int typeId)
+    {
+        await using var connection = await dataSource.OpenConnectionAsync();
+        await using var command = connection.CreateCommand();
+        command.CommandText = "SELECT icon_svg FROM types WHERE id = @id";
+        command.Parameters.Add("@id", MySqlDbType.Int32).Value = typeId;
+        return await command.ExecuteScalarAsync() as string;
+    }
+
+    private static async Task<IResult> HandleMapsAsync(MySqlDataSource dataSource)
+    {
+        const string sql = @"SELECT LOWER(HEX(id)) AS id, name, folder, width, height
+                              FROM maps
+                              ORDER BY sort_order ASC, name ASC";
+
+        await using var connection = await dataSource.OpenConnectionAsync();
+        var calibration = await ReadCalibrationAsync(connection);
+
+        await using var command = connection.CreateCommand();
+        command.CommandText = sql;
+
+        var maps = new List<MapRecord>();
+        await using var reader = await command.ExecuteReaderAsync();
+        while (await reader.ReadAsync())
+        {
+            var id = reader.GetString("id");
+            maps.Add(new MapRecord(
+                id,
+                reader.GetString("name"),
+                reader.GetString("folder"),
+                reader.GetInt32("width"),
+                reader.GetInt32("height"),
+                calibration.GetValueOrDefault(id) ?? new List<CalibrationPointRecord>()));
+        }
+
+        return Results.Json(new DataEnvelope<IEnumerable<MapRecord>>(maps));
+    }
+
+    // Replaces the map's reference points; an empty list removes the calibration.
+    private static async Task<IResult> HandleSaveCalibrationAsync(MySqlDataSource dataSource, string mapId, IReadOnlyList<CalibrationPointPayload>? points)
+    {
+        if (points is null)
+        {
+            return Results.Json(new ErrorEnvelope("calibration is required"), statusCode: StatusCodes.Status400BadRequest);
+        }
+        if (points.Count == 1 || points.Count > MaxCalibrationPoints)
+        {
+            return Results.Json(new ErrorEnvelope($"calibration needs between 2 and {MaxCalibrationPoints} points"), statusCode: StatusCodes.Status400BadRequest);
+        }
+
+        var records = new List<CalibrationPointRecord>();
+        foreach (var point in points)
+        {
+            if (point.X is not (>= 0 and <= 1) || point.Y is not (>= 0 and <= 1))
+            {
+                return Results.Json(new ErrorEnvelope("calibration x and y must be between 0 and 1"), statusCode: StatusCodes.Status400BadRequest);
+            }
+            if (point.GameX is not { } gameX || point.GameY is not { } gameY || !double.IsFinite(gameX) || !double.IsFinite(gameY))
+            {
+                return Results.Json(new ErrorEnvelope("calibration gameX and gameY are required"), statusCode: StatusCodes.Status400BadRequest);
+            }
+            records.Add(new CalibrationPointRecord(point.X.Value, point.Y.Value, gameX, gameY));
+        }
+        if (records.Count > 0 && (records.All(point => point.X == records[0].X) || records.All(point => point.Y == records[0].Y)))
+        {
+            return Results.Json(new ErrorEnvelope("calibration points must differ on both axes"), statusCode: StatusCodes.Status400BadRequest);
+        }
+
+        await using var connection = await dataSource.OpenConnectionAsync();
+        await using var transaction = await connection.BeginTransactionAsync();
+        await using (var delete = connection.CreateCommand())
+        {
+            delete.Transaction = transaction;
+            delete.CommandText = "DELETE FROM map_calibration_points WHERE map_id = UNHEX(@mapId)";
+            delete.Parameters.Add("@mapId", MySqlDbType.VarChar, 32).Value = mapId;
+            await delete.ExecuteNonQueryAsync();
+        }
+        foreach (var point in records)
+        {
+            await using var insert = connection.CreateCommand();
+            insert.Transaction = transaction;
+            insert.CommandText = @"INSERT INTO map_calibration_points (map_id, x, y, game_x, game_y)
+                                   VALUES (UNHEX(@mapId), @x, @y, @gameX, @gameY)";
+            insert.Parameters.Add("@mapId", MySqlDbType.VarChar, 32).Value = mapId;
+            insert.Parameters.Add("@x", MySqlDbType.Double).Value = point.X;
+            insert.Parameters.Add("@y", MySqlDbType.Double).Value = point.Y;
+            insert.Parameters.Add("@gameX", MySqlDbType.Double).Value = point.GameX;
+            insert.Parameters.Add("@gameY", MySqlDbType.Double).Value = point.GameY;
+            await insert.ExecuteNonQueryAsync();
+        }
+        await transaction.CommitAsync();
+
+        return Results.Json(new DataEnvelope<IEnumerable<CalibrationPointRecord>>(records));
+    }
+
+    private static async Task<Dictionary<string, List<CalibrationPointRecord>>> ReadCalibrationAsync(MySqlConnection connection)
+    {
+        await using var command = connection.CreateCommand();
+        command.CommandText = @"SELECT LOWER(HEX(map_id)) AS map_id, x, y, game_x, game_y
+                                FROM map_calibration_points
+                                ORDER BY id";
+
+        var points = new Dictionary<string, List<CalibrationPointRecord>>();
+        await using var reader = await command.ExecuteReaderAsync();
+        while (await reader.ReadAsync())
+        {
+            var id = reader.GetString("map_id");
+            if (!points.TryGetValue(id, out var list))
+            {
+                list = new List<CalibrationPointRecord>();
+                points[id] = list;
+            }
+            list.Add(new CalibrationPointRecord(
+                reader.GetDouble("x"),
+                reader.GetDouble("y"),
+                reader.GetDouble("game_x"),
+                reader.GetDouble("game_y")));
+        }
+        return points;
+    }
+
+    private static async Task<IResult> HandleLoginAsync(MySqlDataSource dataSource, ApiSecurityOptions securityOptions, EditorPayload? credentials)
+    {
+        var name = credentials?.Name?.Trim();
+        var password = credentials?.Password;
+        if (string.IsNullOrEmpty(name) || string.IsNullOrEmpty(password))
+        {
+            return Results.Json(new ErrorEnvelope("name and password are required"), statusCode: StatusCodes.Status400BadRequest);
+        }
+
+        const string findSql = @"SELECT id, name, role, password_hash
+                              FROM editors
+                              WHERE name = @name AND revoked_at IS NULL
+                              LIMIT 1";
+
+        await using var connection = await dataSource.OpenConnectionAsync();
+        int? editorId = null;
+        string? editorName = null;
+        string? role = null;
+        await using (var command = connection.CreateCommand())
+        {
+            command.CommandText = findSql;
+            command.Parameters.Add("@name", MySqlDbType.VarChar, MaxEditorLength).Value = name;
+            await using var reader = await command.ExecuteReaderAsync();
+            if (await reader.ReadAsync() && PasswordHasher.Verify(password, reader.GetString("password_hash")))
+            {
+                editorId = reader.GetInt32("id");
+                editorName = reader.GetString("name");
+                role = reader.GetString("role");
+            }
+        }
+
+        // The configured access password keeps working as a built-in admin so the first editors can be created.
+        if (role is null
+            && string.Equals(name, BootstrapAdminName, StringComparison.OrdinalIgnoreCase)
+            && PasswordHasher.FixedTimeEquals(password, securityOptions.AccessPassword))
+        {
+            editorName = BootstrapAdminName;
+            role = EditorRoles.Admin;
+        }
+
+        if (role is null)
+        {
+            return Results.Json(new ErrorEnvelope("Invalid name or password"), statusCode: StatusCodes.Status401Unauthorized);
+        }
+
+        var token = PasswordHasher.CreateToken();
+        var expiresAt = DateTime.UtcNow.Add(securityOptions.SessionLifetime);
+
+        await using (var command = connection.CreateCommand())
+        {
+            command.CommandText = @"DELETE FROM editor_sessions WHERE expires_at < UTC_TIMESTAMP();
+                                    INSERT INTO editor_sessions (token_hash, editor_id, editor_name, role, created_at, expires_at)
+                                    VALUES (UNHEX(@tokenHash), @editorId, @editorName, @role, UTC_TIMESTAMP(), @expiresAt);";
+            command.Parameters.Add("@tokenHash", MySqlDbType.VarChar, 64).Value = PasswordHasher.HashToken(token);
+            command.Parameters.Add("@editorId", MySqlDbType.Int32).Value = (object?)editorId ?? DBNull.Value;
+            command.Parameters.Add("@editorName", MySqlDbType.VarChar, MaxEditorLength).Value = editorName;
+            command.Parameters.Add("@role", MySqlDbType.VarChar, 16).Value = role;
+            command.Parameters.Add("@expiresAt", MySqlDbType.DateTime).Value = expiresAt;
+            await command.ExecuteNonQueryAsync();
+        }
+
+        return Results.Json(new DataEnvelope<LoginResult>(new LoginResult(token, editorName!, role, expiresAt)));
+    }
+
+    // Creates a sync profile under a generated code, or under the passphrase the player chose.
+    private static async Task<IResult> HandleCreateSyncAsync(MySqlDataSource dataSource, SyncPayload? sync)
+    {
+        var code = string.IsNullOrWhiteSpace(sync?.Code) ? SyncCodes.Create() : sync.Code.Trim();
+        if (SyncCodes.Normalize(code).Length < MinSyncCodeLength)
+        {
+            return Results.Json(new ErrorEnvelope($"the passphrase needs at least {MinSyncCodeLength} letters or digits"), statusCode: StatusCodes.Status400BadRequest);
+        }
+
+        await using var connection = await dataSource.OpenConnectionAsync();
+        await using var command = connection.CreateCommand();
+        command.CommandText = "INSERT IGNORE INTO sync_profiles (code_hash) VALUES (UNHEX(@codeHash))";
+        command.Parameters.Add("@codeHash", MySqlDbType.VarChar, 64).Value = SyncCodes.Hash(code);
+        if (await command.ExecuteNonQueryAsync() == 0)
+        {
+            return Results.Json(new ErrorEnvelope("this passphrase is already in use; link it instead or choose another"), statusCode: StatusCodes.Status409Conflict);
+        }
+
+        return Results.Json(new DataEnvelope<SyncProfileRecord>(new SyncProfileRecord(code)), statusCode: StatusCodes.Status201Created);
+    }
+
+    // Applies the markers a device ticked or unticked since its last sync and answers with the
+    // profile's full visited set for the map; the client merges edits made in the meantime.
+    private static async Task<IResult> HandleSyncVisitedAsync(MySqlDataSource dataSource, string mapId, SyncPayload? sync)
+    {
+        if (string.IsNullOrWhiteSpace(sync?.Code))
+        {
+            return Results.Json(new ErrorEnvelope("sync code is required"), statusCode: StatusCodes.Status400BadRequest);
+        }
+        var added = sync.Added ?? Array.Empty<VisitedMarkPayload>();
+        var removed = sync.Removed ?? Array.Empty<string>();
+        if (added.Count + removed.Count > MaxSyncChanges)
+        {
+            return Results.Json(new ErrorEnvelope($"at most {MaxSyncChanges} changes can be synced at once"), statusCode: StatusCodes.Status400BadRequest);
+        }
+        var now = DateTime.UtcNow;
+        var marks = new List<(string PoiId, DateTime TakenAt)>();
+        foreach (var mark in added)
+        {
+            var poiId = HexGuid.Normalize(mark?.Id);
+            if (poiId is null)
+            {
+                return Results.Json(new ErrorEnvelope("visited ids must be 32 hex characters"), statusCode: StatusCodes.Status400BadRequest);
+            }
+            var takenAt = now;
+            if (!string.IsNullOrWhiteSpace(mark!.TakenAt))
+            {
+                if (!DateTime.TryParse(mark.TakenAt.Trim(), CultureInfo.InvariantCulture, DateTimeStyles.AdjustToUniversal | DateTimeStyles.AssumeUniversal, out takenAt))
+                {
+                    return Results.Json(new ErrorEnvelope("takenAt must be an ISO 8601 timestamp"), statusCode: StatusCodes.Status400BadRequest);
+                }
+                // A device with a fast clock must not hold a marker taken for longer than it really is.
+                takenAt = takenAt > now ? now : DateTime.SpecifyKind(takenAt, DateTimeKind.Utc);
+            }
+            marks.Add((poiId, takenAt));
+        }
+        var removedIds = removed.Select(HexGuid.Normalize).ToList();
+        if (removedIds.Contains(null))
+        {
+            return Results.Json(new ErrorEnvelope("visited ids must be 32 hex characters"), statusCode: StatusCodes.Status400BadRequest);
+        }
+
+        await using var connection = await dataSource.OpenConnectionAsync();
+        long profileId;
+        await using (var lookup = connection.CreateCommand())
+        {
+            lookup.CommandText = "SELECT id FROM sync_profiles WHERE code_hash = UNHEX(@codeHash) LIMIT 1";
+            lookup.Parameters.Add("@codeHash", MySqlDbType.VarChar, 64).Value = SyncCodes.Hash(sync.Code);
+            if (await lookup.ExecuteScalarAsync() is not long id)
+            {
+                return Results.Json(new ErrorEnvelope("Unknown sync code"), statusCode: StatusCodes.Status404NotFound);
+            }
+            profileId = id;
+        }
+        await using (var touch = connection.CreateCommand())
+        {
+            touch.CommandText = "UPDATE sync_profiles SET last_seen_at = UTC_TIMESTAMP() WHERE id = @profileId";
+            touch.Parameters.Add("@profileId", MySqlDbType.Int64).Value = profileId;
+            await touch.ExecuteNonQueryAsync();
+        }
+
+        await using (var transaction = await connection.BeginTransactionAsync())
+        {
+            // Taking a marker again moves its time forward; the latest take wins between devices.
+            foreach (var (poiId, takenAt) in marks)
+            {
+                await using var command = connection.CreateCommand();
+                command.Transaction = transaction;
+                command.CommandText = @"INSERT INTO visited_pois (profile_id, map_id, poi_id, visited_at)
+                                        VALUES (@profileId, UNHEX(@mapId), UNHEX(@poiId), @visitedAt)
+                                        ON DUPLICATE KEY UPDATE visited_at = GREATEST(visited_at, @visitedAt)";
+                command.Parameters.Add("@profileId", MySqlDbType.Int64).Value = profileId;
+                command.Parameters.Add("@mapId", MySqlDbType.VarChar, 32).Value = mapId;
+                command.Parameters.Add("@poiId", MySqlDbType.VarChar, 32).Value = poiId;
+                command.Parameters.Add("@visitedAt", MySqlDbType.DateTime).Value = takenAt;
+                await command.ExecuteNonQueryAsync();
+            }
+            foreach (var poiId in removedIds)
+            {
+                await using var command = connection.CreateCommand();
+                command.Transaction = transaction;
+                command.CommandText = @"DELETE FROM visited_pois
+                                        WHERE profile_id = @profileId AND map_id = UNHEX(@mapId) AND poi_id = UNHEX(@poiId)";
+                command.Parameters.Add("@profileId", MySqlDbType.Int64).Value = profileId;
+                command.Parameters.Add("@mapId", MySqlDbType.VarChar, 32).Value = mapId;
+                command.Parameters.Add("@poiId", MySqlDbType.VarChar, 32).Value = poiId;
+                await command.ExecuteNonQueryAsync();
+            }
+            await transaction.CommitAsync();
+        }
+
+        var visited = new List<VisitedMarkRecord>();
+        await using (var command = connection.CreateCommand())
+        {
+            command.CommandText = @"SELECT LOWER(HEX(poi_id)) AS poi_id, visited_at
+                                    FROM visited_pois
+                                    WHERE profile_id = @profileId AND map_id = UNHEX(@mapId)";
+            command.Parameters.Add("@profileId", MySqlDbType.Int64).Value = profileId;
+            command.Parameters.Add("@mapId", MySqlDbType.VarChar, 32).Value = mapId;
+            await using var reader = await command.ExecuteReaderAsync();
+            while (await reader.ReadAsync())
+            {
+                visited.Add(new VisitedMarkRecord(
+                    reader.GetString("poi_id"),
+                    DateTime.SpecifyKind(reader.GetDateTime("visited_at"), DateTimeKind.Utc)));
+            }
+        }
+
+        return Results.Json(new DataEnvelope<VisitedSyncResult>(new VisitedSyncResult(visited)));
+    }
+
+    private static async Task<IResult> HandleLogoutAsync(MySqlDataSource dataSource, string? token)
+    {
+        if (string.IsNullOrWhiteSpace(token))
+        {
+            return Results.Json(new DataEnvelope<bool>(false));
+        }
+
+        await using var connection = await dataSource.OpenConnectionAsync();
+        await using var command = connection.CreateCommand();
+        command.CommandText = "DELETE FROM editor_sessions WHERE token_hash = UNHEX(@tokenHash)";
+        command.Parameters.Add("@tokenHash", MySqlDbType.VarChar, 64).Value = PasswordHasher.HashToken(token.Trim());
+
+        var affected = await command.ExecuteNonQueryAsync();
+        return Results.Json(new DataEnvelope<bool>(affected > 0));
+    }
+
+    // Roles are read from the editor row on every request so demotions and revocations apply immediately.
+    private static async Task<EditorSession?> FindSessionAsync(MySqlDataSource dataSource, string? token)
+    {
+        if (string.IsNullOrWhiteSpace(token))
+        {
+            return null;
+        }
+
+        const string sql = @"SELECT s.editor_name, COALESCE(e.role, s.role) AS role
+                              FROM editor_sessions s
+                              LEFT JOIN editors e ON e.id = s.editor_id
+                              WHERE s.token_hash = UNHEX(@tokenHash)
+                                AND s.expires_at > UTC_TIMESTAMP()
+                                AND (s.editor_id IS NULL OR (e.id IS NOT NULL AND e.revoked_at IS NULL))
+                              LIMIT 1";
+
+        await using var connection = await dataSource.OpenConnectionAsync();
+        await using var command = connection.CreateCommand();
+        command.CommandText = sql;
+        command.Parameters.Add("@tokenHash", MySqlDbType.VarChar, 64).Value = PasswordHasher.HashToken(token.Trim());
+
+        await using var reader = await command.ExecuteReaderAsync();
+        return await reader.ReadAsync()
+            ? new EditorSession(reader.GetString("editor_name"), reader.GetString("role"))
+            : null;
+    }
+
+    private static async Task<IResult> HandleEditorsAsync(MySqlDataSource dataSource)
+    {
+        const string sql = @"SELECT name, role, created_at, revoked_at
+                              FROM editors
+                              ORDER BY revoked_at IS NOT NULL, name";
+
+        await using var connection = await dataSource.OpenConnectionAsync();
+        await using var command = connection.CreateCommand();
+        command.CommandText = sql;
+
+        var editors = new List<EditorRecord>();
+        await using var reader = await command.ExecuteReaderAsync();
+        while (await reader.ReadAsync())
+        {
+            var revokedOrdinal = reader.GetOrdinal("revoked_at");
+            editors.Add(new EditorRecord(
+                reader.GetString("name"),
+                reader.GetString("role"),
+                DateTime.SpecifyKind(reader.GetDateTime("created_at"), DateTimeKind.Utc),
+                reader.IsDBNull(revokedOrdinal) ? null : DateTime.SpecifyKind(reader.GetDateTime(revokedOrdinal), DateTimeKind.Utc)));
+        }
+
+        return Results.Json(new DataEnvelope<IEnumerable<EditorRecord>>(editors));
+    }
+
+    // Creates an editor or updates the role/password of an existing one. Saving a revoked editor reinstates it.
+    private static async Task<IResult> HandleSaveEditorAsync(MySqlDataSource dataSource, EditorPayload? payload, EditorSession session)
+    {
+        var name = payload?.Name?.Trim();
+        if (string.IsNullOrEmpty(name) || name.Length > MaxEditorLength)
+        {
+            return Results.Json(new ErrorEnvelope($"editor.name is required and must be at most {MaxEditorLength} characters"), statusCode: StatusCodes.Status400BadRequest);
+        }
+        var role = payload!.Role?.Trim().ToLowerInvariant();
+        if (!EditorRoles.IsValid(role))
+        {
+            return Results.Json(new ErrorEnvelope("editor.role must be viewer, editor or admin"), statusCode: StatusCodes.Status400BadRequest);
+        }
+        var password = string.IsNullOrEmpty(payload.Password) ? null : payload.Password;
+        if (password is not null && password.Length < MinPasswordLength)
+        {
+            return Results.Json(new ErrorEnvelope($"editor.password must be at least {MinPasswordLength} characters"), statusCode: StatusCodes.Status400BadRequest);
+        }
+        if (string.Equals(name, session.Name, StringComparison.OrdinalIgnoreCase) && role != session.Role)
+        {
+            return Results.Json(new ErrorEnvelope("You cannot change your own role"), statusCode: StatusCodes.Status400BadRequest);
+        }
+
+        await using var connection = await dataSource.OpenConnectionAsync();
+        await using var transaction = await connection.BeginTransactionAsync();
+        int? editorId;
+        await using (var command = connection.CreateCommand())
+        {
+            command.Transaction = transaction;
+            command.CommandText = "SELECT id FROM editors WHERE name = @name LIMIT 1 FOR UPDATE";
+            command.Parameters.Add("@name", MySqlDbType.VarChar, MaxEditorLength).Value = name;
+            editorId = await command.ExecuteScalarAsync() is { } id ? Convert.ToInt32(id, CultureInfo.InvariantCulture) : null;
+        }
+        if (editorId is null && password is null)
+        {
+            return Results.Json(new ErrorEnvelope("editor.password is required for new editors"), statusCode: StatusCodes.Status400BadRequest);
+        }
+
+        await using (var command = connection.CreateCommand())
+        {
+            command.Transaction = transaction;
+            command.CommandText = editorId is null
+                ? @"INSERT INTO editors (name, role, password_hash, created_at) VALUES (@name, @role, @passwordHash, UTC_TIMESTAMP())"
+                : @"UPDATE editors
+                    SET role = @role, password_hash = COALESCE(@passwordHash, password_hash), revoked_at = NULL
+                    WHERE id = @id";
+            command.Parameters.Add("@name", MySqlDbType.VarChar, MaxEditorLength).Value = name;
+            command.Parameters.Add("@role", MySqlDbType.VarChar, 16).Value = role;
+            command.Parameters.Add("@passwordHash", MySqlDbType.VarChar, 255).Value = password is null ? DBNull.Value : PasswordHasher.Hash(password);
+            command.Parameters.Add("@id", MySqlDbType.Int32).Value = (object?)editorId ?? DBNull.Value;
+            await command.ExecuteNonQueryAsync();
+        }
+
+        // A new password signs the editor out everywhere.
+        if (editorId is not null && password is not null)
+        {
+            await DeleteEditorSessionsAsync(connection, transaction, editorId.Value);
+        }
+        await transaction.CommitAsync();
+
+        return await HandleEditorsAsync(dataSource);
+    }
+
+    private static async Task<IResult> HandleRevokeEditorAsync(MySqlDataSource dataSource, EditorPayload? payload, EditorSession session)
+    {
+        var name = payload?.Name?.Trim();
+        if (string.IsNullOrEmpty(name))
+        {
+            return Results.Json(new ErrorEnvelope("editor.name is required"), statusCode: StatusCodes.Status400BadRequest);
+        }
+        if (string.Equals(name, session.Name, StringComparison.OrdinalIgnoreCase))
+        {
+            return Results.Json(new ErrorEnvelope("You cannot revoke your own account"), statusCode: StatusCodes.Status400BadRequest);
+        }
+
+        await using var connection = await dataSource.OpenConnectionAsync();
+        await using var transaction = await connection.BeginTransactionAsync();
+        int? editorId;
+        await using (var command = connection.CreateCommand())
+        {
+            command.Transaction = transaction;
+            command.CommandText = "SELECT id FROM editors WHERE name = @name LIMIT 1 FOR UPDATE";
+            command.Parameters.Add("@name", MySqlDbType.VarChar, MaxEditorLength).Value = name;
+            editorId = await command.ExecuteScalarAsync() is { } id ? Convert.ToInt32(id, CultureInfo.InvariantCulture) : null;
+        }
+        if (editorId is null)
+        {
+            return Results.Json(new ErrorEnvelope("Editor not found"), statusCode: StatusCodes.Status404NotFound);
+        }
+
+        await using (var command = connection.CreateCommand())
+        {
+            command.Transaction = transaction;
+            command.CommandText = "UPDATE editors SET revoked_at = COALESCE(revoked_at, UTC_TIMESTAMP()) WHERE id = @id";
+            command.Parameters.Add("@id", MySqlDbType.Int32).Value = editorId.Value;
+            await command.ExecuteNonQueryAsync();
+        }
+        await DeleteEditorSessionsAsync(connection, transaction, editorId.Value);
+        await transaction.CommitAsync();
+
+        return await HandleEditorsAsync(dataSource);
+    }
+
+    private static async Task DeleteEditorSessionsAsync(MySqlConnection connection, MySqlTransaction transaction, int editorId)
+    {
+        await using var command = connection.CreateCommand();
+        command.Transaction = transaction;
+        command.CommandText = "DELETE FROM editor_sessions WHERE editor_id = @id";
+        command.Parameters.Add("@id", MySqlDbType.Int32).Value = editorId;
+        await command.ExecuteNonQueryAsync();
+    }
+}
+
+// Who is making a change and where to announce it once it is committed.
+sealed record EditContext(string? Editor, string? ClientId, PoiEventHub Events)
+{
+    private readonly List<PoiEventRecord> deferred = new();
+
+    public void Publish(string action, string mapId, string poiId, PoiRecord? poi) =>
+        Events.Publish(new PoiEventRecord(action, mapId, poiId, poi, Editor, ClientId));
+
+    // Held back until the surrounding transaction commits; dropped if it rolls back.
+    public void Defer(string action, string mapId, string poiId, PoiRecord? poi) =>
+        deferred.Add(new PoiEventRecord(action, mapId, poiId, poi, Editor, ClientId));
+
+    public void PublishDeferred()
+    {
+        deferred.ForEach(Events.Publish);
+        deferred.Clear();
+    }
+
+    // Types are shared by all maps, so every open page reloads its catalog.
+    public void PublishTypesChanged() =>
+        Events.PublishToAll(new PoiEventRecord("types", string.Empty, string.Empty, null, Editor, ClientId));
+}
+
+// Outcome of one create/update/delete, shared by the single actions and batch.
+sealed record PoiOperationResult(int Status, object? Data, string? Error = null)
+{
+    public static PoiOperationResult Failed(int status, string error) => new(status, null, error);
+}
+
+sealed class PoiEventHub
+{
+    private const int SubscriberBufferSize = 256;
+    private const int RetryMilliseconds = 3000;
+    private static readonly TimeSpan HeartbeatInterval = TimeSpan.FromSeconds(25);
+    private static readonly JsonSerializerOptions EventJsonOptions = new(JsonSerializerDefaults.Web)
+    {
+        DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull,
+    };
+
+    private readonly ConcurrentDictionary<Guid, Subscriber> subscribers = new();
+
+    private sealed record Subscriber(string MapId, Channel<PoiEventRecord> Channel);
+
+    public void Publish(PoiEventRecord change)
+    {
+        foreach (var (id, subscriber) in subscribers)
+        {
+            if (subscriber.MapId == change.MapId)
+            {
+                Deliver(id, subscriber, change);
+            }
+        }
+    }
+
+    public void PublishToAll(PoiEventRecord change)
+    {
+        foreach (var (id, subscriber) in subscribers)
+        {
+            Deliver(id, subscriber, change with { MapId = subscriber.MapId });
+        }
+    }
+
+    // A subscriber that cannot keep up is disconnected; the client reloads the map when it reconnects.
+    private void Deliver(Guid id, Subscriber subscriber, PoiEventRecord change)
+    {
+        if (!subscriber.Channel.Writer.TryWrite(change))
+        {
+            subscriber.Channel.Writer.TryComplete();
+            subscribers.TryRemove(id, out _);
+        }
+    }
+
+    public async Task StreamAsync(HttpContext context, string mapId)
+    {
+        var id = Guid.NewGuid();
+        var channel = Channel.CreateBounded<PoiEventRecord>(new BoundedChannelOptions(SubscriberBufferSize)
+        {
+            SingleReader = true,
+            FullMode = BoundedChannelFullMode.Wait,
+        });
+        subscribers[id] = new Subscriber(mapId, channel);
+
+        var response = context.Response;
+        var cancellation = context.RequestAborted;
+        response.Headers.ContentType = "text/event-stream";
+        response.Headers.CacheControl = "no-cache";
+        response.Headers["X-Accel-Buffering"] = "no";
+
+        try
+        {
+            await response.WriteAsync($"retry: {RetryMilliseconds}\n\n", cancellation);
+            await response.Body.FlushAsync(cancellation);
+            while (true)
+            {
+                using var heartbeat = CancellationTokenSource.CreateLinkedTokenSource(cancellation);
+                heartbeat.CancelAfter(HeartbeatInterval);
+                bool hasEvents;
+                try
+                {
+                    hasEvents = await channel.Reader.WaitToReadAsync(heartbeat.Token);
+                }
+                catch (OperationCanceledException) when (!cancellation.IsCancellationRequested)
+                {
+                    // Comment lines keep proxies from closing an idle stream.
+                    await response.WriteAsync(": ping\n\n", cancellation);
+                    await response.Body.FlushAsync(cancellation);
+                    continue;
+                }
+                if (!hasEvents)
+                {
+                    break;
+                }
+                while (channel.Reader.TryRead(out var change))
+                {
+                    var json = JsonSerializer.Serialize(change, EventJsonOptions);
+                    await response.WriteAsync($"event: poi\ndata: {json}\n\n", cancellation);
+                }
+                await response.Body.FlushAsync(cancellation);
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // the client went away
+        }
+        finally
+        {
+            subscribers.TryRemove(id, out _);
+        }
+    }
+}
+
+static class EditorRoles
+{
+    public const string Viewer = "viewer";
+    public const string Editor = "editor";
+    public const string Admin = "admin";
+
+    // Ordered from least to most privileged; each role can do everything the ones before it can.
+    private static readonly string[] Ranked = { Viewer, Editor, Admin };
+
+    public static bool IsValid(string? role) => role is not null && Array.IndexOf(Ranked, role) >= 0;
+
+    public static bool Allows(string role, string requiredRole) =>
+        Array.IndexOf(Ranked, role) >= Array.IndexOf(Ranked, requiredRole);
+}
+
+static class PasswordHasher
+{
+    private const int SaltSize = 16;
+    private const int HashSize = 32;
+    private const int Iterations = 210_000;
+    private const string Scheme = "pbkdf2-sha256";
+
+    // Stored as "pbkdf2-sha256$<iterations>$<salt>$<hash>" with base64 salt and hash.
+    public static string Hash(string password)
+    {
+        var salt = RandomNumberGenerator.GetBytes(SaltSize);
+        var hash = Rfc2898DeriveBytes.Pbkdf2(password, salt, Iterations, HashAlgorithmName.SHA256, HashSize);
+        return $"{Scheme}${Iterations}${Convert.ToBase64String(salt)}${Convert.ToBase64String(hash)}";
+    }
+
+    public static bool Verify(string password, string stored)
+    {
+        var parts = stored.Split('$');
+        if (parts.Length != 4 || parts[0] != Scheme || !int.TryParse(parts[1], NumberStyles.None, CultureInfo.InvariantCulture, out var iterations))
+        {
+            return false;
+        }
+        try
+        {
+            var salt = Convert.FromBase64String(parts[2]);
+            var expected = Convert.FromBase64String(parts[3]);
+            var actual = Rfc2898DeriveBytes.Pbkdf2(password, salt, iterations, HashAlgorithmName.SHA256, expected.Length);
+            return CryptographicOperations.FixedTimeEquals(actual, expected);
+        }
+        catch (FormatException)
+        {
+            return false;
+        }
+    }
+
+    public static bool FixedTimeEquals(string submitted, string expected)
+    {
+        if (string.IsNullOrEmpty(expected))
+        {
+            return false;
+        }
+        return CryptographicOperations.FixedTimeEquals(
+            SHA256.HashData(Encoding.UTF8.GetBytes(submitted)),
+            SHA256.HashData(Encoding.UTF8.GetBytes(expected)));
+    }
+
+    public static string CreateToken() => Convert.ToHexString(RandomNumberGenerator.GetBytes(32)).ToLowerInvariant();
+
+    // Only a hash of each session token is stored, so a leaked table cannot be replayed.
+    public static string HashToken(string token) =>
+        Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(token))).ToLowerInvariant();
+}
+
+static class SyncCodes
+{
+    // No 0/O or 1/I so codes survive being read out loud or copied by hand.
+    private const string Alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+    private const int GroupCount = 4;
+    private const int GroupLength = 4;
+
+    public static string Create()
+    {
+        var groups = Enumerable.Range(0, GroupCount)
+            .Select(_ => new string(Enumerable.Range(0, GroupLength)
+                .Select(_ => Alphabet[RandomNumberGenerator.GetInt32(Alphabet.Length)])
+                .ToArray()));
+        return string.Join('-', groups);
+    }
+
+    // Case, spaces and dashes do not matter, so "abcd efgh" and "ABCD-EFGH" are the same code.
+    public static string Normalize(string code) =>
+        new string(code.Where(char.IsLetterOrDigit).Select(char.ToUpperInvariant).ToArray());
+
+    public static string Hash(string code) => PasswordHasher.HashToken(Normalize(code));
+}
+
+// Uploaded icons are served from our own origin by /api/type-icons and can be opened there directly.
+// The endpoint's CSP is a second line of defence; the markup itself keeps only plain drawing: no
+// scripts, event handlers, foreign content or links to anything outside the file.
+static class SvgSanitizer
+{
+    public const int MaxLength = 256 * 1024;
+
+    private static readonly XNamespace SvgNamespace = "http://www.w3.org/2000/svg";
+    private static readonly XNamespace XLinkNamespace = "http://www.w3.org/1999/xlink";
+
+    private static readonly HashSet<string> AllowedElements = new(StringComparer.Ordinal)
+    {
+        "svg", "g", "defs", "symbol", "use", "title", "desc",
+        "path", "rect", "circle", "ellipse", "line", "polyline", "polygon", "text", "tspan",
+        "linearGradient", "radialGradient", "stop", "clipPath", "mask", "pattern",
+    };
+
+    private static readonly HashSet<string> AllowedAttributes = new(StringComparer.Ordinal)
+    {
+        "id", "class", "style", "viewBox", "preserveAspectRatio", "width", "height", "x", "y",
+        "x1", "y1", "x2", "y2", "cx", "cy", "r", "rx", "ry", "fx", "fy", "d", "points", "transform",
+        "fill", "fill-opacity", "fill-rule", "stroke", "stroke-width", "stroke-opacity", "stroke-linecap",
+        "stroke-linejoin", "stroke-miterlimit", "stroke-dasharray", "stroke-dashoffset", "opacity",
+        "clip-path", "clip-rule", "mask", "offset", "stop-color", "stop-opacity", "gradientUnits",
+        "gradientTransform", "patternUnits", "patternTransform", "spreadMethod", "href",
+        "font-family", "font-size", "font-weight", "text-anchor", "dominant-baseline", "visibility", "display",
+    };
+
+    public static string? Sanitize(string svg, out string? error)
+    {
+        error = null;
+        if (svg.Length > MaxLength)
+        {
+            error = $"must be at most {MaxLength / 1024} KB";
+            return null;
+        }
+
+        XDocument document;
+        try
+        {
+            var settings = new XmlReaderSettings { DtdProcessing = DtdProcessing.Ignore, XmlResolver = null };
+            using var reader = XmlReader.Create(new StringReader(svg), settings);
+            document = XDocument.Load(reader);
+        }
+        catch (XmlException)
+        {
+            error = "is not valid XML";
+            return null;
+        }
+        var root = document.Root;
+        if (root is null || root.Name != SvgNamespace + "svg")
+        {
+            error = "must be an <svg> document";
+            return null;
+        }
+
+        Clean(root);
+        return root.ToString(SaveOptions.DisableFormatting);
+    }
+
+    private static void Clean(XElement element)
+    {
+        foreach (var node in element.Nodes().ToList())
+        {
+            if (node is XElement child)
+            {
+                if (child.Name.Namespace != SvgNamespace || !AllowedElements.Contains(child.Name.LocalName))
+                {
+                    child.Remove();
+                    continue;
+                }
+                Clean(child);
+            }
+            else if (node is not XText)
+            {
+                node.Remove();
+            }
+        }
+
+        foreach (var attribute in element.Attributes().ToList())
+        {
+            if (attribute.IsNamespaceDeclaration)
+            {
+                // Only the SVG and XLink namespaces survive; anything else has just been stripped.
+                if (attribute.Value != SvgNamespace.NamespaceName && attribute.Value != XLinkNamespace.NamespaceName)
+                {
+                    attribute.Remove();
+                }
+                continue;
+            }
+            var name = attribute.Name;
+            var allowed = name.Namespace == XNamespace.None
+                ? AllowedAttributes.Contains(name.LocalName)
+                : name == XLinkNamespace + "href";
+            if (!allowed || !IsSafeValue(name.LocalName, attribute.Value))
+            {
+                attribute.Remove();
+            }
+        }
+    }
+
+    // References may only point inside the file: "#id" links and url(#id) paints.
+    private static bool IsSafeValue(string name, string value)
+    {
+        if (name == "href")
+        {
+            return value.StartsWith('#');
+        }
+        var lower = value.ToLowerInvariant();
+        if (lower.Contains("expression") || lower.Contains("@import") || lower.Contains("javascript:"))
+        {
+            return false;
+        }
+        var index = lower.IndexOf("url(", StringComparison.Ordinal);
+        while (index >= 0)
+        {
+            var target = lower[(index + 4)..].TrimStart(' ', '"', '\'');
+            if (!target.StartsWith('#'))
+            {
+                return false;
+            }
+            index = lower.IndexOf("url(", index + 4, StringComparison.Ordinal);
+        }
+        return true;
     }
 }
 
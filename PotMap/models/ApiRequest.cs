@@ -4,8 +4,18 @@
     {
         public string? Action { get; init; }
         public string? MapId { get; init; }
-        public string? Code { get; init; }
+        public string? Token { get; init; }
+        public string? ClientId { get; init; }
         public PoiPayload? Poi { get; init; }
+        public IReadOnlyList<PoiPayload>? Pois { get; init; }
+        public IReadOnlyList<BatchOperationPayload>? Operations { get; init; }
         public string? PoiId { get; init; }
+        public EditorPayload? Editor { get; init; }
+        public long? ChangeId { get; init; }
+        public int? Limit { get; init; }
+        public double? Radius { get; init; }
+        public SyncPayload? Sync { get; init; }
+        public PoiTypePayload? PoiType { get; init; }
+        public IReadOnlyList<CalibrationPointPayload>? Calibration { get; init; }
     }
 }
@@ -4,5 +4,6 @@
     {
         public const string SectionName = "ApiSecurity";
         public string AccessPassword { get; set; } = string.Empty;
+        public TimeSpan SessionLifetime { get; set; } = TimeSpan.FromHours(12);
     }
 }
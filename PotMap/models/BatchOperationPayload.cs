@@ -0,0 +1,9 @@
+﻿namespace PotMap.models
+{
+    sealed record BatchOperationPayload
+    {
+        public string? Action { get; init; }
+        public PoiPayload? Poi { get; init; }
+        public string? PoiId { get; init; }
+    }
+}
@@ -0,0 +1,10 @@
+﻿namespace PotMap.models
+{
+    sealed record CalibrationPointPayload
+    {
+        public double? X { get; init; }
+        public double? Y { get; init; }
+        public double? GameX { get; init; }
+        public double? GameY { get; init; }
+    }
+}
@@ -0,0 +1,9 @@
+﻿namespace PotMap.models
+{
+    sealed record EditorPayload
+    {
+        public string? Name { get; init; }
+        public string? Password { get; init; }
+        public string? Role { get; init; }
+    }
+}
@@ -6,5 +6,9 @@
         public int? Type { get; init; }
         public double? X { get; init; }
         public double? Y { get; init; }
+        public string? Title { get; init; }
+        public string? Note { get; init; }
+        public int? Quantity { get; init; }
+        public string? VerifiedAt { get; init; }
     }
 }
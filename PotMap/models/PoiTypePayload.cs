@@ -0,0 +1,13 @@
+﻿namespace PotMap.models
+{
+    sealed record PoiTypePayload
+    {
+        public int? Id { get; init; }
+        public string? Name { get; init; }
+        public string? Category { get; init; }
+        public string? Svg { get; init; }
+        public int? RespawnSeconds { get; init; }
+        public IReadOnlyList<string>? Diets { get; init; }
+        public int? ReassignTo { get; init; }
+    }
+}
@@ -1,12 +1,74 @@
 ﻿namespace PotMap.models
 {
-    sealed record PoiRecord(string Id, string MapId, int Type, double X, double Y);
+    sealed record PoiRecord(
+        string Id,
+        string MapId,
+        int Type,
+        double X,
+        double Y,
+        string? Title = null,
+        string? Note = null,
+        int? Quantity = null,
+        DateTime? VerifiedAt = null);
 
-    sealed record PoiUpdateRecord(string Id, string MapId, double X, double Y, bool Updated);
+    sealed record PoiUpdateRecord(
+        string Id,
+        string MapId,
+        int? Type,
+        double? X,
+        double? Y,
+        string? Title,
+        string? Note,
+        int? Quantity,
+        DateTime? VerifiedAt,
+        bool Updated);
 
     sealed record DeleteResult(string Id, string MapId, bool Deleted);
 
-    sealed record PoiTypeRecord(int Id, string Name, string Image);
+    sealed record ImportResult(int Created, int Updated, int Unchanged);
+
+    sealed record BatchOperationResult(int Index, string Action, int Status, object? Data, string? Error);
+
+    sealed record BatchResult(bool Committed, IReadOnlyList<BatchOperationResult> Results);
+
+    sealed record DuplicateCluster(int Type, IReadOnlyList<PoiRecord> Pois);
+
+    sealed record PoiChangeRecord(
+        long Id,
+        string PoiId,
+        string Action,
+        PoiRecord? Before,
+        PoiRecord? After,
+        string? Editor,
+        DateTime ChangedAt);
+
+    sealed record PoiEventRecord(
+        string Action,
+        string MapId,
+        string PoiId,
+        PoiRecord? Poi,
+        string? Editor,
+        string? ClientId);
+
+    sealed record PoiTypeRecord(int Id, string Name, string Image, int? RespawnSeconds, string? Category, IReadOnlyList<string> Diets);
+
+    sealed record TypeUsageRecord(int Id, string Name, string Image, int? RespawnSeconds, string? Category, IReadOnlyList<string> Diets, int Markers);
+
+    sealed record MapRecord(string Id, string Name, string Folder, int Width, int Height, IReadOnlyList<CalibrationPointRecord> Calibration);
+
+    sealed record CalibrationPointRecord(double X, double Y, double GameX, double GameY);
+
+    sealed record SyncProfileRecord(string Code);
+
+    sealed record VisitedMarkRecord(string Id, DateTime TakenAt);
+
+    sealed record VisitedSyncResult(IReadOnlyList<VisitedMarkRecord> Visited);
+
+    sealed record LoginResult(string Token, string Name, string Role, DateTime ExpiresAt);
+
+    sealed record EditorRecord(string Name, string Role, DateTime CreatedAt, DateTime? RevokedAt);
+
+    sealed record EditorSession(string Name, string Role);
 
     sealed record DataEnvelope<T>(T Data);
 
@@ -0,0 +1,9 @@
+﻿namespace PotMap.models
+{
+    sealed record SyncPayload
+    {
+        public string? Code { get; init; }
+        public IReadOnlyList<VisitedMarkPayload>? Added { get; init; }
+        public IReadOnlyList<string>? Removed { get; init; }
+    }
+}
@@ -0,0 +1,8 @@
+﻿namespace PotMap.models
+{
+    sealed record VisitedMarkPayload
+    {
+        public string? Id { get; init; }
+        public string? TakenAt { get; init; }
+    }
+}
@@ -0,0 +1,16 @@
+-- Baseline schema the API expects. Ids are 16-byte GUIDs exchanged as 32 hex characters.
+
+CREATE TABLE IF NOT EXISTS types (
+    id INT NOT NULL PRIMARY KEY,
+    name VARCHAR(64) NOT NULL,
+    image VARCHAR(128) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS pois (
+    id BINARY(16) NOT NULL PRIMARY KEY,
+    map_id BINARY(16) NOT NULL,
+    type INT NOT NULL,
+    x DOUBLE NOT NULL,
+    y DOUBLE NOT NULL,
+    KEY ix_pois_map (map_id)
+);
@@ -0,0 +1,13 @@
+-- Map registry used by the map switcher. folder is the directory under wwwroot/tiles.
+
+CREATE TABLE IF NOT EXISTS maps (
+    id BINARY(16) NOT NULL PRIMARY KEY,
+    name VARCHAR(64) NOT NULL,
+    folder VARCHAR(64) NOT NULL,
+    width INT NOT NULL,
+    height INT NOT NULL,
+    sort_order INT NOT NULL DEFAULT 0
+);
+
+INSERT IGNORE INTO maps (id, name, folder, width, height, sort_order)
+VALUES (UNHEX('f1a07941faef496095bf69e01705bc6a'), 'Gondwa', 'gondwa', 9400, 9400, 0);
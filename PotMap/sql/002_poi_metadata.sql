@@ -0,0 +1,7 @@
+-- Optional per-POI details shown in the marker popover.
+
+ALTER TABLE pois
+    ADD COLUMN title VARCHAR(100) NULL,
+    ADD COLUMN note VARCHAR(1000) NULL,
+    ADD COLUMN quantity INT NULL,
+    ADD COLUMN verified_at DATETIME NULL;
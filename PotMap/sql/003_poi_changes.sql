@@ -0,0 +1,15 @@
+-- Append-only change log for POI edits. The application never updates or deletes rows here;
+-- grant the API user only SELECT and INSERT on this table to enforce that.
+
+CREATE TABLE IF NOT EXISTS poi_changes (
+    id BIGINT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    map_id BINARY(16) NOT NULL,
+    poi_id BINARY(16) NOT NULL,
+    action VARCHAR(16) NOT NULL,
+    before_json JSON NULL,
+    after_json JSON NULL,
+    editor VARCHAR(64) NULL,
+    changed_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    KEY ix_poi_changes_map (map_id, id),
+    KEY ix_poi_changes_poi (poi_id)
+);
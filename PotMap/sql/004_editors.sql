@@ -0,0 +1,24 @@
+-- Named editor accounts and their login sessions. Roles: viewer, editor, admin.
+-- Passwords are stored as PBKDF2 hashes and sessions only by the SHA-256 of their token.
+-- The first admin signs in as "admin" with POTMAP_ACCESS_PASSWORD and creates the other accounts.
+
+CREATE TABLE IF NOT EXISTS editors (
+    id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(64) NOT NULL,
+    role VARCHAR(16) NOT NULL DEFAULT 'editor',
+    password_hash VARCHAR(255) NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    revoked_at DATETIME NULL,
+    UNIQUE KEY ux_editors_name (name)
+);
+
+CREATE TABLE IF NOT EXISTS editor_sessions (
+    token_hash BINARY(32) NOT NULL PRIMARY KEY,
+    editor_id INT NULL,
+    editor_name VARCHAR(64) NOT NULL,
+    role VARCHAR(16) NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    KEY ix_editor_sessions_editor (editor_id),
+    CONSTRAINT fk_editor_sessions_editor FOREIGN KEY (editor_id) REFERENCES editors (id) ON DELETE CASCADE
+);
@@ -0,0 +1,12 @@
+-- Reference points that tie normalized map coordinates (0..1) to the game's own location readout.
+-- Two points give a scale and offset per axis; three or more are fitted as a full affine transform.
+
+CREATE TABLE IF NOT EXISTS map_calibration_points (
+    id BIGINT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    map_id BINARY(16) NOT NULL,
+    x DOUBLE NOT NULL,
+    y DOUBLE NOT NULL,
+    game_x DOUBLE NOT NULL,
+    game_y DOUBLE NOT NULL,
+    INDEX ix_map_calibration_points_map (map_id)
+);
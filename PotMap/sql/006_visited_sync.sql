@@ -0,0 +1,19 @@
+-- Optional player profiles that keep visited markers in sync across devices. There are no accounts:
+-- a profile is known only by the SHA-256 of its sync code, which is generated or a chosen passphrase.
+
+CREATE TABLE IF NOT EXISTS sync_profiles (
+    id BIGINT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    code_hash BINARY(32) NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY ux_sync_profiles_code (code_hash)
+);
+
+CREATE TABLE IF NOT EXISTS visited_pois (
+    profile_id BIGINT NOT NULL,
+    map_id BINARY(16) NOT NULL,
+    poi_id BINARY(16) NOT NULL,
+    visited_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (profile_id, map_id, poi_id),
+    CONSTRAINT fk_visited_pois_profile FOREIGN KEY (profile_id) REFERENCES sync_profiles (id) ON DELETE CASCADE
+);
@@ -0,0 +1,5 @@
+-- Optional respawn time per type. Markers of these types count as visited only until the time has
+-- passed since they were taken; NULL means they stay visited until unticked.
+
+ALTER TABLE types
+    ADD COLUMN respawn_seconds INT NULL;
@@ -0,0 +1,5 @@
+-- Optional category per type (e.g. "Food – Herbivore", "Landmarks") used to group the icon grid.
+-- Types without one are listed under "Other".
+
+ALTER TABLE types
+    ADD COLUMN category VARCHAR(64) NULL;
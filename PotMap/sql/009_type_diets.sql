@@ -0,0 +1,5 @@
+-- Diets a type is relevant to, used by the dinosaur profile picker to hide resources a player's
+-- dinosaur cannot use. NULL means the type suits every dinosaur (water, landmarks).
+
+ALTER TABLE types
+    ADD COLUMN diets SET('herbivore', 'carnivore', 'aquatic') NULL;
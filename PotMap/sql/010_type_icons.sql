@@ -0,0 +1,6 @@
+-- Icons uploaded from the type editor are stored here instead of under wwwroot, so they survive a
+-- redeploy and are written in the same transaction as the type. types.image then holds the URL they
+-- are served from (/api/type-icons/<id>.svg?v=<hash>); the bundled icons keep their file names.
+
+ALTER TABLE types
+    ADD COLUMN icon_svg MEDIUMTEXT NULL;
@@ -8,10 +8,97 @@ const trashCan = document.getElementById("trashCan");
 const editModeToggle = document.getElementById("editModeToggle");
 const iconGridPanel = document.getElementById("iconGridPanel");
 const discordButton = document.getElementById("discordButton");
+const mapSelect = document.getElementById("mapSelect");
+const shareButton = document.getElementById("shareButton");
+const clusterModeSelect = document.getElementById("clusterModeSelect");
+const filterPresetSelect = document.getElementById("filterPresetSelect");
+const dietProfileSelect = document.getElementById("dietProfileSelect");
+const poiPopover = document.getElementById("poiPopover");
+const undoButton = document.getElementById("undoButton");
+const redoButton = document.getElementById("redoButton");
+const historyButton = document.getElementById("historyButton");
+const historyPanel = document.getElementById("historyPanel");
+const historyList = document.getElementById("historyList");
+const historyCloseButton = document.getElementById("historyCloseButton");
+const accountButton = document.getElementById("accountButton");
+const loginDialog = document.getElementById("loginDialog");
+const editorsButton = document.getElementById("editorsButton");
+const editorsPanel = document.getElementById("editorsPanel");
+const editorsList = document.getElementById("editorsList");
+const editorsCloseButton = document.getElementById("editorsCloseButton");
+const editorForm = document.getElementById("editorForm");
+const typesButton = document.getElementById("typesButton");
+const typesPanel = document.getElementById("typesPanel");
+const typesList = document.getElementById("typesList");
+const typesCloseButton = document.getElementById("typesCloseButton");
+const typeForm = document.getElementById("typeForm");
+const offlineStatus = document.getElementById("offlineStatus");
+const searchInput = document.getElementById("searchInput");
+const searchResultsList = document.getElementById("searchResults");
+const finderPanel = document.getElementById("finderPanel");
+const finderTypeList = document.getElementById("finderTypes");
+const finderLimitSelect = document.getElementById("finderLimit");
+const finderResultsList = document.getElementById("finderResults");
+const finderCloseButton = document.getElementById("finderCloseButton");
+const finderRouteButton = document.getElementById("finderRouteButton");
+const routeButton = document.getElementById("routeButton");
+const routePanel = document.getElementById("routePanel");
+const routeSummary = document.getElementById("routeSummary");
+const routeStopList = document.getElementById("routeStops");
+const routeCloseButton = document.getElementById("routeCloseButton");
+const routeClearButton = document.getElementById("routeClearButton");
+const dataButton = document.getElementById("dataButton");
+const dataPanel = document.getElementById("dataPanel");
+const dataCloseButton = document.getElementById("dataCloseButton");
+const exportVisibleOnly = document.getElementById("exportVisibleOnly");
+const exportGeoJsonButton = document.getElementById("exportGeoJsonButton");
+const exportCsvButton = document.getElementById("exportCsvButton");
+const importFileInput = document.getElementById("importFileInput");
+const importDuplicates = document.getElementById("importDuplicates");
+const importSummary = document.getElementById("importSummary");
+const importPreview = document.getElementById("importPreview");
+const importApplyButton = document.getElementById("importApplyButton");
+const syncButton = document.getElementById("syncButton");
+const syncPanel = document.getElementById("syncPanel");
+const syncCloseButton = document.getElementById("syncCloseButton");
+const syncStatus = document.getElementById("syncStatus");
+const syncLinked = document.getElementById("syncLinked");
+const syncCodeOutput = document.getElementById("syncCodeOutput");
+const syncCopyButton = document.getElementById("syncCopyButton");
+const syncNowButton = document.getElementById("syncNowButton");
+const syncForgetButton = document.getElementById("syncForgetButton");
+const syncForm = document.getElementById("syncForm");
+const duplicateRadiusInput = document.getElementById("duplicateRadiusInput");
+const duplicateRadiusUnit = document.getElementById("duplicateRadiusUnit");
+const duplicateReportButton = document.getElementById("duplicateReportButton");
+const duplicateSummary = document.getElementById("duplicateSummary");
+const duplicateList = document.getElementById("duplicateList");
+const gotoForm = document.getElementById("gotoForm");
+const gotoInput = document.getElementById("gotoInput");
+const coordReadout = document.getElementById("coordReadout");
+const calibrationButton = document.getElementById("calibrationButton");
+const calibrationPanel = document.getElementById("calibrationPanel");
+const calibrationHint = document.getElementById("calibrationHint");
+const calibrationList = document.getElementById("calibrationList");
+const calibrationForm = document.getElementById("calibrationForm");
+const calibrationSaveButton = document.getElementById("calibrationSaveButton");
+const calibrationCloseButton = document.getElementById("calibrationCloseButton");
+const selectionBar = document.getElementById("selectionBar");
+const selectionCount = document.getElementById("selectionCount");
+const selectionTypeSelect = document.getElementById("selectionTypeSelect");
+const selectionTypeButton = document.getElementById("selectionTypeButton");
+const selectionClearButton = document.getElementById("selectionClearButton");
 
 const API_ENDPOINT = "/api/data";
-const MAP_ID_HEX = "f1a07941faef496095bf69e01705bc6a";
-const VISITED_STORAGE_KEY = `poiVisited_${MAP_ID_HEX}`;
+const EVENTS_ENDPOINT = "/api/events";
+const DEFAULT_MAP = {
+  id: "f1a07941faef496095bf69e01705bc6a",
+  name: "Gondwa",
+  folder: "gondwa",
+  width: 9400,
+  height: 9400,
+};
+const SELECTED_MAP_STORAGE_KEY = "poiSelectedMap";
 const MARKER_MIN_SIZE_VH = 1.25;
 const MARKER_MAX_SIZE_VH = 4.0;
 const DRAG_GHOST_SIZE_MULTIPLIER = 1.25;
@@ -20,14 +107,120 @@ const ORIGINAL_MAP_WIDTH = 9400;
 const ORIGINAL_MAP_HEIGHT = 9400;
 const TILE_SIZE = 256;
 const TILE_EXTENSION = "jpg";
-const ACCESS_PROMPT_MESSAGE = "Enter the access password to manage POIs:";
-const ACCESS_DENIED_ALERT = "Access denied. Please enter the password again.";
+const ACCESS_DENIED_ALERT = "Your account is not allowed to do this.";
+const SESSION_EXPIRED_ALERT = "Your session has expired. Please sign in again.";
+const SESSION_STORAGE_KEY = "poiEditorSession";
 const MAX_ACCESS_RETRY_ATTEMPTS = 2;
+const EDITOR_ROLES = ["viewer", "editor", "admin"];
+const MIN_PASSWORD_LENGTH = 8;
 const MAX_ZOOM_MULTIPLIER = 32;
-
-let code = null;
+// Markers within this many screen pixels outside the viewport stay mounted so quick pans do not pop.
+const MARKER_RENDER_MARGIN_PX = 160;
+const POI_INDEX_CELLS = 32;
+// Markers are grouped into clusters while the zoom progress stays below this value (view mode only).
+const CLUSTER_MAX_ZOOM_PROGRESS = 0.1;
+const CLUSTER_CELL_MULTIPLIER = 1.5;
+const CLUSTER_MIN_SIZE = 2;
+const CLUSTER_MODE_STORAGE_KEY = "poiClusterMode";
+const CLUSTER_MODES = ["type", "mixed", "off"];
+const FILTER_PRESETS_STORAGE_KEY = "poiFilterPresets";
+const FILTER_PRESET_NAME_MAX_LENGTH = 40;
+const DIET_PROFILE_STORAGE_KEY = "poiDietProfile";
+const DIET_TAGS = ["herbivore", "carnivore", "aquatic"];
+// Profile -> the diet tags whose types it needs; an "-aquatic" suffix adds aquatic types on top.
+const DIET_PROFILES = {
+  herbivore: ["herbivore"],
+  carnivore: ["carnivore"],
+  omnivore: ["herbivore", "carnivore"],
+};
+// Releasing a marker within this distance of where it was grabbed counts as a click, not a move.
+const DRAG_CLICK_TOLERANCE_PX = 4;
+const POI_TITLE_MAX_LENGTH = 100;
+const POI_NOTE_MAX_LENGTH = 1000;
+const POI_DETAIL_FIELDS = ["title", "note", "quantity", "verifiedAt"];
+const MAX_HISTORY_ENTRIES = 100;
+const URL_STATE_WRITE_DELAY_MS = 250;
+const CHANGE_LOG_LIMIT = 50;
+const OFFLINE_DB_NAME = "potmap-offline";
+const OFFLINE_STORE_NAME = "pendingEdits";
+const OFFLINE_QUEUED_ACTIONS = new Set(["create", "update", "delete"]);
+const COORD_EPSILON = 1e-9;
+const REMOTE_HIGHLIGHT_MS = 2500;
+const SEARCH_RESULT_LIMIT = 12;
+// Titles and notes need a tighter match than type labels; loose subsequences hit almost any long text.
+const SEARCH_MIN_TEXT_SCORE_PER_CHAR = 1.5;
+const SEARCH_FOCUS_ZOOM_PROGRESS = 0.25;
+const FLY_DURATION_MS = 700;
+const PULSE_DURATION_MS = 2400;
+const LONG_PRESS_MS = 550;
+const LONG_PRESS_TOLERANCE_PX = 8;
+const FINDER_TYPES_STORAGE_KEY = "poiFinderTypes";
+const COLLAPSED_CATEGORIES_STORAGE_KEY = "poiCollapsedCategories";
+const FINDER_LIMIT_STORAGE_KEY = "poiFinderLimit";
+const FINDER_LIMITS = [1, 3, 5];
+const FINDER_LINE_COLORS = ["#6fd3ff", "#ffd36b", "#9dff8a", "#ff9bd2", "#c3a6ff", "#ffb36b"];
+// The game reports locations in Unreal units, which are centimetres.
+const GAME_UNITS_PER_METER = 100;
+const GOTO_PIN_LIFETIME_MS = 10 * 60 * 1000;
+const EXPORT_CSV_COLUMNS = ["id", "type", "typeName", "x", "y", "gameX", "gameY", "title", "note", "quantity", "verifiedAt"];
+const IMPORT_DETAIL_FIELDS = ["title", "note", "quantity", "verifiedAt"];
+const IMPORT_MAX_POIS = 5000;
+const IMPORT_PREVIEW_LIMIT = 200;
+// Markers of the same type closer than this are treated as the same spot; editors can change it.
+// Metres on calibrated maps, map pixels on the others.
+const DUPLICATE_RADIUS_METERS = 15;
+const DUPLICATE_RADIUS_STORAGE_KEY = "poiDuplicateRadius";
+const MAX_DUPLICATE_RADIUS_METERS = 500;
+const SYNC_PROFILE_STORAGE_KEY = "poiSyncProfile";
+const VISITED_SYNC_DELAY_MS = 1500;
+const RESPAWN_TICK_MS = 5000;
+const MAX_TYPE_ICON_BYTES = 256 * 1024;
+const SVG_NS = "http://www.w3.org/2000/svg";
+const ROUTE_MAX_OPTIMIZE_PASSES = 50;
+// Lets the server tag change events so this page can skip the ones it caused itself.
+const CLIENT_ID = generateGuidHex();
+
+let editorSession = loadEditorSession();
+let loginPromise = null;
+let offlineDbPromise = null;
+let offlineQueueCount = 0;
+let offlineReplayBusy = false;
+let poiEventSource = null;
+let poiEventsNeedResync = false;
+const markerFlashes = new Map();
+let flySessionId = 0;
+let searchResults = [];
+let searchActiveIndex = -1;
+let longPressSession = null;
+let lastLongPressAt = 0;
+let iconPressSession = null;
+let suppressIconClick = false;
+const collapsedCategories = loadCollapsedCategories();
+let finderState = null;
+let finderStale = false;
+let routeState = null;
+let routeStale = false;
+let calibrationCache = { points: null, transform: null };
+let calibrationDraft = null;
+let gotoPin = null;
+let importState = null;
+let selectionSession = null;
+const finderTypes = loadFinderTypes();
+let finderLimit = loadFinderLimit();
+let duplicateRadius = loadDuplicateRadius();
+let syncProfile = loadSyncProfile();
+let visitedSyncTimer = null;
+let visitedSyncBusy = false;
+let visitedSyncQueued = false;
+let visitedSyncMessage = "";
 
 const PoiCatalog = {};
+const MapRegistry = [];
+let currentMap = DEFAULT_MAP;
+let mapSessionId = 0;
+let pendingUrlState = parseUrlState(window.location.hash);
+let focusedPoiId = pendingUrlState?.poiId ?? null;
+let urlStateTimer = null;
 
 const state = {
   scale: 1,
@@ -44,21 +237,57 @@ const state = {
 };
 
 const pointerTracker = new Map();
-const renderedPoiIds = new Set();
+// Every POI of the current map lives in poiStore; only the ones near the viewport get an element
+// in mountedMarkers. poiIndex buckets POI ids by normalized coordinates for quick visibility queries.
+const poiStore = new Map();
+const poiIndex = new Map();
+const mountedMarkers = new Map();
+const mountedClusters = new Map();
+let clusterMode = loadClusterMode();
+let popoverState = null;
+// Edit history: each entry can be replayed in either direction against the server.
+const undoStack = [];
+const redoStack = [];
+let historyBusy = false;
+let historyPanelSession = 0;
+let markerRenderFrame = null;
 let panSession = null;
 let pinchSession = null;
 let dragState = null;
 const hiddenTypes = new Set();
-const visitedPoiIds = new Set(loadVisitedPoiIds());
+// Poi id -> when it was taken (ms). Types with a respawn time count as visited only until it has passed.
+const visitedPoiStamps = new Map();
+let respawnTimer = null;
+let respawnCheckedAt = Date.now();
+const selectedPoiIds = new Set();
+// Named hidden-type sets shared by every map: [{ name, hidden: [type, ...] }].
+const filterPresets = loadFilterPresets();
+let dietProfile = loadDietProfile();
+// True while the hidden types come from a link rather than this browser's saved filter.
+let urlFilterActive = false;
 let editMode = false;
 let tileLayer = tileLayerElement || null;
 const tileCache = new Map();
 let currentTileZoom = null;
 let tileLoadSessionId = 0;
 
+function getMapId() {
+  return currentMap?.id || DEFAULT_MAP.id;
+}
+
+function getVisitedStorageKey() {
+  return `poiVisited_${getMapId()}`;
+}
+
+function getHiddenTypesStorageKey(mapId = getMapId()) {
+  return `poiHiddenTypes_${mapId}`;
+}
+
 function getMapName() {
-  // Prefer an explicit map name on the tileLayer or mapImage elements, fall back to MAP_ID_HEX.
+  // Prefer the selected registry entry, then an explicit map name on the tileLayer or mapImage
+  // elements, and finally fall back to the map id.
   try {
+    if (currentMap?.folder) return String(currentMap.folder);
     const fromCreatedTileLayer = tileLayer?.dataset?.mapname;
     if (fromCreatedTileLayer) return String(fromCreatedTileLayer);
     const fromTileElement = tileLayerElement?.dataset?.mapname;
@@ -74,7 +303,7 @@ function getMapName() {
   } catch (e) {
     // ignore
   }
-  return MAP_ID_HEX;
+  return getMapId();
 }
 
 function initializeDiscordButton() {
@@ -131,25 +360,43 @@ function checkRasterizationLimits() {
 }
 
 
-if ((mapImage.complete && mapImage.naturalWidth) || hasDeclaredDimensions()) {
-  handleImageReady();
-} else {
-  mapImage.addEventListener("load", handleImageReady);
-}
-
 window.addEventListener("resize", handleResize);
+window.addEventListener("hashchange", handleHashChange);
+window.addEventListener("keydown", handleFocusKeyDown);
+window.addEventListener("keydown", handleHistoryKeyDown);
+document.addEventListener("pointerdown", handleDocumentPointerDownForPopover, true);
 mapViewport.addEventListener("wheel", handleWheel, { passive: false });
 mapViewport.addEventListener("pointerdown", handlePointerDown);
 mapViewport.addEventListener("pointermove", handlePointerMove);
 mapViewport.addEventListener("pointerup", handlePointerEnd);
 mapViewport.addEventListener("pointercancel", handlePointerEnd);
+mapViewport.addEventListener("contextmenu", handleMapContextMenu);
 
 initializePoiInterface();
 initializeEditControls();
 initializeIconGridPanel();
 initializeDiscordButton();
+initializeShareButton();
+initializeClusterModeSelect();
+initializeFilterPresets();
+initializeDietProfileSelect();
+initializeSearch();
+initializeFinder();
+initializeCoordinates();
+initializeDataTransfer();
+initializeSelection();
+initializeVisitedSync();
+initializeOfflineSupport();
 syncVisitedOpacityVariable();
 
+function startMapView() {
+  if ((mapImage.complete && mapImage.naturalWidth) || hasDeclaredDimensions()) {
+    handleImageReady();
+  } else {
+    mapImage.addEventListener("load", handleImageReady, { once: true });
+  }
+}
+
 // Lock the interactive canvas to the intrinsic map size once the texture loads.
 function handleImageReady() {
   const declaredWidth = getDeclaredDimension("mapwidth");
@@ -211,7 +458,7 @@ function handleImageReady() {
   }
 
   handleResize();
-  refreshMarkerPositions();
+  scheduleMarkerRender();
   refreshTiles();
 }
 
@@ -256,6 +503,7 @@ function handleResize() {
     state.maxScale = fitScale * MAX_ZOOM_MULTIPLIER;
     centerMap();
     state.initialized = true;
+    applyPendingUrlView();
   } else {
     clampTranslation();
   }
@@ -263,6 +511,13 @@ function handleResize() {
   applyTransform();
 }
 
+// Place the normalized map point (0..1) in the middle of the viewport.
+function centerOnMapPoint(x, y) {
+  state.translateX = state.viewportWidth / 2 - x * state.mapWidth * state.scale;
+  state.translateY = state.viewportHeight / 2 - y * state.mapHeight * state.scale;
+  clampTranslation();
+}
+
 function centerMap() {
   const scaledWidth = state.mapWidth * state.scale;
   const scaledHeight = state.mapHeight * state.scale;
@@ -299,6 +554,7 @@ function handleWheel(event) {
   }
 
   event.preventDefault();
+  cancelFlyAnimation();
   const zoomFactor = Math.exp(-event.deltaY * 0.01);
   const targetScale = state.scale * zoomFactor;
   setScaleAround(targetScale, event.clientX, event.clientY);
@@ -316,7 +572,12 @@ function handlePointerDown(event) {
   }
 
   event.preventDefault();
+  cancelFlyAnimation();
   mapViewport.setPointerCapture(event.pointerId);
+  if (editMode && event.shiftKey && !pointerTracker.size && !selectionSession) {
+    startSelectionBox(event);
+    return;
+  }
   pointerTracker.set(event.pointerId, { clientX: event.clientX, clientY: event.clientY });
 
   if (pointerTracker.size === 1) {
@@ -327,18 +588,30 @@ function handlePointerDown(event) {
       originX: state.translateX,
       originY: state.translateY,
     };
+    if (event.pointerType !== "mouse") {
+      startLongPress(event);
+    }
   } else if (pointerTracker.size === 2) {
+    cancelLongPress();
     startPinchSession();
   }
 }
 
 // Update pan or pinch interactions as pointers move across the viewport.
 function handlePointerMove(event) {
+  if (selectionSession?.pointerId === event.pointerId) {
+    selectionSession.end = { clientX: event.clientX, clientY: event.clientY };
+    updateSelectionBox();
+    return;
+  }
   if (!pointerTracker.has(event.pointerId)) {
     return;
   }
 
   pointerTracker.set(event.pointerId, { clientX: event.clientX, clientY: event.clientY });
+  if (longPressSession && getDistance(longPressSession.start, event) > LONG_PRESS_TOLERANCE_PX) {
+    cancelLongPress();
+  }
 
   if (pointerTracker.size === 1 && panSession && panSession.pointerId === event.pointerId) {
     const deltaX = event.clientX - panSession.startX;
@@ -356,6 +629,25 @@ function handlePointerMove(event) {
 }
 
 function handlePointerEnd(event) {
+  cancelLongPress();
+  if (selectionSession?.pointerId === event.pointerId) {
+    finishSelectionBox(event.type === "pointerup");
+    try {
+      mapViewport.releasePointerCapture(event.pointerId);
+    } catch (err) {
+      // Ignore capture release errors.
+    }
+    return;
+  }
+  if (
+    event.type === "pointerup" &&
+    calibrationDraft?.pending &&
+    pointerTracker.size === 1 &&
+    panSession?.pointerId === event.pointerId &&
+    getDistance({ clientX: panSession.startX, clientY: panSession.startY }, event) <= LONG_PRESS_TOLERANCE_PX
+  ) {
+    handleCalibrationPick(event.clientX, event.clientY);
+  }
   if (pointerTracker.has(event.pointerId)) {
     pointerTracker.delete(event.pointerId);
     try {
@@ -452,8 +744,9 @@ function setScaleAround(targetScale, clientX, clientY) {
 function applyTransform() {
   mapContent.style.transform = `translate(${state.translateX}px, ${state.translateY}px) scale(${state.scale})`;
   updateStatus();
+  scheduleUrlStateWrite();
   syncGhostSizeWithScale();
-  refreshMarkerPositions();
+  scheduleMarkerRender();
   refreshTiles();
 }
 
@@ -674,11 +967,8 @@ function logTileLoadFailure(src, zoom, x, y) {
 
 function syncGhostSizeWithScale() {
   const sizePx = `${Math.round(getMarkerSizePx())}px`;
+  // Mounted markers size themselves from this variable, so zooming never touches them one by one.
   document.documentElement.style.setProperty("--poi-marker-size", sizePx);
-  poiLayer.querySelectorAll(".poi-marker").forEach((marker) => {
-    marker.style.width = sizePx;
-    marker.style.height = sizePx;
-  });
   if (dragState?.ghost) {
     const ghostSize = `${Math.round(getDragGhostSizePx())}px`;
     dragState.ghost.style.width = ghostSize;
@@ -805,36 +1095,203 @@ function getToolbarRoot() {
 function renderToolbarIcons(container) {
   container.innerHTML = "";
   const fragment = document.createDocumentFragment();
-  const entries = Object.entries(PoiCatalog).sort(([, a], [, b]) =>
-    (a?.label || "").localeCompare(b?.label || "", undefined, { sensitivity: "base" })
+  const groups = groupCatalogByCategory();
+  // Until some type has a category the grid stays one flat block without group headers.
+  const flat = groups.length === 1 && !groups[0].category;
+  groups.forEach((group) => fragment.appendChild(createIconGroup(group, flat)));
+  container.appendChild(fragment);
+  bindToolbarPointerHandlers(container.querySelectorAll(".poi-icon"));
+  updateCategoryToggles();
+}
+
+// Named categories in alphabetical order, then the types without one under "Other".
+function groupCatalogByCategory() {
+  const groups = new Map();
+  Object.entries(PoiCatalog)
+    .filter(([, asset]) => asset?.src)
+    .sort(([, a], [, b]) => (a?.label || "").localeCompare(b?.label || "", undefined, { sensitivity: "base" }))
+    .forEach(([type, asset]) => {
+      const category = asset.category || "";
+      if (!groups.has(category)) {
+        groups.set(category, []);
+      }
+      groups.get(category).push([type, asset]);
+    });
+  return Array.from(groups, ([category, entries]) => ({ category, entries })).sort(
+    (a, b) => Number(!a.category) - Number(!b.category) || a.category.localeCompare(b.category, undefined, { sensitivity: "base" })
   );
-  entries.forEach(([type, asset]) => {
-    if (!asset?.src) {
+}
+
+function createIconGroup({ category, entries }, flat) {
+  const group = document.createElement("section");
+  group.className = "poi-group";
+  group.dataset.category = category;
+  if (!flat) {
+    const collapsed = collapsedCategories.has(category);
+    group.classList.toggle("poi-group--collapsed", collapsed);
+    const header = document.createElement("div");
+    header.className = "poi-group-header";
+    const collapseButton = document.createElement("button");
+    collapseButton.type = "button";
+    collapseButton.className = "poi-group-collapse";
+    collapseButton.textContent = category || "Other";
+    collapseButton.setAttribute("aria-expanded", String(!collapsed));
+    collapseButton.addEventListener("click", () => toggleCategoryCollapsed(category));
+    const toggleButton = document.createElement("button");
+    toggleButton.type = "button";
+    toggleButton.className = "poi-group-toggle";
+    toggleButton.addEventListener("click", () => toggleCategoryVisibility(group));
+    header.append(collapseButton, toggleButton);
+    group.appendChild(header);
+  }
+  const icons = document.createElement("div");
+  icons.className = "poi-group-icons";
+  entries.forEach(([type, asset]) => icons.appendChild(createToolbarIcon(type, asset)));
+  group.appendChild(icons);
+  return group;
+}
+
+function createToolbarIcon(type, asset) {
+  // Create a button wrapper with an inner img so CSS matches expected structure
+  const icon = document.createElement("button");
+  icon.className = "poi-icon";
+  icon.type = "button";
+  icon.dataset.type = String(type);
+  icon.dataset.label = asset.label || "";
+  // create an inner img so the icon is visible and can size predictably
+  const img = document.createElement('img');
+  img.className = 'poi-icon-img';
+  img.src = asset.src;
+  img.alt = asset.label || '';
+  img.title = asset.label || '';
+  img.draggable = false;
+  img.addEventListener('dragstart', preventNativeDrag);
+  // fallback label for accessibility
+  icon.setAttribute('aria-label', asset.label || '');
+  icon.title = asset.label || '';
+  applyIconVisibility(icon);
+  icon.appendChild(img);
+  return icon;
+}
+
+function getGroupTypes(group) {
+  return Array.from(group.querySelectorAll(".poi-icon"), (icon) => Number(icon.dataset.type)).filter(Number.isFinite);
+}
+
+function toggleCategoryCollapsed(category) {
+  if (collapsedCategories.has(category)) {
+    collapsedCategories.delete(category);
+  } else {
+    collapsedCategories.add(category);
+  }
+  const collapsed = collapsedCategories.has(category);
+  document.querySelectorAll(".poi-group").forEach((group) => {
+    if (group.dataset.category === category) {
+      group.classList.toggle("poi-group--collapsed", collapsed);
+      group.querySelector(".poi-group-collapse")?.setAttribute("aria-expanded", String(!collapsed));
+    }
+  });
+  try {
+    localStorage.setItem(COLLAPSED_CATEGORIES_STORAGE_KEY, JSON.stringify(Array.from(collapsedCategories)));
+  } catch (e) {
+    // Collapsed groups then only last for this page.
+  }
+}
+
+function loadCollapsedCategories() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(COLLAPSED_CATEGORIES_STORAGE_KEY) || "[]");
+    return new Set(Array.isArray(stored) ? stored.map(String) : []);
+  } catch (e) {
+    return new Set();
+  }
+}
+
+// Hides every type in the group, or shows them all again once they are all hidden.
+function toggleCategoryVisibility(group) {
+  if (editMode) {
+    return;
+  }
+  const types = getGroupTypes(group);
+  const allHidden = types.length > 0 && types.every((type) => hiddenTypes.has(type));
+  types.forEach((type) => {
+    if (allHidden) {
+      hiddenTypes.delete(type);
+    } else {
+      hiddenTypes.add(type);
+    }
+    updateVisibilityForType(type);
+  });
+  commitHiddenTypes();
+}
+
+function updateCategoryToggles() {
+  document.querySelectorAll(".poi-group").forEach((group) => {
+    const button = group.querySelector(".poi-group-toggle");
+    if (!button) {
       return;
     }
-    // Create a button wrapper with an inner img so CSS matches expected structure
-    const icon = document.createElement("button");
-    icon.className = "poi-icon";
-    icon.type = "button";
-    icon.dataset.type = String(type);
-    icon.dataset.label = asset.label || "";
-    // create an inner img so the icon is visible and can size predictably
-    const img = document.createElement('img');
-    img.className = 'poi-icon-img';
-    img.src = asset.src;
-    img.alt = asset.label || '';
-    img.title = asset.label || '';
-    img.draggable = false;
-    img.addEventListener('dragstart', preventNativeDrag);
-    // fallback label for accessibility
-    icon.setAttribute('aria-label', asset.label || '');
-    icon.title = asset.label || '';
-    applyIconVisibility(icon);
-    icon.appendChild(img);
-    fragment.appendChild(icon);
+    const types = getGroupTypes(group);
+    const allHidden = types.length > 0 && types.every((type) => hiddenTypes.has(type));
+    group.classList.toggle("poi-group--hidden", allHidden);
+    button.textContent = allHidden ? "Show all" : "Hide all";
+    button.setAttribute("aria-label", `${allHidden ? "Show" : "Hide"} all ${group.dataset.category || "other"} markers`);
   });
-  container.appendChild(fragment);
-  bindToolbarPointerHandlers(container.querySelectorAll(".poi-icon"));
+}
+
+// Long-press (or right-click) an icon to show only that type; doing it again shows every type.
+function showOnlyType(type) {
+  if (editMode || !PoiCatalog[type]) {
+    return;
+  }
+  const types = Object.keys(PoiCatalog).map(Number);
+  const alreadyAlone = types.every((other) => (other === type) !== hiddenTypes.has(other));
+  hiddenTypes.clear();
+  if (!alreadyAlone) {
+    types.filter((other) => other !== type).forEach((other) => hiddenTypes.add(other));
+  }
+  refreshVisibilityFilters();
+  commitHiddenTypes();
+}
+
+function startIconLongPress(icon, event) {
+  cancelIconLongPress();
+  const type = Number(icon.dataset.type);
+  iconPressSession = {
+    pointerId: event.pointerId,
+    start: { clientX: event.clientX, clientY: event.clientY },
+    timer: setTimeout(() => {
+      iconPressSession = null;
+      lastLongPressAt = Date.now();
+      suppressIconClick = true;
+      showOnlyType(type);
+    }, LONG_PRESS_MS),
+  };
+}
+
+function handleIconLongPressMove(event) {
+  if (iconPressSession && getDistance(iconPressSession.start, event) > LONG_PRESS_TOLERANCE_PX) {
+    cancelIconLongPress();
+  }
+}
+
+function cancelIconLongPress() {
+  if (iconPressSession) {
+    clearTimeout(iconPressSession.timer);
+    iconPressSession = null;
+  }
+}
+
+function handleToolbarIconContextMenu(event) {
+  if (editMode || !(event.currentTarget instanceof HTMLElement)) {
+    return;
+  }
+  event.preventDefault();
+  // Touch browsers may follow the long press with a contextmenu event of their own.
+  if (Date.now() - lastLongPressAt < LONG_PRESS_MS) {
+    return;
+  }
+  showOnlyType(Number(event.currentTarget.dataset.type));
 }
 
 function toggleTypeVisibility(type) {
@@ -848,14 +1305,19 @@ function toggleTypeVisibility(type) {
     hiddenTypes.add(numericType);
   }
   updateVisibilityForType(numericType);
+  commitHiddenTypes();
 }
 
 function updateVisibilityForType(type) {
   const selector = `.poi-icon[data-type="${type}"]`;
   document.querySelectorAll(selector).forEach(applyIconVisibility);
-  poiLayer
-    .querySelectorAll(`.poi-marker[data-type="${type}"]`)
-    .forEach((marker) => applyMarkerVisibility(marker));
+  mountedMarkers.forEach((marker) => {
+    if (Number(marker.dataset?.type) === type) {
+      applyMarkerVisibility(marker);
+    }
+  });
+  updateCategoryToggles();
+  scheduleMarkerRender();
 }
 
 function applyIconVisibility(icon) {
@@ -874,6 +1336,11 @@ function bindToolbarPointerHandlers(icons) {
   icons.forEach((icon) => {
     icon.addEventListener("pointerdown", handleToolbarIconPointerDown);
     icon.addEventListener("click", handleToolbarIconClick);
+    icon.addEventListener("contextmenu", handleToolbarIconContextMenu);
+    icon.addEventListener("pointermove", handleIconLongPressMove);
+    icon.addEventListener("pointerup", cancelIconLongPress);
+    icon.addEventListener("pointerleave", cancelIconLongPress);
+    icon.addEventListener("pointercancel", cancelIconLongPress);
     // ensure inner images don't steal events
     const innerImg = icon.querySelector && icon.querySelector('img');
     if (innerImg) {
@@ -891,6 +1358,10 @@ function handleToolbarIconPointerDown(event) {
     return;
   }
   if (!editMode) {
+    suppressIconClick = false;
+    if (event.pointerType !== "mouse" || event.button === 0) {
+      startIconLongPress(event.currentTarget, event);
+    }
     return;
   }
   startIconDrag(event.currentTarget, event);
@@ -900,6 +1371,12 @@ function handleToolbarIconClick(event) {
   if (editMode || !(event.currentTarget instanceof HTMLElement)) {
     return;
   }
+  if (suppressIconClick) {
+    // The press already showed only this type.
+    suppressIconClick = false;
+    event.preventDefault();
+    return;
+  }
   const type = Number(event.currentTarget.dataset?.type);
   if (!Number.isFinite(type)) {
     return;
@@ -913,16 +1390,404 @@ function preventNativeDrag(event) {
 }
 
 async function initializePoiInterface() {
-  await initializePoiCatalog();
+  await Promise.all([initializePoiCatalog(), initializeMapRegistry()]);
+  applyDietProfileDefault();
   setupToolbar();
   fetchExistingPois();
 }
 
+async function initializeMapRegistry() {
+  const remoteMaps = await fetchMapsFromServer();
+  MapRegistry.length = 0;
+  if (Array.isArray(remoteMaps) && remoteMaps.length) {
+    MapRegistry.push(...remoteMaps);
+  } else {
+    MapRegistry.push(DEFAULT_MAP);
+  }
+  currentMap =
+    findMapEntry(pendingUrlState?.mapId) || findMapEntry(loadSelectedMapId()) || MapRegistry[0];
+  renderMapSelect();
+  applyMapToDocument(currentMap);
+  reloadVisitedPoiIds();
+  reloadHiddenTypes(pendingUrlState);
+  startMapView();
+}
+
+async function fetchMapsFromServer() {
+  try {
+    const payload = await postToApi({ action: "maps" });
+    const rows = Array.isArray(payload?.data) ? payload.data : [];
+    return rows
+      .map((row) => ({
+        id: String(row.id || "").toLowerCase(),
+        name: row.name || "",
+        folder: row.folder || "",
+        width: Number(row.width),
+        height: Number(row.height),
+        calibration: normalizeCalibrationPoints(row.calibration),
+      }))
+      .filter((entry) => entry.id && entry.name && entry.folder && entry.width > 0 && entry.height > 0);
+  } catch (error) {
+    console.error("Failed to load maps", error);
+    return null;
+  }
+}
+
+function findMapEntry(mapId) {
+  if (!mapId) {
+    return null;
+  }
+  const normalized = String(mapId).toLowerCase();
+  return MapRegistry.find((entry) => entry.id === normalized) || null;
+}
+
+function renderMapSelect() {
+  if (!mapSelect) {
+    return;
+  }
+  mapSelect.innerHTML = "";
+  MapRegistry.forEach((entry) => {
+    const option = document.createElement("option");
+    option.value = entry.id;
+    option.textContent = entry.name;
+    mapSelect.appendChild(option);
+  });
+  mapSelect.value = getMapId();
+  // A single map does not need a switcher.
+  mapSelect.hidden = MapRegistry.length < 2;
+  if (!mapSelect.dataset.bound) {
+    mapSelect.addEventListener("change", () => switchMap(mapSelect.value));
+    mapSelect.dataset.bound = "true";
+  }
+}
+
+function applyMapToDocument(entry) {
+  if (mapImage) {
+    mapImage.dataset.mapname = entry.folder;
+    mapImage.dataset.mapwidth = String(entry.width);
+    mapImage.dataset.mapheight = String(entry.height);
+    mapImage.alt = `${entry.name} world map reference`;
+  }
+  mapViewport?.setAttribute("aria-label", `Interactive ${entry.name} map`);
+  if (mapSelect) {
+    mapSelect.value = entry.id;
+  }
+  updateCalibrationControls();
+}
+
+async function switchMap(mapId) {
+  const entry = findMapEntry(mapId);
+  if (!entry || entry.id === getMapId()) {
+    return;
+  }
+  teardownMap();
+  if (pendingUrlState?.mapId !== entry.id) {
+    pendingUrlState = null;
+    focusedPoiId = null;
+  }
+  currentMap = entry;
+  persistSelectedMapId(entry.id);
+  applyMapToDocument(entry);
+  reloadVisitedPoiIds();
+  reloadHiddenTypes(pendingUrlState);
+  startMapView();
+  await fetchExistingPois();
+}
+
+// Drop every marker, tile and pending tile swap that belongs to the current map so the next map
+// starts from a clean slate.
+function teardownMap() {
+  mapSessionId += 1;
+  if (dragState) {
+    endDrag();
+  }
+  closePoiPopover();
+  closeHistoryPanel();
+  closeFinder();
+  clearRoute();
+  clearGotoPin();
+  closeCalibrationPanel();
+  closeDataPanel();
+  clearSelection();
+  clearEditHistory();
+  disconnectPoiEvents();
+  markerFlashes.forEach(({ timer }) => clearTimeout(timer));
+  markerFlashes.clear();
+  if (markerRenderFrame !== null) {
+    cancelAnimationFrame(markerRenderFrame);
+    markerRenderFrame = null;
+  }
+  mountedMarkers.forEach((marker) => marker.remove());
+  mountedMarkers.clear();
+  mountedClusters.forEach((cluster) => cluster.remove());
+  mountedClusters.clear();
+  poiStore.clear();
+  poiIndex.clear();
+
+  // Bumping the session makes in-flight zoom swaps discard their layer when they settle.
+  tileLoadSessionId += 1;
+  tileCache.forEach((el) => { try { el.remove(); } catch (e) {} });
+  tileCache.clear();
+  if (tileLayer && tileLayer !== tileLayerElement) {
+    try { tileLayer.remove(); } catch (e) {}
+    tileLayer = null;
+  }
+  currentTileZoom = null;
+
+  state.initialized = false;
+  state.mapWidth = 0;
+  state.mapHeight = 0;
+  state.scale = 1;
+  state.translateX = 0;
+  state.translateY = 0;
+}
+
+// The hash carries everything needed to reproduce a view:
+// #map=<id>&x=<0..1>&y=<0..1>&z=<zoom relative to fit>&hide=<type,type>&preset=<name>&poi=<id>
+function parseUrlState(hash) {
+  const raw = String(hash || "").replace(/^#/, "");
+  if (!raw) {
+    return null;
+  }
+  const params = new URLSearchParams(raw);
+  const readNumber = (key) => {
+    const value = params.get(key);
+    if (value === null || value === "") {
+      return null;
+    }
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  };
+  const x = readNumber("x");
+  const y = readNumber("y");
+  const zoom = readNumber("z");
+  const hide = params.get("hide");
+  const poiId = (params.get("poi") || "").toLowerCase();
+  const preset = (params.get("preset") || "").trim().slice(0, FILTER_PRESET_NAME_MAX_LENGTH);
+  return {
+    mapId: (params.get("map") || "").toLowerCase() || null,
+    center: x !== null && y !== null ? { x: clamp(x, 0, 1), y: clamp(y, 0, 1) } : null,
+    zoom: zoom !== null && zoom > 0 ? zoom : null,
+    // buildUrlHash always writes "hide" (empty when nothing is hidden); links without it carry no filter.
+    hiddenTypes: hide === null
+      ? null
+      : hide.split(",").filter(Boolean).map(Number).filter((type) => Number.isFinite(type)),
+    preset: preset || null,
+    poiId: /^[0-9a-f]{32}$/.test(poiId) ? poiId : null,
+  };
+}
+
+function buildUrlHash() {
+  const params = new URLSearchParams();
+  params.set("map", getMapId());
+  if (isMapReady()) {
+    const visible = getVisibleMapRect();
+    params.set("x", (((visible.left + visible.right) / 2) / state.mapWidth).toFixed(5));
+    params.set("y", (((visible.top + visible.bottom) / 2) / state.mapHeight).toFixed(5));
+    params.set("z", (state.scale / state.fitScale).toFixed(3));
+  }
+  params.set("hide", normalizeTypeList(hiddenTypes).join(","));
+  const preset = findActiveFilterPreset();
+  if (preset) {
+    params.set("preset", preset.name);
+  }
+  if (focusedPoiId) {
+    params.set("poi", focusedPoiId);
+  }
+  // URLSearchParams escapes the commas; keep the hash readable when pasted into chat.
+  return `#${params.toString().replace(/%2C/gi, ",")}`;
+}
+
+function scheduleUrlStateWrite() {
+  if (!isMapReady() || pendingUrlState) {
+    return;
+  }
+  if (urlStateTimer) {
+    clearTimeout(urlStateTimer);
+  }
+  urlStateTimer = setTimeout(() => {
+    urlStateTimer = null;
+    writeUrlState();
+  }, URL_STATE_WRITE_DELAY_MS);
+}
+
+function writeUrlState() {
+  const hash = buildUrlHash();
+  if (hash === window.location.hash) {
+    return;
+  }
+  try {
+    // replaceState keeps the back button usable and does not fire hashchange.
+    window.history.replaceState(null, "", hash);
+  } catch (error) {
+    console.warn("Failed to update URL state", error);
+  }
+}
+
+// Restore the zoom and center carried by the URL once the map has its fit scale.
+function applyPendingUrlView() {
+  const urlState = pendingUrlState;
+  if (!urlState || (urlState.mapId && urlState.mapId !== getMapId())) {
+    pendingUrlState = null;
+    return;
+  }
+  if (urlState.zoom) {
+    state.scale = clamp(state.fitScale * urlState.zoom, state.minScale, state.maxScale);
+  }
+  if (urlState.center) {
+    centerOnMapPoint(urlState.center.x, urlState.center.y);
+  } else {
+    clampTranslation();
+  }
+  // Without an explicit center a focused marker is centered as soon as it is rendered.
+  if (urlState.center || !urlState.poiId) {
+    pendingUrlState = null;
+  }
+}
+
+function handleHashChange() {
+  const urlState = parseUrlState(window.location.hash);
+  if (!urlState) {
+    return;
+  }
+  setFocusedPoi(urlState.poiId);
+  pendingUrlState = urlState;
+  // Another map picks up the link's filter when switchMap reloads its hidden types.
+  if (urlState.mapId && urlState.mapId !== getMapId()) {
+    switchMap(urlState.mapId);
+    return;
+  }
+  if (urlState.hiddenTypes) {
+    reloadHiddenTypes(urlState);
+  }
+  if (isMapReady()) {
+    applyPendingUrlView();
+    if (pendingUrlState) {
+      centerOnFocusedPoi();
+    }
+    applyTransform();
+  }
+}
+
+function setFocusedPoi(poiId) {
+  const nextId = poiId ? String(poiId).toLowerCase() : null;
+  if (focusedPoiId) {
+    findMarkerElement(focusedPoiId)?.classList.remove("poi-marker--focused");
+  }
+  focusedPoiId = nextId;
+  if (focusedPoiId) {
+    findMarkerElement(focusedPoiId)?.classList.add("poi-marker--focused");
+  }
+  if (popoverState?.mode === "view" && popoverState.poiId !== focusedPoiId) {
+    closePoiPopover();
+  }
+  scheduleUrlStateWrite();
+}
+
+// Center a URL-focused marker that arrived without an explicit view.
+function centerOnFocusedPoi() {
+  if (!pendingUrlState || !focusedPoiId || !isMapReady()) {
+    return;
+  }
+  const poi = poiStore.get(focusedPoiId);
+  if (!poi) {
+    return;
+  }
+  const coords = getPoiNormalizedCoords(poi);
+  pendingUrlState = null;
+  centerOnMapPoint(coords.x, coords.y);
+  applyTransform();
+}
+
+function findMarkerElement(poiId) {
+  if (!poiId) {
+    return null;
+  }
+  return mountedMarkers.get(poiId) || null;
+}
+
+function handleFocusKeyDown(event) {
+  if (event.key !== "Escape") {
+    return;
+  }
+  if (popoverState) {
+    closePoiPopover();
+    return;
+  }
+  if (selectedPoiIds.size) {
+    clearSelection();
+    return;
+  }
+  if (finderState) {
+    closeFinder();
+    return;
+  }
+  if (gotoPin) {
+    clearGotoPin();
+    return;
+  }
+  if (focusedPoiId) {
+    setFocusedPoi(null);
+  }
+}
+
+function initializeShareButton() {
+  if (!shareButton) {
+    return;
+  }
+  shareButton.addEventListener("click", async () => {
+    writeUrlState();
+    const url = window.location.href;
+    try {
+      await navigator.clipboard.writeText(url);
+      shareButton.classList.add("share-button--copied");
+      setTimeout(() => shareButton.classList.remove("share-button--copied"), 1200);
+    } catch (error) {
+      window.prompt("Copy this link to share the current view:", url);
+    }
+  });
+}
+
+function loadSelectedMapId() {
+  if (typeof localStorage === "undefined") {
+    return null;
+  }
+  try {
+    return localStorage.getItem(SELECTED_MAP_STORAGE_KEY);
+  } catch (error) {
+    return null;
+  }
+}
+
+function persistSelectedMapId(mapId) {
+  if (typeof localStorage === "undefined") {
+    return;
+  }
+  try {
+    localStorage.setItem(SELECTED_MAP_STORAGE_KEY, mapId);
+  } catch (error) {
+    console.warn("Failed to persist selected map", error);
+  }
+}
+
 function initializeEditControls() {
   setEditMode(false);
   if (editModeToggle) {
     editModeToggle.addEventListener("click", handleEditToggleClick);
   }
+  undoButton?.addEventListener("click", () => undoLastEdit());
+  redoButton?.addEventListener("click", () => redoLastEdit());
+  historyButton?.addEventListener("click", () => toggleHistoryPanel());
+  historyCloseButton?.addEventListener("click", () => closeHistoryPanel());
+  accountButton?.addEventListener("click", handleAccountButtonClick);
+  editorsButton?.addEventListener("click", () => toggleEditorsPanel());
+  editorsCloseButton?.addEventListener("click", () => closeEditorsPanel());
+  editorForm?.addEventListener("submit", handleEditorFormSubmit);
+  typesButton?.addEventListener("click", () => toggleTypesPanel());
+  typesCloseButton?.addEventListener("click", () => closeTypesPanel());
+  typeForm?.addEventListener("submit", handleTypeFormSubmit);
+  applyEditorSession();
+  updateHistoryButtons();
 }
 
 function handleEditToggleClick() {
@@ -936,6 +1801,12 @@ function setEditMode(enabled) {
     if (!editMode && dragState) {
       endDrag();
     }
+    closePoiPopover();
+    closeHistoryPanel();
+    closeEditorsPanel();
+    closeTypesPanel();
+    closeCalibrationPanel();
+    clearSelection();
   }
   document.body?.classList.toggle("mode-edit", editMode);
   document.body?.classList.toggle("mode-view", !editMode);
@@ -961,6 +1832,26 @@ async function initializePoiCatalog() {
   }
 }
 
+// Reload the catalog after an admin changed the types, and bring mounted markers up to date with
+// new names and icons.
+async function refreshPoiCatalog() {
+  await initializePoiCatalog();
+  mountedMarkers.forEach((marker, poiId) => {
+    const poi = poiStore.get(poiId);
+    const asset = PoiCatalog[poi?.type];
+    if (asset?.src && marker.getAttribute("src") !== asset.src) {
+      marker.src = asset.src;
+    }
+    marker.alt = asset?.label || "";
+    applyMarkerVisitedState(marker);
+  });
+  if (selectionBar && !selectionBar.hidden) {
+    renderSelectionTypeOptions(false);
+  }
+  markPoiQueriesStale();
+  scheduleMarkerRender();
+}
+
 async function fetchPoiTypesFromServer() {
   try {
     const payload = await postToApi({ action: "types" });
@@ -970,6 +1861,9 @@ async function fetchPoiTypesFromServer() {
         id: Number(row.id ?? row.type_id ?? row.typeId),
         label: row.name || row.label || "",
         src: withResourcePrefix(row.image || row.src || ""),
+        respawnMs: Number(row.respawnSeconds) > 0 ? Number(row.respawnSeconds) * 1000 : null,
+        category: typeof row.category === "string" ? row.category.trim() : "",
+        diets: Array.isArray(row.diets) ? row.diets.filter((diet) => DIET_TAGS.includes(diet)) : [],
       }))
       .filter((entry) => Number.isFinite(entry.id) && entry.label && entry.src);
   } catch (error) {
@@ -995,9 +1889,10 @@ function withResourcePrefix(src) {
 
 function hydratePoiCatalog(records) {
   Object.keys(PoiCatalog).forEach((key) => delete PoiCatalog[key]);
-  records.forEach(({ id, label, src }) => {
-    PoiCatalog[id] = { label, src };
+  records.forEach(({ id, label, src, respawnMs, category, diets }) => {
+    PoiCatalog[id] = { label, src, respawnMs, category, diets };
   });
+  precacheIcons(records.map(({ src }) => src).filter(Boolean));
   // Re-render available icon containers when catalog updates
   try {
     const gridRoot = document.querySelector('[data-poi-grid]');
@@ -1010,26 +1905,46 @@ function hydratePoiCatalog(records) {
 }
 
 async function postToApi(payload, options = {}) {
-  const { requireCode = false, attempt = 0 } = options;
+  const { requireSession = false, queueWhenOffline = false, attempt = 0 } = options;
+  // Keep edits in order: once something is queued, later edits queue behind it.
+  if (queueWhenOffline && isOfflineQueueAvailable() && (isOffline() || offlineQueueCount > 0)) {
+    const queued = await queueOfflineEdit(payload);
+    replayOfflineQueue();
+    return queued;
+  }
   const requestPayload = { ...payload };
-  if (requireCode) {
-    const accessCode = await ensureAccessCode();
-    if (!accessCode) {
-      throw new Error("Access code is required");
+  if (requireSession) {
+    const token = await ensureEditorSession();
+    if (!token) {
+      throw new Error("Login required");
     }
-    requestPayload.code = accessCode;
+    requestPayload.token = token;
+    requestPayload.clientId = CLIENT_ID;
   }
-  const response = await fetch(API_ENDPOINT, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(requestPayload),
-  });
-  if (response.status === 403 && requireCode) {
-    resetAccessCode();
+  let response;
+  try {
+    response = await fetch(API_ENDPOINT, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(requestPayload),
+    });
+  } catch (error) {
+    if (queueWhenOffline && isOfflineQueueAvailable()) {
+      return queueOfflineEdit(payload);
+    }
+    throw error;
+  }
+  if (response.status === 401 && requireSession) {
+    // The token expired or was revoked; sign in again and retry.
+    setEditorSession(null);
     if (attempt < MAX_ACCESS_RETRY_ATTEMPTS) {
-      alert(ACCESS_DENIED_ALERT);
-      return postToApi(payload, { requireCode, attempt: attempt + 1 });
+      alert(SESSION_EXPIRED_ALERT);
+      return postToApi(payload, { ...options, attempt: attempt + 1 });
     }
+    throw new Error("Login required");
+  }
+  if (response.status === 403 && requireSession) {
+    alert(ACCESS_DENIED_ALERT);
     throw new Error("Access denied");
   }
   if (!response.ok) {
@@ -1038,572 +1953,5153 @@ async function postToApi(payload, options = {}) {
   return response.json();
 }
 
-async function ensureAccessCode() {
-  if (typeof code === "string" && code.trim()) {
-    return code;
+// Resolves with a valid session token, asking the user to sign in when there is none.
+async function ensureEditorSession() {
+  if (editorSession && Date.parse(editorSession.expiresAt) > Date.now()) {
+    return editorSession.token;
   }
-  if (typeof window === "undefined") {
-    return null;
+  if (editorSession) {
+    setEditorSession(null);
   }
-  const input = window.prompt(ACCESS_PROMPT_MESSAGE) || "";
-  const trimmed = input.trim();
-  code = trimmed || null;
-  return code;
+  if (!loginPromise) {
+    loginPromise = showLoginDialog().finally(() => {
+      loginPromise = null;
+    });
+  }
+  const signedIn = await loginPromise;
+  return signedIn?.token ?? null;
 }
 
-function resetAccessCode() {
-  code = null;
+function showLoginDialog() {
+  if (!loginDialog) {
+    return Promise.resolve(null);
+  }
+  const nameInput = loginDialog.elements.namedItem("name");
+  const passwordInput = loginDialog.elements.namedItem("password");
+  const submitButton = loginDialog.querySelector('button[type="submit"]');
+  const cancelButton = loginDialog.querySelector("[data-login-cancel]");
+  const errorLine = loginDialog.querySelector(".login-dialog-error");
+  return new Promise((resolve) => {
+    const finish = (result) => {
+      loginDialog.removeEventListener("submit", handleSubmit);
+      cancelButton?.removeEventListener("click", handleCancel);
+      loginDialog.hidden = true;
+      passwordInput.value = "";
+      resolve(result);
+    };
+    const handleCancel = () => finish(null);
+    const handleSubmit = async (event) => {
+      event.preventDefault();
+      submitButton.disabled = true;
+      errorLine.hidden = true;
+      try {
+        const payload = await postToApi({
+          action: "login",
+          editor: { name: nameInput.value.trim(), password: passwordInput.value },
+        });
+        setEditorSession(payload?.data ?? null);
+        finish(editorSession);
+      } catch (error) {
+        errorLine.textContent = "Invalid name or password.";
+        errorLine.hidden = false;
+        passwordInput.select();
+      } finally {
+        submitButton.disabled = false;
+      }
+    };
+    loginDialog.addEventListener("submit", handleSubmit);
+    cancelButton?.addEventListener("click", handleCancel);
+    errorLine.hidden = true;
+    nameInput.value = nameInput.value || editorSession?.name || "";
+    loginDialog.hidden = false;
+    (nameInput.value ? passwordInput : nameInput).focus();
+  });
 }
 
-async function fetchExistingPois() {
+async function signOut() {
+  const token = editorSession?.token;
+  setEditorSession(null);
+  if (!token) {
+    return;
+  }
   try {
-    const payload = await postToApi({ action: "list", mapId: MAP_ID_HEX });
-    renderPois(Array.isArray(payload?.data) ? payload.data : []);
-  } catch (error) {
-    console.error("Failed to load POIs", error);
+    await postToApi({ action: "logout", token });
+  } catch (e) {
+    // the session expires on its own
   }
 }
 
-function renderPois(records) {
-  if (!Array.isArray(records)) {
-    return;
+function handleAccountButtonClick() {
+  if (editorSession) {
+    if (window.confirm(`Sign out ${editorSession.name}?`)) {
+      signOut();
+    }
+  } else {
+    ensureEditorSession();
   }
-  records.forEach(renderPoiMarker);
 }
 
-function renderPoiMarker(rawPoi) {
-  const poi = normalizePoiRecord(rawPoi);
-  if (!poi) {
-    return;
+function setEditorSession(record) {
+  editorSession = record?.token
+    ? { token: record.token, name: record.name, role: record.role, expiresAt: record.expiresAt }
+    : null;
+  try {
+    if (editorSession) {
+      localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(editorSession));
+    } else {
+      localStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+  } catch (e) {
+    // ignore storage errors (private mode, quota, ...)
   }
-  const poiId = poi.id;
-  if (!poiId || renderedPoiIds.has(poiId)) {
-    return;
+  applyEditorSession();
+}
+
+function loadEditorSession() {
+  if (typeof localStorage === "undefined") {
+    return null;
   }
-  const marker = document.createElement("img");
-  marker.className = "poi-marker";
-  marker.dataset.id = poiId;
-  marker.dataset.type = String(poi.type);
-  marker.dataset.x = String(poi.x);
-  marker.dataset.y = String(poi.y);
-  const asset = PoiCatalog[poi.type];
-  if (asset?.src) {
-    marker.src = asset.src;
-    marker.alt = asset.label || "";
-    marker.title = asset.label || "";
+  try {
+    const stored = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || "null");
+    return stored?.token && Date.parse(stored.expiresAt) > Date.now() ? stored : null;
+  } catch (e) {
+    return null;
   }
-  positionMarker(marker);
-  applyMarkerVisibility(marker);
-  applyMarkerVisitedState(marker);
-  bindMarkerInteractions(marker);
-  poiLayer.appendChild(marker);
-  renderedPoiIds.add(poiId);
 }
 
-function positionMarker(marker) {
-  const coords = getMarkerStoredCoords(marker);
-  if (!coords) {
-    return;
+function applyEditorSession() {
+  const role = editorSession?.role ?? null;
+  document.body?.classList.toggle("role-admin", role === "admin");
+  if (role !== "admin") {
+    closeEditorsPanel();
+    closeTypesPanel();
   }
-  const screenPosition = projectCoordsToScreen(coords);
-  if (!screenPosition) {
-    return;
+  if (accountButton) {
+    const label = editorSession ? `Signed in as ${editorSession.name} (${role}). Click to sign out.` : "Sign in";
+    accountButton.classList.toggle("mode-toggle--active", Boolean(editorSession));
+    accountButton.setAttribute("aria-label", label);
+    accountButton.setAttribute("title", label);
   }
-  marker.style.position = "absolute";
-  marker.style.transform = "translate(-50%, -50%)";
-  marker.style.left = `${screenPosition.left}px`;
-  marker.style.top = `${screenPosition.top}px`;
-  const sizePx = `${Math.round(getMarkerSizePx())}px`;
-  marker.style.width = sizePx;
-  marker.style.height = sizePx;
 }
 
-function getMarkerStoredCoords(marker) {
-  const x = Number(marker.dataset?.x);
-  const y = Number(marker.dataset?.y);
-  if (Number.isNaN(x) || Number.isNaN(y)) {
-    return null;
+function toggleEditorsPanel() {
+  if (editorsPanel?.hidden === false) {
+    closeEditorsPanel();
+  } else {
+    openEditorsPanel();
   }
-  return { x, y };
 }
 
-function applyMarkerVisibility(marker) {
-  if (!(marker instanceof HTMLElement)) {
+async function openEditorsPanel() {
+  if (!editorsPanel || !editMode || editorSession?.role !== "admin") {
     return;
   }
-  const type = Number(marker.dataset?.type);
-  if (!Number.isFinite(type)) {
+  closeSidePanels();
+  editorsPanel.hidden = false;
+  editorsButton?.setAttribute("aria-expanded", "true");
+  try {
+    const payload = await postToApi({ action: "editors" }, { requireSession: true });
+    renderEditorsList(payload?.data);
+  } catch (error) {
+    console.error("Failed to load editors", error);
+    editorsList.innerHTML = "";
+    editorsList.appendChild(createHistoryMessage("Could not load editors."));
+  }
+}
+
+function closeEditorsPanel() {
+  if (!editorsPanel || editorsPanel.hidden) {
     return;
   }
-  const hidden = !editMode && hiddenTypes.has(type);
-  marker.classList.toggle("poi-marker--hidden", hidden);
+  editorsPanel.hidden = true;
+  editorsButton?.setAttribute("aria-expanded", "false");
+  if (editorsList) {
+    editorsList.innerHTML = "";
+  }
 }
 
-function refreshVisibilityFilters() {
-  document.querySelectorAll(".poi-icon").forEach(applyIconVisibility);
-  poiLayer
-    .querySelectorAll(".poi-marker")
-    .forEach((marker) => {
-      applyMarkerVisibility(marker);
-      applyMarkerVisitedState(marker);
+function renderEditorsList(editors) {
+  editorsList.innerHTML = "";
+  (Array.isArray(editors) ? editors : []).forEach((editor) => {
+    editorsList.appendChild(createEditorItem(editor));
+  });
+}
+
+function createEditorItem(editor) {
+  const item = document.createElement("li");
+  item.className = "history-item editor-item";
+  item.classList.toggle("editor-item--revoked", Boolean(editor.revokedAt));
+
+  const name = document.createElement("span");
+  name.className = "editor-item-name";
+  name.textContent = editor.name;
+  item.appendChild(name);
+
+  const isSelf = editor.name.toLowerCase() === editorSession?.name?.toLowerCase();
+  const roleSelect = createRoleSelect(editor.role);
+  roleSelect.disabled = isSelf;
+  roleSelect.addEventListener("change", () => saveEditor({ name: editor.name, role: roleSelect.value }));
+  item.appendChild(roleSelect);
+
+  const passwordButton = document.createElement("button");
+  passwordButton.type = "button";
+  passwordButton.textContent = "Password";
+  passwordButton.title = "Set a new password";
+  passwordButton.addEventListener("click", () => {
+    const password = window.prompt(`New password for ${editor.name}:`) || "";
+    if (password) {
+      saveEditor({ name: editor.name, role: editor.role, password });
+    }
+  });
+  item.appendChild(passwordButton);
+
+  if (!isSelf) {
+    const accessButton = document.createElement("button");
+    accessButton.type = "button";
+    accessButton.textContent = editor.revokedAt ? "Reinstate" : "Revoke";
+    accessButton.addEventListener("click", () => {
+      if (editor.revokedAt) {
+        saveEditor({ name: editor.name, role: editor.role });
+      } else if (window.confirm(`Revoke access for ${editor.name}? They are signed out immediately.`)) {
+        updateEditors({ action: "revokeEditor", editor: { name: editor.name } });
+      }
     });
+    item.appendChild(accessButton);
+  }
+  return item;
 }
 
-function applyMarkerVisitedState(marker) {
-  const poiId = getMarkerId(marker);
-  if (!poiId) {
-    marker?.classList.remove("poi-marker--visited");
+function createRoleSelect(selected) {
+  const select = document.createElement("select");
+  select.setAttribute("aria-label", "Role");
+  EDITOR_ROLES.forEach((role) => {
+    const option = document.createElement("option");
+    option.value = role;
+    option.textContent = role;
+    option.selected = role === selected;
+    select.appendChild(option);
+  });
+  return select;
+}
+
+function handleEditorFormSubmit(event) {
+  event.preventDefault();
+  const name = editorForm.elements.namedItem("name").value.trim();
+  const password = editorForm.elements.namedItem("password").value;
+  const role = editorForm.elements.namedItem("role").value;
+  if (!name || password.length < MIN_PASSWORD_LENGTH) {
+    alert(`Enter a name and a password of at least ${MIN_PASSWORD_LENGTH} characters.`);
     return;
   }
-  marker.classList.toggle("poi-marker--visited", visitedPoiIds.has(poiId));
+  saveEditor({ name, password, role }).then((saved) => {
+    if (saved) {
+      editorForm.reset();
+    }
+  });
 }
 
-function toggleMarkerVisited(marker) {
-  if (!(marker instanceof HTMLElement)) {
-    return;
+function saveEditor(editor) {
+  return updateEditors({ action: "saveEditor", editor });
+}
+
+// Both editor actions answer with the full list, which replaces the panel contents.
+async function updateEditors(payload) {
+  try {
+    const response = await postToApi(payload, { requireSession: true });
+    renderEditorsList(response?.data);
+    return true;
+  } catch (error) {
+    console.error("Failed to update editors", error);
+    alert("Failed to update the editor. Please try again.");
+    openEditorsPanel();
+    return false;
   }
-  const poiId = getMarkerId(marker);
-  if (!poiId) {
-    return;
+}
+
+function toggleTypesPanel() {
+  if (typesPanel?.hidden === false) {
+    closeTypesPanel();
+  } else {
+    openTypesPanel();
   }
-  const nextVisited = !visitedPoiIds.has(poiId);
-  setMarkerVisited(marker, nextVisited);
 }
 
-function setMarkerVisited(marker, visited) {
-  if (!(marker instanceof HTMLElement)) {
+async function openTypesPanel() {
+  if (!typesPanel || !editMode || editorSession?.role !== "admin") {
     return;
   }
-  const poiId = getMarkerId(marker);
-  if (!poiId) {
+  closeSidePanels();
+  typesPanel.hidden = false;
+  typesButton?.setAttribute("aria-expanded", "true");
+  try {
+    const payload = await postToApi({ action: "typeUsage" }, { requireSession: true });
+    renderTypesList(payload?.data);
+  } catch (error) {
+    console.error("Failed to load types", error);
+    typesList.innerHTML = "";
+    typesList.appendChild(createHistoryMessage("Could not load types."));
+  }
+}
+
+function closeTypesPanel() {
+  if (!typesPanel || typesPanel.hidden) {
     return;
   }
-  if (visited) {
-    visitedPoiIds.add(poiId);
-  } else {
-    visitedPoiIds.delete(poiId);
+  typesPanel.hidden = true;
+  typesButton?.setAttribute("aria-expanded", "false");
+  if (typesList) {
+    typesList.innerHTML = "";
   }
-  marker.classList.toggle("poi-marker--visited", visited);
-  persistVisitedState();
 }
 
-function getMarkerId(marker) {
-  const raw = marker?.dataset?.id;
-  if (!raw) {
-    return null;
+function renderTypesList(types) {
+  typesList.innerHTML = "";
+  const records = Array.isArray(types) ? types : [];
+  records.forEach((type) => {
+    typesList.appendChild(createTypeItem(type, records));
+  });
+  // Suggest the existing categories so new types join them instead of starting near-duplicates.
+  const suggestions = document.getElementById("typeCategories");
+  if (suggestions) {
+    const categories = new Set(records.map((type) => type.category).filter(Boolean));
+    suggestions.replaceChildren(
+      ...Array.from(categories).sort().map((category) => {
+        const option = document.createElement("option");
+        option.value = category;
+        return option;
+      })
+    );
   }
-  const normalized = String(raw).toLowerCase();
-  return normalized ? normalized : null;
 }
 
-function toPixelCoords(x = 0, y = 0) {
-  const normalized = x >= 0 && x <= 1 && y >= 0 && y <= 1;
-  return {
-    left: normalized ? x * state.mapWidth : x,
-    top: normalized ? y * state.mapHeight : y,
-  };
+function createTypeItem(type, allTypes) {
+  const item = document.createElement("li");
+  item.className = "history-item editor-item type-item";
+
+  const icon = document.createElement("img");
+  icon.className = "type-item-icon";
+  icon.src = withResourcePrefix(type.image);
+  icon.alt = "";
+  item.appendChild(icon);
+
+  const name = document.createElement("span");
+  name.className = "editor-item-name";
+  name.textContent = type.name;
+  const details = document.createElement("small");
+  details.className = "type-item-details";
+  const respawn = type.respawnSeconds ? ` · respawns after ${formatRespawnTime(type.respawnSeconds * 1000)}` : "";
+  const category = type.category ? `${type.category} · ` : "";
+  const diets = type.diets?.length ? `${type.diets.join(", ")} · ` : "";
+  details.textContent = `${category}${diets}${type.markers === 1 ? "1 marker" : `${type.markers} markers`}${respawn}`;
+  name.appendChild(details);
+  item.appendChild(name);
+
+  const renameButton = document.createElement("button");
+  renameButton.type = "button";
+  renameButton.textContent = "Rename";
+  renameButton.addEventListener("click", () => {
+    const next = window.prompt(`New name for ${type.name}:`, type.name)?.trim();
+    if (next && next !== type.name) {
+      updateTypes({ action: "updateType", poiType: { id: type.id, name: next } });
+    }
+  });
+  item.appendChild(renameButton);
+
+  const categoryButton = document.createElement("button");
+  categoryButton.type = "button";
+  categoryButton.textContent = "Category";
+  categoryButton.title = "Group this type in the icon grid (empty for Other)";
+  categoryButton.addEventListener("click", () => {
+    const next = window.prompt(`Category for ${type.name} (empty for none):`, type.category || "");
+    if (next !== null && next.trim() !== (type.category || "")) {
+      updateTypes({ action: "updateType", poiType: { id: type.id, category: next.trim() } });
+    }
+  });
+  item.appendChild(categoryButton);
+
+  const respawnButton = document.createElement("button");
+  respawnButton.type = "button";
+  respawnButton.textContent = "Respawn";
+  respawnButton.title = "Minutes until a taken marker of this type is available again (0 for never)";
+  respawnButton.addEventListener("click", () => {
+    const current = type.respawnSeconds ? String(Math.round(type.respawnSeconds / 60)) : "0";
+    const answer = window.prompt(`Respawn time for ${type.name} in minutes (0 = never):`, current);
+    const minutes = Number(answer);
+    if (answer !== null && Number.isFinite(minutes) && minutes >= 0) {
+      updateTypes({ action: "updateType", poiType: { id: type.id, respawnSeconds: Math.round(minutes * 60) } });
+    }
+  });
+  item.appendChild(respawnButton);
+
+  const dietsButton = document.createElement("button");
+  dietsButton.type = "button";
+  dietsButton.textContent = "Diets";
+  dietsButton.title = "Which dinosaurs need this type (none for every dinosaur)";
+  dietsButton.addEventListener("click", () => {
+    if (!item.querySelector(".type-diets")) {
+      item.appendChild(createTypeDietsRow(type));
+    }
+  });
+  item.appendChild(dietsButton);
+
+  const iconButton = document.createElement("button");
+  iconButton.type = "button";
+  iconButton.textContent = "Icon";
+  iconButton.title = "Replace the SVG icon";
+  iconButton.addEventListener("click", () => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".svg,image/svg+xml";
+    input.addEventListener("change", async () => {
+      const svg = await readTypeIcon(input.files?.[0]);
+      if (svg) {
+        updateTypes({ action: "updateType", poiType: { id: type.id, svg } });
+      }
+    });
+    input.click();
+  });
+  item.appendChild(iconButton);
+
+  const deleteButton = document.createElement("button");
+  deleteButton.type = "button";
+  deleteButton.textContent = "Delete";
+  deleteButton.addEventListener("click", () => {
+    if (!type.markers) {
+      if (window.confirm(`Delete the type ${type.name}?`)) {
+        deleteType(type, null);
+      }
+      return;
+    }
+    if (!item.querySelector(".type-reassign")) {
+      item.appendChild(createTypeReassignRow(type, allTypes));
+    }
+  });
+  item.appendChild(deleteButton);
+  return item;
 }
 
-function projectCoordsToScreen(coords) {
-  if (!coords || !isMapReady()) {
-    return null;
-  }
-  const { left, top } = toPixelCoords(coords.x, coords.y);
-  return {
-    left: state.translateX + left * state.scale,
-    top: state.translateY + top * state.scale,
-  };
+// Types that are still in use can only go once their markers have somewhere else to go.
+function createTypeReassignRow(type, allTypes) {
+  const row = document.createElement("div");
+  row.className = "type-reassign";
+
+  const label = document.createElement("label");
+  label.textContent = `Move ${type.markers === 1 ? "its marker" : `its ${type.markers} markers`} to `;
+  const select = document.createElement("select");
+  allTypes
+    .filter((other) => other.id !== type.id)
+    .forEach((other) => {
+      const option = document.createElement("option");
+      option.value = String(other.id);
+      option.textContent = other.name;
+      select.appendChild(option);
+    });
+  label.appendChild(select);
+  row.appendChild(label);
+
+  const confirmButton = document.createElement("button");
+  confirmButton.type = "button";
+  confirmButton.textContent = "Move and delete";
+  confirmButton.disabled = !select.options.length;
+  confirmButton.addEventListener("click", () => deleteType(type, Number(select.value)));
+  row.appendChild(confirmButton);
+
+  const cancelButton = document.createElement("button");
+  cancelButton.type = "button";
+  cancelButton.textContent = "Cancel";
+  cancelButton.addEventListener("click", () => row.remove());
+  row.appendChild(cancelButton);
+  return row;
 }
 
-function refreshMarkerPositions() {
-  if (!isMapReady()) {
-    return;
-  }
-  poiLayer.querySelectorAll(".poi-marker").forEach(positionMarker);
-}
+// Types without any diet stay visible for every dinosaur profile.
+function createTypeDietsRow(type) {
+  const row = document.createElement("div");
+  row.className = "type-diets";
+
+  const boxes = DIET_TAGS.map((diet) => {
+    const label = document.createElement("label");
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.value = diet;
+    box.checked = Boolean(type.diets?.includes(diet));
+    label.append(box, ` ${diet}`);
+    row.appendChild(label);
+    return box;
+  });
 
-function bindMarkerInteractions(marker) {
-  marker.addEventListener("pointerdown", handleMarkerPointerDown);
-  marker.addEventListener("click", handleMarkerClick);
-  marker.addEventListener("dragstart", preventNativeDrag);
+  const saveButton = document.createElement("button");
+  saveButton.type = "button";
+  saveButton.textContent = "Save";
+  saveButton.addEventListener("click", () => {
+    const diets = boxes.filter((box) => box.checked).map((box) => box.value);
+    updateTypes({ action: "updateType", poiType: { id: type.id, diets } });
+  });
+  row.appendChild(saveButton);
+
+  const cancelButton = document.createElement("button");
+  cancelButton.type = "button";
+  cancelButton.textContent = "Cancel";
+  cancelButton.addEventListener("click", () => row.remove());
+  row.appendChild(cancelButton);
+  return row;
 }
 
-function handleMarkerPointerDown(event) {
-  if (!(event.currentTarget instanceof HTMLElement)) {
-    return;
-  }
-  if (!editMode) {
-    event.preventDefault();
-    event.stopPropagation();
-    return;
+async function deleteType(type, reassignTo) {
+  const poiType = reassignTo === null ? { id: type.id } : { id: type.id, reassignTo };
+  if (await updateTypes({ action: "deleteType", poiType }) && reassignTo !== null) {
+    // Our own marker updates are not echoed back by the event stream.
+    poiStore.forEach((poi) => {
+      if (poi.type === type.id) {
+        updatePoiType(poi.id, reassignTo);
+      }
+    });
   }
-  event.preventDefault();
-  event.stopPropagation();
-  startMarkerDrag(event.currentTarget, event);
 }
 
-function handleMarkerClick(event) {
-  if (!(event.currentTarget instanceof HTMLElement) || editMode) {
-    return;
+async function readTypeIcon(file) {
+  if (!file) {
+    return null;
   }
-  event.preventDefault();
-  event.stopPropagation();
-  toggleMarkerVisited(event.currentTarget);
+  if (file.size > MAX_TYPE_ICON_BYTES) {
+    alert(`The icon must be at most ${MAX_TYPE_ICON_BYTES / 1024} KB.`);
+    return null;
+  }
+  return file.text();
 }
 
-function startMarkerDrag(marker, event) {
-  if (!isMapReady() || !editMode) {
+async function handleTypeFormSubmit(event) {
+  event.preventDefault();
+  const name = typeForm.elements.namedItem("name").value.trim();
+  const category = typeForm.elements.namedItem("category").value.trim();
+  const minutes = Number(typeForm.elements.namedItem("respawn").value) || 0;
+  const svg = await readTypeIcon(typeForm.elements.namedItem("icon").files?.[0]);
+  if (!name || !svg) {
+    alert("Enter a name and choose an SVG icon.");
     return;
   }
-  const poiId = marker.dataset?.id;
-  const coords = getMarkerStoredCoords(marker);
-  if (!poiId || !coords) {
-    return;
+  const poiType = { name, category, svg };
+  if (minutes > 0) {
+    poiType.respawnSeconds = Math.round(minutes * 60);
   }
-  event.preventDefault();
-  if (dragState) {
-    endDrag();
+  if (await updateTypes({ action: "createType", poiType })) {
+    typeForm.reset();
   }
+}
+
+// Like the editor actions, every type action answers with the full list. The catalog is reloaded
+// so the toolbar and markers pick up the change straight away.
+async function updateTypes(payload) {
   try {
-    marker.setPointerCapture(event.pointerId);
+    const response = await postToApi(payload, { requireSession: true });
+    renderTypesList(response?.data);
+    await refreshPoiCatalog();
+    return true;
   } catch (error) {
-    // Ignore pointer capture failures.
+    console.error("Failed to update types", error);
+    alert(`Failed to update the type: ${getApiErrorMessage(error)}`);
+    return false;
   }
-  const label = marker.title || marker.alt || "";
-  dragState = {
-    mode: "move",
-    pointerId: event.pointerId,
-    marker,
-    type: Number(marker.dataset?.type),
-    id: poiId,
-    initialCoords: coords,
-    originalMarkerOpacity: marker.style.opacity,
-    sourceElement: marker,
-    ghost: createDragGhost(marker.src, label, getDragGhostSizePx()),
-  };
-  marker.style.opacity = "0";
-  updateDragGhostPosition({ clientX: event.clientX, clientY: event.clientY });
-  attachDragListeners();
 }
 
-function setTrashActive(active) {
-  if (!trashCan) {
-    return;
+async function fetchExistingPois() {
+  const sessionId = mapSessionId;
+  try {
+    const payload = await postToApi({ action: "list", mapId: getMapId() });
+    if (sessionId !== mapSessionId) {
+      // The user switched maps while this list was loading.
+      return;
+    }
+    renderPois(Array.isArray(payload?.data) ? payload.data : []);
+    await applyQueuedEditsToStore(getMapId());
+    if (sessionId !== mapSessionId) {
+      return;
+    }
+    if (pendingUrlState && isMapReady()) {
+      // The linked marker no longer exists; fall back to the regular view.
+      pendingUrlState = null;
+      scheduleUrlStateWrite();
+    }
+    replayOfflineQueue();
+    connectPoiEvents();
+  } catch (error) {
+    console.error("Failed to load POIs", error);
   }
-  trashCan.classList.toggle("trash-can--active", Boolean(active));
 }
 
-function applyMarkerCoords(marker, coords) {
-  const x = Number(coords?.x);
-  const y = Number(coords?.y);
-  if (!marker || Number.isNaN(x) || Number.isNaN(y)) {
+// Follow changes other editors make on the current map. EventSource reconnects by itself; after a
+// drop the list is reloaded because events sent while disconnected are lost.
+function connectPoiEvents() {
+  if (typeof EventSource === "undefined") {
     return;
   }
-  marker.dataset.x = String(x);
-  marker.dataset.y = String(y);
-  positionMarker(marker);
-  applyMarkerVisibility(marker);
-  applyMarkerVisitedState(marker);
+  const mapId = getMapId();
+  if (poiEventSource?.mapId === mapId) {
+    return;
+  }
+  disconnectPoiEvents();
+  const source = new EventSource(`${EVENTS_ENDPOINT}?mapId=${encodeURIComponent(mapId)}`);
+  source.mapId = mapId;
+  source.addEventListener("poi", handlePoiEvent);
+  source.addEventListener("open", () => {
+    if (poiEventsNeedResync) {
+      poiEventsNeedResync = false;
+      resyncPois();
+    }
+  });
+  source.addEventListener("error", () => {
+    poiEventsNeedResync = true;
+  });
+  poiEventSource = source;
 }
 
-function revertMarkerPosition(snapshot) {
-  if (!snapshot?.marker || !snapshot.initialCoords) {
+function disconnectPoiEvents() {
+  if (!poiEventSource) {
+    return;
+  }
+  poiEventSource.close();
+  poiEventSource = null;
+  poiEventsNeedResync = false;
+}
+
+async function resyncPois() {
+  // Queued offline edits are reconciled by the replay instead.
+  if (offlineQueueCount) {
+    return;
+  }
+  const sessionId = mapSessionId;
+  try {
+    const payload = await postToApi({ action: "list", mapId: getMapId() });
+    if (sessionId !== mapSessionId) {
+      return;
+    }
+    const server = new Map();
+    (Array.isArray(payload?.data) ? payload.data : []).forEach((record) => {
+      const poi = normalizePoiRecord(record);
+      if (poi) server.set(poi.id, poi);
+    });
+    syncPoisWithServer(server);
+  } catch (error) {
+    console.error("Failed to reload POIs", error);
+  }
+}
+
+function handlePoiEvent(event) {
+  let change;
+  try {
+    change = JSON.parse(event.data);
+  } catch (e) {
+    return;
+  }
+  if (!change || change.clientId === CLIENT_ID || change.mapId !== getMapId()) {
+    return;
+  }
+  if (change.action === "types") {
+    refreshPoiCatalog();
+    return;
+  }
+  const poiId = String(change.poiId || "").toLowerCase();
+  switch (change.action) {
+    case "create":
+    case "restore":
+    case "update": {
+      const poi = normalizePoiRecord(change.poi);
+      if (!poi) {
+        return;
+      }
+      if (!poiStore.has(poiId)) {
+        renderPoiMarker(poi);
+      } else {
+        // Leave the position of a marker this user is dragging alone; their drop wins.
+        const marker = mountedMarkers.get(poiId);
+        if (!isDraggingPoi(poiId)) {
+          if (marker) {
+            applyMarkerCoords(marker, poi);
+          } else {
+            updatePoiCoords(poiId, poi);
+          }
+        }
+        updatePoiDetails(poiId, poi);
+        updatePoiType(poiId, poi.type);
+      }
+      flashMarker(poiId, "poi-marker--remote", REMOTE_HIGHLIGHT_MS);
+      break;
+    }
+    case "delete": {
+      if (isDraggingPoi(poiId)) {
+        endDrag();
+      }
+      const marker = mountedMarkers.get(poiId);
+      if (marker) {
+        removeMarkerElement(marker);
+      } else {
+        removePoi(poiId);
+      }
+      break;
+    }
+    default:
+      return;
+  }
+  refreshHistoryPanel();
+}
+
+// Markers are virtualized, so the flash is remembered and applied if the marker mounts later.
+function flashMarker(poiId, className, durationMs) {
+  const previous = markerFlashes.get(poiId);
+  if (previous) {
+    clearTimeout(previous.timer);
+    mountedMarkers.get(poiId)?.classList.remove(previous.className);
+  }
+  const marker = mountedMarkers.get(poiId);
+  if (marker) {
+    // Restart the animation when the same class is applied again.
+    marker.classList.remove(className);
+    void marker.offsetWidth;
+    marker.classList.add(className);
+  }
+  const timer = setTimeout(() => {
+    markerFlashes.delete(poiId);
+    mountedMarkers.get(poiId)?.classList.remove(className);
+  }, durationMs);
+  markerFlashes.set(poiId, { className, timer });
+}
+
+function renderPois(records) {
+  if (!Array.isArray(records)) {
+    return;
+  }
+  records.forEach(renderPoiMarker);
+  scheduleRespawnTick();
+}
+
+// Register a POI with the store and spatial index; its element is mounted on the next frame if it
+// is near the viewport.
+function renderPoiMarker(rawPoi) {
+  const poi = normalizePoiRecord(rawPoi);
+  if (!poi) {
+    return;
+  }
+  const poiId = poi.id;
+  if (!poiId || poiStore.has(poiId)) {
+    return;
+  }
+  poiStore.set(poiId, poi);
+  indexPoi(poi);
+  markPoiQueriesStale();
+  scheduleMarkerRender();
+  if (poiId === focusedPoiId) {
+    centerOnFocusedPoi();
+  }
+}
+
+function createMarkerElement(poi) {
+  const poiId = poi.id;
+  const marker = document.createElement("img");
+  marker.className = "poi-marker";
+  marker.dataset.id = poiId;
+  marker.dataset.type = String(poi.type);
+  marker.dataset.x = String(poi.x);
+  marker.dataset.y = String(poi.y);
+  const asset = PoiCatalog[poi.type];
+  if (asset?.src) {
+    marker.src = asset.src;
+    marker.alt = asset.label || "";
+  }
+  marker.title = getPoiTooltip(poi);
+  applyMarkerVisibility(marker);
+  applyMarkerVisitedState(marker);
+  bindMarkerInteractions(marker);
+  marker.classList.toggle("poi-marker--focused", poiId === focusedPoiId);
+  marker.classList.toggle("poi-marker--selected", selectedPoiIds.has(poiId));
+  const flash = markerFlashes.get(poiId);
+  if (flash) {
+    marker.classList.add(flash.className);
+  }
+  return marker;
+}
+
+function positionMarker(marker) {
+  const coords = getMarkerStoredCoords(marker);
+  if (!coords) {
+    return;
+  }
+  const screenPosition = projectCoordsToScreen(coords);
+  if (!screenPosition) {
+    return;
+  }
+  // A single transform write per marker keeps panning on the compositor.
+  marker.style.transform =
+    `translate3d(${screenPosition.left}px, ${screenPosition.top}px, 0) translate(-50%, -50%)`;
+}
+
+// Legacy rows may carry pixel coordinates; the index and culling work in 0..1 space.
+function getPoiNormalizedCoords(poi) {
+  const width = state.mapWidth || currentMap?.width || ORIGINAL_MAP_WIDTH;
+  const height = state.mapHeight || currentMap?.height || ORIGINAL_MAP_HEIGHT;
+  const normalized = poi.x >= 0 && poi.x <= 1 && poi.y >= 0 && poi.y <= 1;
+  return {
+    x: normalized ? poi.x : poi.x / width,
+    y: normalized ? poi.y : poi.y / height,
+  };
+}
+
+function getPoiIndexKey(coords) {
+  const cellX = clamp(Math.floor(coords.x * POI_INDEX_CELLS), 0, POI_INDEX_CELLS - 1);
+  const cellY = clamp(Math.floor(coords.y * POI_INDEX_CELLS), 0, POI_INDEX_CELLS - 1);
+  return `${cellX}_${cellY}`;
+}
+
+function indexPoi(poi) {
+  const key = getPoiIndexKey(getPoiNormalizedCoords(poi));
+  let bucket = poiIndex.get(key);
+  if (!bucket) {
+    bucket = new Set();
+    poiIndex.set(key, bucket);
+  }
+  bucket.add(poi.id);
+  poi.indexKey = key;
+}
+
+function unindexPoi(poi) {
+  const bucket = poiIndex.get(poi.indexKey);
+  if (!bucket) {
+    return;
+  }
+  bucket.delete(poi.id);
+  if (!bucket.size) {
+    poiIndex.delete(poi.indexKey);
+  }
+}
+
+// Collect the POIs whose index cell overlaps the normalized rectangle, then filter exactly.
+function queryPoiIndex(rect) {
+  const startX = clamp(Math.floor(rect.left * POI_INDEX_CELLS), 0, POI_INDEX_CELLS - 1);
+  const endX = clamp(Math.floor(rect.right * POI_INDEX_CELLS), 0, POI_INDEX_CELLS - 1);
+  const startY = clamp(Math.floor(rect.top * POI_INDEX_CELLS), 0, POI_INDEX_CELLS - 1);
+  const endY = clamp(Math.floor(rect.bottom * POI_INDEX_CELLS), 0, POI_INDEX_CELLS - 1);
+  const results = [];
+  for (let cellY = startY; cellY <= endY; cellY++) {
+    for (let cellX = startX; cellX <= endX; cellX++) {
+      const bucket = poiIndex.get(`${cellX}_${cellY}`);
+      if (!bucket) continue;
+      bucket.forEach((poiId) => {
+        const poi = poiStore.get(poiId);
+        if (!poi) return;
+        const coords = getPoiNormalizedCoords(poi);
+        if (coords.x >= rect.left && coords.x <= rect.right && coords.y >= rect.top && coords.y <= rect.bottom) {
+          results.push(poi);
+        }
+      });
+    }
+  }
+  return results;
+}
+
+function getMarkerRenderRect() {
+  const visible = getVisibleMapRect();
+  const margin = MARKER_RENDER_MARGIN_PX / state.scale;
+  return {
+    left: (visible.left - margin) / state.mapWidth,
+    top: (visible.top - margin) / state.mapHeight,
+    right: (visible.right + margin) / state.mapWidth,
+    bottom: (visible.bottom + margin) / state.mapHeight,
+  };
+}
+
+function isPoiTypeShown(type) {
+  return editMode || !hiddenTypes.has(type);
+}
+
+// Batch marker work into one pass per animation frame no matter how many pointer events arrive.
+function scheduleMarkerRender() {
+  if (markerRenderFrame !== null) {
+    return;
+  }
+  markerRenderFrame = requestAnimationFrame(() => {
+    markerRenderFrame = null;
+    renderVisibleMarkers();
+  });
+}
+
+function renderVisibleMarkers() {
+  if (!isMapReady()) {
+    return;
+  }
+  const candidates = queryPoiIndex(getMarkerRenderRect()).filter((poi) => isPoiTypeShown(poi.type));
+  const { singles, clusters } = shouldClusterMarkers()
+    ? clusterPois(candidates)
+    : { singles: candidates, clusters: [] };
+  renderMarkerSet(singles);
+  renderClusterSet(clusters);
+  positionPoiPopover();
+  renderFinderOverlay();
+  renderRouteOverlay();
+  renderCalibrationOverlay();
+  renderGotoPin();
+}
+
+function renderMarkerSet(pois) {
+  const wanted = new Set(pois.map((poi) => poi.id));
+  // Never unmount the marker being dragged; it holds the pointer capture.
+  const pinnedId = dragState?.marker ? getMarkerId(dragState.marker) : null;
+  if (pinnedId && mountedMarkers.has(pinnedId)) {
+    wanted.add(pinnedId);
+  }
+
+  mountedMarkers.forEach((marker, poiId) => {
+    if (!wanted.has(poiId)) {
+      marker.remove();
+      mountedMarkers.delete(poiId);
+    }
+  });
+
+  const fragment = document.createDocumentFragment();
+  wanted.forEach((poiId) => {
+    let marker = mountedMarkers.get(poiId);
+    if (!marker) {
+      marker = createMarkerElement(poiStore.get(poiId));
+      mountedMarkers.set(poiId, marker);
+      fragment.appendChild(marker);
+    }
+    positionMarker(marker);
+  });
+  poiLayer.appendChild(fragment);
+}
+
+function shouldClusterMarkers() {
+  return clusterMode !== "off" && !editMode && getZoomProgress() < CLUSTER_MAX_ZOOM_PROGRESS;
+}
+
+// Bucket POIs by screen-sized cells anchored to the map origin so clusters stay put while panning.
+// In "type" mode each type clusters on its own; "mixed" lumps every type in a cell together.
+function clusterPois(pois) {
+  const cellSize = Math.max(1, getMarkerSizePx() * CLUSTER_CELL_MULTIPLIER);
+  const groups = new Map();
+  pois.forEach((poi) => {
+    const coords = getPoiNormalizedCoords(poi);
+    const cellX = Math.floor((coords.x * state.mapWidth * state.scale) / cellSize);
+    const cellY = Math.floor((coords.y * state.mapHeight * state.scale) / cellSize);
+    const key = clusterMode === "type" ? `${poi.type}:${cellX}_${cellY}` : `${cellX}_${cellY}`;
+    let members = groups.get(key);
+    if (!members) {
+      members = [];
+      groups.set(key, members);
+    }
+    members.push(poi);
+  });
+
+  const singles = [];
+  const clusters = [];
+  groups.forEach((members, key) => {
+    if (members.length >= CLUSTER_MIN_SIZE) {
+      clusters.push({ key, members });
+    } else {
+      singles.push(...members);
+    }
+  });
+  return { singles, clusters };
+}
+
+function renderClusterSet(clusters) {
+  const wanted = new Set(clusters.map((cluster) => cluster.key));
+  mountedClusters.forEach((element, key) => {
+    if (!wanted.has(key)) {
+      element.remove();
+      mountedClusters.delete(key);
+    }
+  });
+
+  const fragment = document.createDocumentFragment();
+  clusters.forEach((cluster) => {
+    let element = mountedClusters.get(cluster.key);
+    if (!element) {
+      element = createClusterElement();
+      mountedClusters.set(cluster.key, element);
+      fragment.appendChild(element);
+    }
+    updateClusterElement(element, cluster.members);
+  });
+  poiLayer.appendChild(fragment);
+}
+
+function createClusterElement() {
+  const element = document.createElement("button");
+  element.type = "button";
+  element.className = "poi-cluster";
+  const img = document.createElement("img");
+  img.className = "poi-cluster-icon";
+  img.alt = "";
+  img.draggable = false;
+  const badge = document.createElement("span");
+  badge.className = "poi-cluster-count";
+  element.appendChild(img);
+  element.appendChild(badge);
+  element.addEventListener("pointerdown", (event) => {
+    // Keep the viewport from starting a pan so the click reaches the cluster.
+    event.stopPropagation();
+  });
+  element.addEventListener("click", handleClusterClick);
+  return element;
+}
+
+function updateClusterElement(element, members) {
+  const typeCounts = new Map();
+  let sumX = 0;
+  let sumY = 0;
+  let available = 0;
+  members.forEach((poi) => {
+    const coords = getPoiNormalizedCoords(poi);
+    sumX += coords.x;
+    sumY += coords.y;
+    typeCounts.set(poi.type, (typeCounts.get(poi.type) || 0) + 1);
+    if (!isPoiVisited(poi.id)) {
+      available += 1;
+    }
+  });
+  element.poiMembers = members;
+
+  // Show the most common type's icon; a mixed cluster lists every type in its tooltip.
+  const [dominantType] = Array.from(typeCounts.entries()).sort((a, b) => b[1] - a[1])[0];
+  const asset = PoiCatalog[dominantType];
+  const img = element.querySelector(".poi-cluster-icon");
+  if (img && asset?.src && img.getAttribute("src") !== asset.src) {
+    img.src = asset.src;
+  }
+  element.classList.toggle("poi-cluster--mixed", typeCounts.size > 1);
+  element.classList.toggle("poi-cluster--visited", available === 0);
+  element.querySelector(".poi-cluster-count").textContent = String(available || members.length);
+  const summary = Array.from(typeCounts.entries())
+    .map(([type, count]) => `${count} ${PoiCatalog[type]?.label || "?"}`)
+    .join(", ");
+  const visitedCount = members.length - available;
+  const label = visitedCount ? `${summary} (${visitedCount} visited)` : summary;
+  element.title = label;
+  element.setAttribute("aria-label", `${label}. Zoom in to expand.`);
+
+  const screenPosition = projectCoordsToScreen({ x: sumX / members.length, y: sumY / members.length });
+  if (screenPosition) {
+    element.style.transform =
+      `translate3d(${screenPosition.left}px, ${screenPosition.top}px, 0) translate(-50%, -50%)`;
+  }
+}
+
+function handleClusterClick(event) {
+  event.preventDefault();
+  event.stopPropagation();
+  const members = event.currentTarget?.poiMembers;
+  if (Array.isArray(members) && members.length) {
+    zoomToPois(members);
+  }
+}
+
+// Fit the given POIs into the viewport, zooming at least far enough for their cluster to expand.
+function zoomToPois(pois) {
+  if (!isMapReady() || !pois.length) {
+    return;
+  }
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  pois.forEach((poi) => {
+    const coords = getPoiNormalizedCoords(poi);
+    minX = Math.min(minX, coords.x);
+    minY = Math.min(minY, coords.y);
+    maxX = Math.max(maxX, coords.x);
+    maxY = Math.max(maxY, coords.y);
+  });
+  const spanX = Math.max((maxX - minX) * state.mapWidth, 1);
+  const spanY = Math.max((maxY - minY) * state.mapHeight, 1);
+  const fitScale = Math.min((state.viewportWidth * 0.6) / spanX, (state.viewportHeight * 0.6) / spanY);
+  const expandScale = getScaleForZoomProgress(CLUSTER_MAX_ZOOM_PROGRESS) * 1.05;
+  state.scale = clamp(Math.max(fitScale, expandScale), state.minScale, state.maxScale);
+  centerOnMapPoint((minX + maxX) / 2, (minY + maxY) / 2);
+  applyTransform();
+}
+
+// Glide the view to a map point (0..1), zooming in to at least the given scale on the way.
+function flyToMapPoint(x, y, minScale) {
+  if (!isMapReady()) {
+    return Promise.resolve(false);
+  }
+  const session = ++flySessionId;
+  const rect = mapViewport.getBoundingClientRect();
+  const anchorX = rect.left + state.viewportWidth / 2;
+  const anchorY = rect.top + state.viewportHeight / 2;
+  const startScale = state.scale;
+  const endScale = clamp(Math.max(startScale, minScale), state.minScale, state.maxScale);
+  const startX = (state.viewportWidth / 2 - state.translateX) / (state.mapWidth * state.scale);
+  const startY = (state.viewportHeight / 2 - state.translateY) / (state.mapHeight * state.scale);
+  const startTime = performance.now();
+  return new Promise((resolve) => {
+    const step = (now) => {
+      if (session !== flySessionId) {
+        resolve(false);
+        return;
+      }
+      const t = clamp((now - startTime) / FLY_DURATION_MS, 0, 1);
+      const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+      // Interpolate the scale geometrically so the zoom feels even at every level.
+      setScaleAround(startScale * Math.pow(endScale / startScale, eased), anchorX, anchorY);
+      centerOnMapPoint(lerp(startX, x, eased), lerp(startY, y, eased));
+      applyTransform();
+      if (t < 1) {
+        requestAnimationFrame(step);
+      } else {
+        resolve(true);
+      }
+    };
+    requestAnimationFrame(step);
+  });
+}
+
+function cancelFlyAnimation() {
+  flySessionId += 1;
+}
+
+function getScaleForZoomProgress(progress) {
+  return state.minScale + (state.maxScale - state.minScale) * progress;
+}
+
+function loadClusterMode() {
+  if (typeof localStorage === "undefined") {
+    return CLUSTER_MODES[0];
+  }
+  try {
+    const stored = localStorage.getItem(CLUSTER_MODE_STORAGE_KEY);
+    return CLUSTER_MODES.includes(stored) ? stored : CLUSTER_MODES[0];
+  } catch (error) {
+    return CLUSTER_MODES[0];
+  }
+}
+
+function initializeClusterModeSelect() {
+  if (!clusterModeSelect) {
+    return;
+  }
+  clusterModeSelect.value = clusterMode;
+  clusterModeSelect.addEventListener("change", () => {
+    const nextMode = clusterModeSelect.value;
+    if (!CLUSTER_MODES.includes(nextMode)) {
+      return;
+    }
+    clusterMode = nextMode;
+    try {
+      localStorage.setItem(CLUSTER_MODE_STORAGE_KEY, clusterMode);
+    } catch (error) {
+      console.warn("Failed to persist cluster mode", error);
+    }
+    scheduleMarkerRender();
+  });
+}
+
+function loadFilterPresets() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(FILTER_PRESETS_STORAGE_KEY) || "[]");
+    if (!Array.isArray(parsed)) {
+      return [];
+    }
+    return parsed
+      .map((entry) => ({
+        name: String(entry?.name || "").trim().slice(0, FILTER_PRESET_NAME_MAX_LENGTH),
+        hidden: normalizeTypeList(Array.isArray(entry?.hidden) ? entry.hidden : []),
+      }))
+      .filter((preset) => preset.name);
+  } catch (error) {
+    console.warn("Failed to load filter presets", error);
+    return [];
+  }
+}
+
+function persistFilterPresets() {
+  try {
+    localStorage.setItem(FILTER_PRESETS_STORAGE_KEY, JSON.stringify(filterPresets));
+  } catch (error) {
+    console.warn("Failed to persist filter presets", error);
+  }
+}
+
+function findFilterPreset(name) {
+  return filterPresets.find((preset) => preset.name === name) || null;
+}
+
+// The preset whose hidden set matches the current filter, if any.
+function findActiveFilterPreset() {
+  const current = normalizeTypeList(hiddenTypes).join(",");
+  return filterPresets.find((preset) => preset.hidden.join(",") === current) || null;
+}
+
+function initializeFilterPresets() {
+  if (!filterPresetSelect) {
+    return;
+  }
+  renderFilterPresetSelect();
+  filterPresetSelect.addEventListener("change", () => {
+    const value = filterPresetSelect.value;
+    if (value === "all") {
+      applyFilterPreset([]);
+    } else if (value === "save") {
+      saveFilterPreset();
+    } else if (value === "delete") {
+      deleteActiveFilterPreset();
+    } else if (value.startsWith("preset:")) {
+      const preset = findFilterPreset(value.slice("preset:".length));
+      if (preset) {
+        applyFilterPreset(preset.hidden);
+      }
+    }
+    // Save and delete are actions, not states; put the selection back on the current filter.
+    renderFilterPresetSelect();
+  });
+}
+
+function renderFilterPresetSelect() {
+  if (!filterPresetSelect) {
+    return;
+  }
+  const active = findActiveFilterPreset();
+  const addOption = (value, label, disabled = false) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    option.disabled = disabled;
+    filterPresetSelect.appendChild(option);
+  };
+  filterPresetSelect.replaceChildren();
+  addOption("all", "All types");
+  if (!active && hiddenTypes.size) {
+    addOption("custom", "Custom filter", true);
+  }
+  filterPresets.forEach((preset) => addOption(`preset:${preset.name}`, preset.name));
+  addOption("save", "Save current filter…");
+  if (active) {
+    addOption("delete", `Delete "${active.name}"`);
+  }
+  filterPresetSelect.value = active ? `preset:${active.name}` : hiddenTypes.size ? "custom" : "all";
+}
+
+function applyFilterPreset(hidden) {
+  setHiddenTypes(hidden);
+  commitHiddenTypes();
+}
+
+function saveFilterPreset() {
+  if (!hiddenTypes.size) {
+    alert("Hide some marker types first, then save the filter as a preset.");
+    return;
+  }
+  const input = window.prompt("Name this filter preset:", findActiveFilterPreset()?.name || "");
+  const name = String(input || "").trim().slice(0, FILTER_PRESET_NAME_MAX_LENGTH);
+  if (!name) {
+    return;
+  }
+  const existing = findFilterPreset(name);
+  if (existing && !window.confirm(`Replace the preset "${name}"?`)) {
+    return;
+  }
+  const hidden = normalizeTypeList(hiddenTypes);
+  if (existing) {
+    existing.hidden = hidden;
+  } else {
+    filterPresets.push({ name, hidden });
+  }
+  persistFilterPresets();
+  scheduleUrlStateWrite();
+}
+
+function deleteActiveFilterPreset() {
+  const active = findActiveFilterPreset();
+  if (!active || !window.confirm(`Delete the preset "${active.name}"? The current filter stays applied.`)) {
+    return;
+  }
+  filterPresets.splice(filterPresets.indexOf(active), 1);
+  persistFilterPresets();
+  scheduleUrlStateWrite();
+}
+
+// A shared link names its preset; offer to keep it unless a preset of that name already exists here.
+function adoptSharedPreset(urlState) {
+  if (!urlState?.preset || !urlState.hiddenTypes?.length || findFilterPreset(urlState.preset)) {
+    return;
+  }
+  if (!window.confirm(`This link uses the filter preset "${urlState.preset}". Save it to your presets?`)) {
+    return;
+  }
+  filterPresets.push({ name: urlState.preset, hidden: normalizeTypeList(urlState.hiddenTypes) });
+  persistFilterPresets();
+}
+
+function loadDietProfile() {
+  try {
+    const stored = localStorage.getItem(DIET_PROFILE_STORAGE_KEY) || "";
+    return getDietProfileTags(stored) ? stored : "";
+  } catch (error) {
+    return "";
+  }
+}
+
+function initializeDietProfileSelect() {
+  if (!dietProfileSelect) {
+    return;
+  }
+  dietProfileSelect.value = dietProfile;
+  dietProfileSelect.addEventListener("change", () => selectDietProfile(dietProfileSelect.value));
+}
+
+// "carnivore-aquatic" -> ["carnivore", "aquatic"]; null for no or an unknown profile.
+function getDietProfileTags(profile) {
+  const [diet, modifier] = String(profile || "").split("-");
+  const tags = DIET_PROFILES[diet];
+  if (!tags || (modifier && modifier !== "aquatic")) {
+    return null;
+  }
+  return modifier ? [...tags, "aquatic"] : tags;
+}
+
+// Types tagged only with diets the profile does not share. Untagged types suit every dinosaur.
+function getDietHiddenTypes(profile = dietProfile) {
+  const tags = getDietProfileTags(profile);
+  if (!tags) {
+    return [];
+  }
+  return Object.entries(PoiCatalog)
+    .filter(([, entry]) => entry.diets?.length && !entry.diets.some((diet) => tags.includes(diet)))
+    .map(([type]) => Number(type));
+}
+
+// A profile fills in the filter on maps without a saved one. Saved filters (and the presets they may
+// come from) are only replaced when the user agrees to it.
+function selectDietProfile(profile) {
+  dietProfile = getDietProfileTags(profile) ? profile : "";
+  const savedKeys = MapRegistry.map((entry) => getHiddenTypesStorageKey(entry.id)).filter(
+    (key) => loadHiddenTypes(key) !== null
+  );
+  const label = dietProfileSelect?.selectedOptions?.[0]?.textContent || "this profile";
+  const replaceSaved =
+    savedKeys.length > 0 &&
+    window.confirm(
+      `Replace the saved filter on ${savedKeys.length === 1 ? "1 map" : `${savedKeys.length} maps`} with ${label}? ` +
+        "Cancel keeps them and applies the profile only where no filter is saved."
+    );
+  try {
+    localStorage.setItem(DIET_PROFILE_STORAGE_KEY, dietProfile);
+    if (replaceSaved) {
+      savedKeys.forEach((key) => localStorage.removeItem(key));
+    }
+  } catch (error) {
+    console.warn("Failed to persist diet profile", error);
+  }
+  if (replaceSaved || loadHiddenTypes(getHiddenTypesStorageKey()) === null) {
+    applyFilterPreset(getDietHiddenTypes());
+  }
+}
+
+// The map's filter is loaded before the catalog may have arrived, so a profile default is applied again here.
+function applyDietProfileDefault() {
+  if (dietProfile && !urlFilterActive && loadHiddenTypes(getHiddenTypesStorageKey()) === null) {
+    setHiddenTypes(getDietHiddenTypes());
+    scheduleUrlStateWrite();
+  }
+}
+
+function getMarkerStoredCoords(marker) {
+  const x = Number(marker.dataset?.x);
+  const y = Number(marker.dataset?.y);
+  if (Number.isNaN(x) || Number.isNaN(y)) {
+    return null;
+  }
+  return { x, y };
+}
+
+function applyMarkerVisibility(marker) {
+  if (!(marker instanceof HTMLElement)) {
+    return;
+  }
+  const type = Number(marker.dataset?.type);
+  if (!Number.isFinite(type)) {
+    return;
+  }
+  const hidden = !editMode && hiddenTypes.has(type);
+  marker.classList.toggle("poi-marker--hidden", hidden);
+}
+
+function refreshVisibilityFilters() {
+  document.querySelectorAll(".poi-icon").forEach(applyIconVisibility);
+  updateCategoryToggles();
+  mountedMarkers.forEach((marker) => {
+    applyMarkerVisibility(marker);
+    applyMarkerVisitedState(marker);
+  });
+  scheduleMarkerRender();
+}
+
+function applyMarkerVisitedState(marker, now = Date.now()) {
+  const poiId = getMarkerId(marker);
+  if (!poiId) {
+    marker?.classList.remove("poi-marker--visited", "poi-marker--respawning");
+    return;
+  }
+  const remaining = getRespawnRemaining(poiId, now);
+  marker.classList.toggle("poi-marker--visited", isPoiVisited(poiId, now));
+  marker.classList.toggle("poi-marker--respawning", remaining > 0);
+  if (remaining > 0) {
+    // The ring shrinks from a full circle to nothing as the respawn time runs out.
+    marker.style.setProperty("--respawn-progress", String(remaining / getPoiRespawnMs(poiId)));
+    scheduleRespawnTick();
+  } else {
+    marker.style.removeProperty("--respawn-progress");
+  }
+  const poi = poiStore.get(poiId);
+  if (poi) {
+    marker.title = getPoiTooltip(poi);
+  }
+}
+
+function isPoiVisited(poiId, now = Date.now()) {
+  if (!visitedPoiStamps.has(poiId)) {
+    return false;
+  }
+  return !getPoiRespawnMs(poiId) || getRespawnRemaining(poiId, now) > 0;
+}
+
+// Respawn time of the marker's type in ms, or 0 when its markers stay taken until unticked.
+function getPoiRespawnMs(poiId) {
+  const type = poiStore.get(poiId)?.type;
+  return PoiCatalog[type]?.respawnMs || 0;
+}
+
+function getRespawnRemaining(poiId, now = Date.now()) {
+  const takenAt = visitedPoiStamps.get(poiId);
+  const respawnMs = getPoiRespawnMs(poiId);
+  if (takenAt === undefined || !respawnMs) {
+    return 0;
+  }
+  return Math.max(0, takenAt + respawnMs - now);
+}
+
+function formatRespawnTime(ms) {
+  const minutes = Math.ceil(ms / 60000);
+  if (minutes < 60) {
+    return `${minutes} min`;
+  }
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours} h ${rest} min` : `${hours} h`;
+}
+
+// While a taken marker is counting down, refresh the rings every few seconds and let markers come
+// back the moment their time is up. Nothing runs when no marker is respawning.
+function scheduleRespawnTick() {
+  if (respawnTimer) {
+    return;
+  }
+  const now = Date.now();
+  let next = Infinity;
+  visitedPoiStamps.forEach((takenAt, poiId) => {
+    const remaining = getRespawnRemaining(poiId, now);
+    if (remaining > 0) {
+      next = Math.min(next, remaining);
+    }
+  });
+  if (next === Infinity) {
+    return;
+  }
+  respawnTimer = setTimeout(runRespawnTick, Math.min(next, RESPAWN_TICK_MS));
+}
+
+function runRespawnTick() {
+  respawnTimer = null;
+  const now = Date.now();
+  let respawned = false;
+  visitedPoiStamps.forEach((takenAt, poiId) => {
+    const respawnMs = getPoiRespawnMs(poiId);
+    const due = takenAt + respawnMs;
+    if (respawnMs && due > respawnCheckedAt && due <= now) {
+      respawned = true;
+    }
+  });
+  respawnCheckedAt = now;
+  mountedMarkers.forEach((marker) => {
+    if (marker.classList.contains("poi-marker--respawning")) {
+      applyMarkerVisitedState(marker, now);
+    }
+  });
+  if (respawned) {
+    markPoiQueriesStale();
+    routeStale = true;
+    scheduleMarkerRender();
+  }
+  scheduleRespawnTick();
+}
+
+function toggleMarkerVisited(marker) {
+  if (!(marker instanceof HTMLElement)) {
+    return;
+  }
+  const poiId = getMarkerId(marker);
+  if (!poiId) {
+    return;
+  }
+  const nextVisited = !isPoiVisited(poiId);
+  setMarkerVisited(marker, nextVisited);
+}
+
+function setMarkerVisited(marker, visited) {
+  if (!(marker instanceof HTMLElement)) {
+    return;
+  }
+  const poiId = getMarkerId(marker);
+  if (!poiId) {
+    return;
+  }
+  if (visited) {
+    visitedPoiStamps.set(poiId, Date.now());
+  } else {
+    visitedPoiStamps.delete(poiId);
+  }
+  applyMarkerVisitedState(marker);
+  persistVisitedState();
+  markPoiQueriesStale();
+  advanceRoute(poiId, visited);
+  scheduleMarkerRender();
+}
+
+function getMarkerId(marker) {
+  const raw = marker?.dataset?.id;
+  if (!raw) {
+    return null;
+  }
+  const normalized = String(raw).toLowerCase();
+  return normalized ? normalized : null;
+}
+
+function toPixelCoords(x = 0, y = 0) {
+  const normalized = x >= 0 && x <= 1 && y >= 0 && y <= 1;
+  return {
+    left: normalized ? x * state.mapWidth : x,
+    top: normalized ? y * state.mapHeight : y,
+  };
+}
+
+function projectCoordsToScreen(coords) {
+  if (!coords || !isMapReady()) {
+    return null;
+  }
+  const { left, top } = toPixelCoords(coords.x, coords.y);
+  return {
+    left: state.translateX + left * state.scale,
+    top: state.translateY + top * state.scale,
+  };
+}
+
+function bindMarkerInteractions(marker) {
+  marker.addEventListener("pointerdown", handleMarkerPointerDown);
+  marker.addEventListener("click", handleMarkerClick);
+  marker.addEventListener("contextmenu", handleMarkerContextMenu);
+  marker.addEventListener("dragstart", preventNativeDrag);
+}
+
+function handleMarkerPointerDown(event) {
+  if (!(event.currentTarget instanceof HTMLElement)) {
+    return;
+  }
+  if (!editMode) {
+    event.preventDefault();
+    event.stopPropagation();
+    return;
+  }
+  event.preventDefault();
+  event.stopPropagation();
+  if (event.pointerType === "mouse" && event.button !== 0) {
+    return;
+  }
+  const poiId = getMarkerId(event.currentTarget);
+  if (event.ctrlKey || event.metaKey || event.shiftKey) {
+    togglePoiSelected(poiId);
+    return;
+  }
+  if (!selectedPoiIds.has(poiId)) {
+    clearSelection();
+  }
+  startMarkerDrag(event.currentTarget, event);
+}
+
+function handleMarkerClick(event) {
+  if (!(event.currentTarget instanceof HTMLElement) || editMode) {
+    return;
+  }
+  event.preventDefault();
+  event.stopPropagation();
+  toggleMarkerVisited(event.currentTarget);
+}
+
+// Right-click (or long-press on touch) focuses a marker so it is highlighted in shared links and
+// opens its details popover. In edit mode it opens the type picker instead.
+function handleMarkerContextMenu(event) {
+  if (!(event.currentTarget instanceof HTMLElement)) {
+    return;
+  }
+  event.preventDefault();
+  event.stopPropagation();
+  const poiId = getMarkerId(event.currentTarget);
+  if (editMode) {
+    // A touch long-press arrives while the marker drag is still pending; drop it so the release
+    // does not open the details editor over the picker.
+    if (dragState?.mode === "move" && !dragState.moved) {
+      endDrag();
+    }
+    openPoiPopover(poiId, "type");
+    return;
+  }
+  if (poiId === focusedPoiId) {
+    setFocusedPoi(null);
+    return;
+  }
+  setFocusedPoi(poiId);
+  openPoiPopover(poiId, "view");
+}
+
+function startMarkerDrag(marker, event) {
+  if (!isMapReady() || !editMode) {
+    return;
+  }
+  const poiId = marker.dataset?.id;
+  const coords = getMarkerStoredCoords(marker);
+  if (!poiId || !coords) {
+    return;
+  }
+  event.preventDefault();
+  if (dragState) {
+    endDrag();
+  }
+  try {
+    marker.setPointerCapture(event.pointerId);
+  } catch (error) {
+    // Ignore pointer capture failures.
+  }
+  const label = marker.title || marker.alt || "";
+  const normalizedId = getMarkerId(marker);
+  dragState = {
+    mode: "move",
+    pointerId: event.pointerId,
+    marker,
+    type: Number(marker.dataset?.type),
+    id: poiId,
+    initialCoords: coords,
+    // Dragging one marker of a selection carries the whole selection along.
+    group: selectedPoiIds.size > 1 && selectedPoiIds.has(normalizedId) ? getSelectionSnapshot() : null,
+    startPoint: { clientX: event.clientX, clientY: event.clientY },
+    moved: false,
+    originalMarkerOpacity: marker.style.opacity,
+    sourceElement: marker,
+    ghost: createDragGhost(marker.src, label, getDragGhostSizePx()),
+  };
+  marker.style.opacity = "0";
+  updateDragGhostPosition({ clientX: event.clientX, clientY: event.clientY });
+  attachDragListeners();
+}
+
+function setTrashActive(active) {
+  if (!trashCan) {
+    return;
+  }
+  trashCan.classList.toggle("trash-can--active", Boolean(active));
+}
+
+function applyMarkerCoords(marker, coords) {
+  const x = Number(coords?.x);
+  const y = Number(coords?.y);
+  if (!marker || Number.isNaN(x) || Number.isNaN(y)) {
+    return;
+  }
+  marker.dataset.x = String(x);
+  marker.dataset.y = String(y);
+  updatePoiCoords(getMarkerId(marker), { x, y });
+  positionMarker(marker);
+  applyMarkerVisibility(marker);
+  applyMarkerVisitedState(marker);
+}
+
+// Move a POI in the store and index; the marker follows on the next frame if it is mounted.
+function updatePoiCoords(poiId, coords) {
+  const poi = poiId ? poiStore.get(poiId) : null;
+  if (!poi) {
+    return;
+  }
+  unindexPoi(poi);
+  poi.x = coords.x;
+  poi.y = coords.y;
+  indexPoi(poi);
+  markPoiQueriesStale();
+  const marker = mountedMarkers.get(poiId);
+  if (marker) {
+    marker.dataset.x = String(coords.x);
+    marker.dataset.y = String(coords.y);
+  }
+  scheduleMarkerRender();
+}
+
+function revertMarkerPosition(snapshot) {
+  if (!snapshot?.marker || !snapshot.initialCoords) {
     return;
   }
   applyMarkerCoords(snapshot.marker, snapshot.initialCoords);
 }
 
-async function commitMarkerMove(snapshot, clientPoint) {
-  const marker = snapshot.marker;
-  if (!marker) {
+async function commitMarkerMove(snapshot, clientPoint) {
+  const marker = snapshot.marker;
+  if (!marker) {
+    return;
+  }
+  const mapPoint = clientPointToMapCoords(clientPoint.clientX, clientPoint.clientY);
+  const normalized = mapPoint ? toNormalizedMapCoords(mapPoint) : null;
+  if (!normalized) {
+    revertMarkerPosition(snapshot);
+    return;
+  }
+  const duplicate = findNearbyDuplicate(normalized, snapshot.type, getMarkerId(marker));
+  if (duplicate) {
+    const choice = await askDuplicatePlacement(duplicate);
+    if (choice === "merge") {
+      await mergePoiInto(getMarkerId(marker), duplicate.poi);
+    }
+    if (choice !== "place") {
+      return;
+    }
+  }
+  applyMarkerCoords(marker, normalized);
+  try {
+    const updated = await updatePoiOnServer(snapshot.id, normalized);
+    if (updated) {
+      applyMarkerCoords(marker, updated);
+    }
+    recordEdit({
+      kind: "move",
+      poiId: snapshot.id,
+      type: snapshot.type,
+      from: snapshot.initialCoords,
+      to: { x: updated?.x ?? normalized.x, y: updated?.y ?? normalized.y },
+    });
+  } catch (error) {
+    console.error("Failed to move POI", error);
+    revertMarkerPosition(snapshot);
+    alert("Failed to move marker. Please try again.");
+  }
+}
+
+async function commitMarkerDelete(snapshot) {
+  const marker = snapshot.marker;
+  if (!marker || !snapshot.id) {
+    return;
+  }
+  const stored = poiStore.get(snapshot.id);
+  try {
+    await deletePoiOnServer(snapshot.id);
+    removeMarkerElement(marker);
+    if (stored) {
+      recordEdit({ kind: "delete", poi: toPoiSnapshot(stored) });
+    }
+  } catch (error) {
+    console.error("Failed to delete POI", error);
+    alert("Failed to delete marker. Please try again.");
+  }
+}
+
+// Edit mode selection: ctrl/cmd/shift+click toggles a marker and shift+drag on the map adds every
+// marker inside the box. A selection moves, goes to the trash or changes type as one batch.
+function initializeSelection() {
+  selectionTypeButton?.addEventListener("click", () => changeSelectionType(Number(selectionTypeSelect?.value)));
+  selectionClearButton?.addEventListener("click", () => clearSelection());
+}
+
+function setPoiSelected(poiId, selected) {
+  if (!poiId || !poiStore.has(poiId) || selected === selectedPoiIds.has(poiId)) {
+    return;
+  }
+  if (selected) {
+    selectedPoiIds.add(poiId);
+  } else {
+    selectedPoiIds.delete(poiId);
+  }
+  mountedMarkers.get(poiId)?.classList.toggle("poi-marker--selected", selected);
+}
+
+function togglePoiSelected(poiId) {
+  setPoiSelected(poiId, !selectedPoiIds.has(poiId));
+  updateSelectionBar();
+}
+
+function clearSelection() {
+  if (selectionSession) {
+    finishSelectionBox(false);
+  }
+  if (!selectedPoiIds.size) {
+    return;
+  }
+  selectedPoiIds.forEach((poiId) => mountedMarkers.get(poiId)?.classList.remove("poi-marker--selected"));
+  selectedPoiIds.clear();
+  updateSelectionBar();
+}
+
+function getSelectionSnapshot() {
+  return Array.from(selectedPoiIds, (poiId) => poiStore.get(poiId))
+    .filter(Boolean)
+    .map((poi) => ({ id: poi.id, type: poi.type, from: getPoiNormalizedCoords(poi) }));
+}
+
+function isDraggingPoi(poiId) {
+  if (dragState?.mode !== "move") {
+    return false;
+  }
+  return dragState.group ? dragState.group.some((entry) => entry.id === poiId) : dragState.id === poiId;
+}
+
+function updateSelectionBar() {
+  if (!selectionBar) {
+    return;
+  }
+  const count = selectedPoiIds.size;
+  const opening = selectionBar.hidden;
+  selectionBar.hidden = !editMode || !count;
+  if (selectionBar.hidden) {
+    return;
+  }
+  if (selectionCount) {
+    selectionCount.textContent = count === 1 ? "1 marker selected" : `${count} markers selected`;
+  }
+  renderSelectionTypeOptions(opening);
+}
+
+// A new selection preselects the type its markers share; later changes keep the user's pick.
+function renderSelectionTypeOptions(reset) {
+  if (!selectionTypeSelect) {
+    return;
+  }
+  const previous = selectionTypeSelect.value;
+  const options = Object.entries(PoiCatalog)
+    .sort(([, a], [, b]) => a.label.localeCompare(b.label))
+    .map(([type, asset]) => {
+      const option = document.createElement("option");
+      option.value = type;
+      option.textContent = asset.label;
+      return option;
+    });
+  selectionTypeSelect.replaceChildren(...options);
+  const types = new Set(Array.from(selectedPoiIds, (poiId) => poiStore.get(poiId)?.type));
+  const preferred = reset ? (types.size === 1 ? String([...types][0]) : "") : previous;
+  if (preferred && PoiCatalog[preferred]) {
+    selectionTypeSelect.value = preferred;
+  }
+}
+
+function startSelectionBox(event) {
+  const box = document.createElement("div");
+  box.className = "selection-rect";
+  mapViewport.appendChild(box);
+  const point = { clientX: event.clientX, clientY: event.clientY };
+  selectionSession = { pointerId: event.pointerId, start: point, end: point, box };
+  updateSelectionBox();
+}
+
+function updateSelectionBox() {
+  if (!selectionSession) {
+    return;
+  }
+  const { start, end, box } = selectionSession;
+  const rect = mapViewport.getBoundingClientRect();
+  box.style.left = `${Math.min(start.clientX, end.clientX) - rect.left}px`;
+  box.style.top = `${Math.min(start.clientY, end.clientY) - rect.top}px`;
+  box.style.width = `${Math.abs(end.clientX - start.clientX)}px`;
+  box.style.height = `${Math.abs(end.clientY - start.clientY)}px`;
+}
+
+function finishSelectionBox(commit) {
+  const session = selectionSession;
+  selectionSession = null;
+  session?.box.remove();
+  if (!commit || !session) {
+    return;
+  }
+  const first = clientPointToMapCoords(session.start.clientX, session.start.clientY);
+  const second = clientPointToMapCoords(session.end.clientX, session.end.clientY);
+  if (!first || !second) {
+    return;
+  }
+  const rect = {
+    left: Math.min(first.mapX, second.mapX) / state.mapWidth,
+    right: Math.max(first.mapX, second.mapX) / state.mapWidth,
+    top: Math.min(first.mapY, second.mapY) / state.mapHeight,
+    bottom: Math.max(first.mapY, second.mapY) / state.mapHeight,
+  };
+  queryPoiIndex(rect).forEach((poi) => setPoiSelected(poi.id, true));
+  updateSelectionBar();
+}
+
+// The grabbed marker follows the ghost; the rest of the group shifts with the individual
+// `translate` property so the per-frame `transform` writes leave the offset alone.
+function updateGroupDragOffset(point) {
+  if (!dragState?.group || !dragState.startPoint || !point) {
+    return;
+  }
+  const dx = point.clientX - dragState.startPoint.clientX;
+  const dy = point.clientY - dragState.startPoint.clientY;
+  dragState.group.forEach(({ id }) => {
+    mountedMarkers.get(id)?.style.setProperty("translate", `${dx}px ${dy}px`);
+  });
+}
+
+// Shift every grabbed marker by the drag distance, limited so the group keeps its shape on the map.
+async function commitGroupMove(snapshot, clientPoint) {
+  const start = clientPointToMapCoords(snapshot.startPoint.clientX, snapshot.startPoint.clientY);
+  const end = clientPointToMapCoords(clientPoint.clientX, clientPoint.clientY);
+  if (!start || !end || !snapshot.group.length) {
+    return;
+  }
+  const xs = snapshot.group.map((entry) => entry.from.x);
+  const ys = snapshot.group.map((entry) => entry.from.y);
+  const dx = clamp((end.mapX - start.mapX) / state.mapWidth, -Math.min(...xs), 1 - Math.max(...xs));
+  const dy = clamp((end.mapY - start.mapY) / state.mapHeight, -Math.min(...ys), 1 - Math.max(...ys));
+  const steps = snapshot.group.map((entry) => ({
+    kind: "move",
+    poiId: entry.id,
+    type: entry.type,
+    from: entry.from,
+    to: { x: entry.from.x + dx, y: entry.from.y + dy },
+  }));
+  steps.forEach((step) => applyBatchStepLocally(step, false));
+  try {
+    await commitGroupSteps(steps);
+  } catch (error) {
+    console.error("Failed to move markers", error);
+    steps.forEach((step) => applyBatchStepLocally(step, true));
+    alert("Failed to move markers. Please try again.");
+  }
+}
+
+async function commitGroupDelete(group) {
+  const steps = group
+    .map((entry) => poiStore.get(entry.id))
+    .filter(Boolean)
+    .map((poi) => ({ kind: "delete", poi: toPoiSnapshot(poi) }));
+  try {
+    await commitGroupSteps(steps);
+  } catch (error) {
+    console.error("Failed to delete markers", error);
+    alert("Failed to delete markers. Please try again.");
+  }
+}
+
+async function changeSelectionType(type) {
+  if (!PoiCatalog[type]) {
+    return;
+  }
+  const steps = Array.from(selectedPoiIds, (poiId) => poiStore.get(poiId))
+    .filter((poi) => poi && poi.type !== type)
+    .map((poi) => ({ kind: "type", poiId: poi.id, from: poi.type, to: type }));
+  if (!steps.length) {
+    return;
+  }
+  if (selectionTypeButton) {
+    selectionTypeButton.disabled = true;
+  }
+  try {
+    await commitGroupSteps(steps);
+  } catch (error) {
+    console.error("Failed to change marker types", error);
+    alert("Failed to change the type. Please try again.");
+  } finally {
+    if (selectionTypeButton) {
+      selectionTypeButton.disabled = false;
+    }
+  }
+}
+
+// Send the steps as one batch, apply the stored rows and keep them as a single undo entry.
+async function commitGroupSteps(steps) {
+  if (!steps.length) {
+    return;
+  }
+  const results = await sendPoiBatch(steps.map((step) => toBatchOperation(step, false)));
+  steps.forEach((step, index) => applyBatchStepLocally(step, false, results[index]));
+  recordEdit({ kind: "group", steps });
+}
+
+// Closest other marker of the same type within the duplicate radius, with its distance.
+function findNearbyDuplicate(coords, type, excludeId = null) {
+  if (!(duplicateRadius > 0) || !isMapReady()) {
+    return null;
+  }
+  // A generous box in map space; the exact check below measures in game units.
+  const reach = (2 * duplicateRadius) / getDistancePerMapPixel();
+  const rect = {
+    left: coords.x - reach / state.mapWidth,
+    right: coords.x + reach / state.mapWidth,
+    top: coords.y - reach / state.mapHeight,
+    bottom: coords.y + reach / state.mapHeight,
+  };
+  let nearest = null;
+  queryPoiIndex(rect).forEach((poi) => {
+    if (poi.type !== type || poi.id === excludeId) {
+      return;
+    }
+    const distance = getGameDistance(getPoiNormalizedCoords(poi), coords);
+    if (distance <= duplicateRadius && (!nearest || distance < nearest.distance)) {
+      nearest = { poi, distance };
+    }
+  });
+  return nearest;
+}
+
+// Shows the warning next to the existing marker and resolves with "merge", "place" or "cancel".
+function askDuplicatePlacement(duplicate) {
+  return new Promise((resolve) => {
+    openPoiPopover(duplicate.poi.id, "duplicate", { distance: duplicate.distance, resolve });
+    if (popoverState?.resolve !== resolve) {
+      resolve("cancel");
+    }
+  });
+}
+
+function settleDuplicatePrompt(choice) {
+  const resolve = popoverState?.resolve;
+  if (!resolve) {
+    return;
+  }
+  popoverState.resolve = null;
+  closePoiPopover();
+  resolve(choice);
+}
+
+// Dropping a new marker on an existing one confirms that the existing one is still there.
+async function confirmDuplicateMarker(poi) {
+  const before = toPoiSnapshot(poi);
+  try {
+    const updated = await updatePoiDetailsOnServer(poi.id, { verifiedAt: new Date().toISOString() });
+    if (updated) {
+      updatePoiDetails(poi.id, updated);
+      recordEdit({ kind: "details", poiId: poi.id, before, after: toPoiSnapshot(updated) });
+    }
+    flashMarker(poi.id, "poi-marker--pulse", PULSE_DURATION_MS);
+  } catch (error) {
+    console.error("Failed to merge marker", error);
+    alert("Failed to merge the markers. Please try again.");
+  }
+}
+
+// Folds a moved marker into the one it was dropped on: details the target lacks are copied over,
+// the newest verification wins and the moved marker is deleted, all as one undoable step.
+async function mergePoiInto(sourceId, target) {
+  const source = poiStore.get(sourceId);
+  if (!source) {
+    return;
+  }
+  const before = toPoiSnapshot(target);
+  const after = { ...before };
+  POI_DETAIL_FIELDS.forEach((field) => {
+    if (after[field] === undefined && source[field] !== undefined) {
+      after[field] = source[field];
+    }
+  });
+  if (source.verifiedAt && Date.parse(source.verifiedAt) > (Date.parse(after.verifiedAt) || 0)) {
+    after.verifiedAt = source.verifiedAt;
+  }
+  const steps = [];
+  if (POI_DETAIL_FIELDS.some((field) => before[field] !== after[field])) {
+    steps.push({ kind: "details", poiId: target.id, before, after });
+  }
+  steps.push({ kind: "delete", poi: toPoiSnapshot(source) });
+  try {
+    await commitGroupSteps(steps);
+    flashMarker(target.id, "poi-marker--pulse", PULSE_DURATION_MS);
+  } catch (error) {
+    console.error("Failed to merge markers", error);
+    alert("Failed to merge the markers. Please try again.");
+  }
+}
+
+// Replace the detail fields of a stored POI with the ones from a server record.
+function updatePoiDetails(poiId, record) {
+  const poi = poiId ? poiStore.get(poiId) : null;
+  if (!poi || !record) {
+    return;
+  }
+  POI_DETAIL_FIELDS.forEach((field) => {
+    if (record[field] === undefined) {
+      delete poi[field];
+    } else {
+      poi[field] = record[field];
+    }
+  });
+  const marker = mountedMarkers.get(poiId);
+  if (marker) {
+    marker.title = getPoiTooltip(poi);
+  }
+  if (popoverState?.poiId === poiId && popoverState.mode === "view") {
+    renderPoiPopover();
+  }
+}
+
+// Switch a stored POI to another type; a mounted marker swaps its icon in place.
+function updatePoiType(poiId, type) {
+  const poi = poiId ? poiStore.get(poiId) : null;
+  const nextType = Number(type);
+  if (!poi || !Number.isFinite(nextType) || poi.type === nextType) {
+    return;
+  }
+  poi.type = nextType;
+  markPoiQueriesStale();
+  const marker = mountedMarkers.get(poiId);
+  if (marker) {
+    const asset = PoiCatalog[nextType];
+    marker.dataset.type = String(nextType);
+    if (asset?.src) {
+      marker.src = asset.src;
+      marker.alt = asset.label || "";
+    }
+    marker.title = getPoiTooltip(poi);
+    applyMarkerVisibility(marker);
+  }
+  if (popoverState?.poiId === poiId && popoverState.mode === "view") {
+    renderPoiPopover();
+  }
+  scheduleMarkerRender();
+}
+
+function removeMarkerElement(marker) {
+  if (!marker) {
+    return;
+  }
+  const poiId = getMarkerId(marker);
+  if (poiId) {
+    removePoi(poiId);
+  }
+  marker.remove();
+}
+
+function removePoi(poiId) {
+  const poi = poiStore.get(poiId);
+  if (poi) {
+    unindexPoi(poi);
+    poiStore.delete(poiId);
+    markPoiQueriesStale();
+  }
+  mountedMarkers.get(poiId)?.remove();
+  mountedMarkers.delete(poiId);
+  if (poiId === focusedPoiId) {
+    setFocusedPoi(null);
+  }
+  if (selectedPoiIds.delete(poiId)) {
+    updateSelectionBar();
+  }
+  if (popoverState?.poiId === poiId) {
+    closePoiPopover();
+  }
+  if (visitedPoiStamps.delete(poiId)) {
+    persistVisitedState();
+  }
+}
+
+function startIconDrag(icon, event) {
+  if (!isMapReady() || !editMode) {
+    return;
+  }
+  const type = Number(icon.dataset.type);
+  if (!Number.isFinite(type)) {
+    return;
+  }
+  event.preventDefault();
+  if (dragState) {
+    endDrag();
+  }
+  try {
+    icon.setPointerCapture(event.pointerId);
+  } catch (error) {
+    // Ignore pointer capture failures.
+  }
+  dragState = {
+    mode: "create",
+    pointerId: event.pointerId,
+    type,
+    sourceElement: icon,
+    ghost: createDragGhost(icon.src, icon.title || icon.alt || "", getDragGhostSizePx()),
+  };
+  updateDragGhostPosition({ clientX: event.clientX, clientY: event.clientY });
+  attachDragListeners();
+}
+
+let dragListenersBound = false;
+
+function attachDragListeners() {
+  if (dragListenersBound) {
+    return;
+  }
+  window.addEventListener("pointermove", handleDragPointerMove, { passive: false });
+  window.addEventListener("pointerup", handleDragPointerUp, { passive: false });
+  window.addEventListener("pointercancel", handleDragPointerCancel, { passive: false });
+  dragListenersBound = true;
+}
+
+function detachDragListeners() {
+  if (!dragListenersBound) {
+    return;
+  }
+  window.removeEventListener("pointermove", handleDragPointerMove);
+  window.removeEventListener("pointerup", handleDragPointerUp);
+  window.removeEventListener("pointercancel", handleDragPointerCancel);
+  dragListenersBound = false;
+}
+
+function handleDragPointerMove(event) {
+  if (!dragState || event.pointerId !== dragState.pointerId) {
+    return;
+  }
+  event.preventDefault();
+  dragState.lastPoint = { clientX: event.clientX, clientY: event.clientY };
+  if (!dragState.moved && dragState.startPoint) {
+    dragState.moved = getDistance(dragState.startPoint, dragState.lastPoint) > DRAG_CLICK_TOLERANCE_PX;
+  }
+  updateDragGhostPosition(dragState.lastPoint);
+  updateGroupDragOffset(dragState.lastPoint);
+  const highlightTrash =
+    Boolean(
+      trashCan &&
+      dragState.mode === "move" &&
+      isPointInsideElement(trashCan, event.clientX, event.clientY)
+    );
+  setTrashActive(highlightTrash);
+}
+
+function handleDragPointerUp(event) {
+  if (!dragState || event.pointerId !== dragState.pointerId) {
+    return;
+  }
+  const snapshot = dragState;
+  const dropPoint = { clientX: event.clientX, clientY: event.clientY };
+  const dropOnMap = isPointInsideElement(mapViewport, dropPoint.clientX, dropPoint.clientY);
+  const dropOnTrash = trashCan ? isPointInsideElement(trashCan, dropPoint.clientX, dropPoint.clientY) : false;
+  endDrag();
+  if (snapshot.mode === "create" && Number.isFinite(snapshot.type)) {
+    if (!dropOnMap) {
+      return;
+    }
+    commitToolbarDrop(snapshot, dropPoint);
+    return;
+  }
+  if (snapshot.mode === "move" && snapshot.marker) {
+    if (!snapshot.moved && !dropOnTrash) {
+      // A click in edit mode opens the details editor instead of saving an unchanged position.
+      revertMarkerPosition(snapshot);
+      openPoiPopover(snapshot.id, "edit");
+      return;
+    }
+    if (dropOnTrash) {
+      if (snapshot.group) {
+        commitGroupDelete(snapshot.group);
+      } else {
+        commitMarkerDelete(snapshot);
+      }
+      return;
+    }
+    if (snapshot.group) {
+      if (dropOnMap) {
+        commitGroupMove(snapshot, dropPoint);
+      }
+      return;
+    }
+    if (dropOnMap) {
+      commitMarkerMove(snapshot, dropPoint);
+    } else {
+      revertMarkerPosition(snapshot);
+    }
+  }
+}
+
+function handleDragPointerCancel(event) {
+  if (dragState && event.pointerId === dragState.pointerId) {
+    endDrag();
+  }
+}
+
+function updateDragGhostPosition(point) {
+  if (!dragState?.ghost || !point) {
+    return;
+  }
+  dragState.ghost.style.left = `${point.clientX}px`;
+  dragState.ghost.style.top = `${point.clientY}px`;
+}
+
+function createDragGhost(src, label = "", sizePxOverride = null) {
+  const ghost = document.createElement("img");
+  ghost.className = "drag-ghost";
+  ghost.src = src;
+  ghost.alt = label;
+  const numericSize = sizePxOverride ?? getDragGhostSizePx();
+  const sizePx = `${Math.round(numericSize)}px`;
+  ghost.style.width = sizePx;
+  ghost.style.height = sizePx;
+  document.body.appendChild(ghost);
+  return ghost;
+}
+
+function endDrag() {
+  if (!dragState) {
+    return;
+  }
+  try {
+    dragState.sourceElement?.releasePointerCapture?.(dragState.pointerId);
+  } catch (error) {
+    // Ignore pointer capture release failures.
+  }
+  if (dragState.marker) {
+    dragState.marker.style.opacity = dragState.originalMarkerOpacity ?? "";
+  }
+  dragState.group?.forEach(({ id }) => mountedMarkers.get(id)?.style.removeProperty("translate"));
+  if (dragState.ghost?.parentElement) {
+    dragState.ghost.parentElement.removeChild(dragState.ghost);
+  }
+  setTrashActive(false);
+  dragState = null;
+  detachDragListeners();
+}
+
+function isPointInsideElement(element, clientX, clientY) {
+  if (!element) {
+    return false;
+  }
+  const rect = element.getBoundingClientRect();
+  return clientX >= rect.left && clientX <= rect.right && clientY >= rect.top && clientY <= rect.bottom;
+}
+
+function clientPointToMapCoords(clientX, clientY) {
+  if (!isMapReady()) {
+    return null;
+  }
+  const rect = mapViewport.getBoundingClientRect();
+  const offsetX = clientX - rect.left;
+  const offsetY = clientY - rect.top;
+  const mapX = (offsetX - state.translateX) / state.scale;
+  const mapY = (offsetY - state.translateY) / state.scale;
+  if (Number.isNaN(mapX) || Number.isNaN(mapY)) {
+    return null;
+  }
+  return { mapX, mapY };
+}
+
+function toNormalizedMapCoords(point) {
+  if (!point || !isMapReady()) {
+    return null;
+  }
+  const withinBounds =
+    point.mapX >= 0 &&
+    point.mapX <= state.mapWidth &&
+    point.mapY >= 0 &&
+    point.mapY <= state.mapHeight;
+  if (!withinBounds) {
+    return null;
+  }
+  return {
+    x: clamp(point.mapX / state.mapWidth, 0, 1),
+    y: clamp(point.mapY / state.mapHeight, 0, 1),
+  };
+}
+
+async function commitToolbarDrop(dragSnapshot, clientPoint) {
+  const mapPoint = clientPointToMapCoords(clientPoint.clientX, clientPoint.clientY);
+  const normalized = mapPoint ? toNormalizedMapCoords(mapPoint) : null;
+  if (!normalized) {
+    return;
+  }
+  const duplicate = findNearbyDuplicate(normalized, dragSnapshot.type);
+  if (duplicate) {
+    const choice = await askDuplicatePlacement(duplicate);
+    if (choice === "merge") {
+      await confirmDuplicateMarker(duplicate.poi);
+    }
+    if (choice !== "place") {
+      return;
+    }
+  }
+  const pendingPoi = {
+    id: generateGuidHex(),
+    type: dragSnapshot.type,
+    x: normalized.x,
+    y: normalized.y,
+  };
+  try {
+    const savedPoi = await createPoiOnServer(pendingPoi);
+    renderPoiMarker(savedPoi);
+    recordEdit({ kind: "create", poi: toPoiSnapshot(savedPoi) });
+  } catch (error) {
+    console.error("Failed to place POI", error);
+    alert("Failed to place marker. Please try again.");
+  }
+}
+
+async function createPoiOnServer(poi) {
+  const payload = await postToApi({ action: "create", mapId: getMapId(), poi }, { requireSession: true, queueWhenOffline: true });
+  return normalizePoiRecord(payload?.data, poi);
+}
+
+// Moves and/or retypes a POI; pass null coords to change only the type.
+async function updatePoiOnServer(poiId, coords, type) {
+  const poi = { id: poiId };
+  if (coords) {
+    poi.x = coords.x;
+    poi.y = coords.y;
+  }
+  if (Number.isFinite(type)) {
+    poi.type = type;
+  }
+  const payload = await postToApi({
+    action: "update",
+    mapId: getMapId(),
+    poi,
+  }, { requireSession: true, queueWhenOffline: true });
+  const stored = poiStore.get(poiId);
+  return normalizePoiRecord(payload?.data, { ...(stored ? toPoiSnapshot(stored) : {}), ...poi });
+}
+
+async function updatePoiDetailsOnServer(poiId, details) {
+  const payload = await postToApi({
+    action: "update",
+    mapId: getMapId(),
+    poi: { id: poiId, ...details },
+  }, { requireSession: true, queueWhenOffline: true });
+  return normalizePoiRecord(payload?.data);
+}
+
+async function deletePoiOnServer(poiId) {
+  const payload = await postToApi({ action: "delete", mapId: getMapId(), poiId }, { requireSession: true, queueWhenOffline: true });
+  return payload?.data ?? null;
+}
+
+// Sends create/update/delete operations as one all-or-nothing batch and answers with each
+// operation's data. Offline, the operations are queued one by one like any other edit.
+async function sendPoiBatch(operations) {
+  const mapId = getMapId();
+  if (isOfflineQueueAvailable() && (isOffline() || offlineQueueCount > 0)) {
+    return queueBatchOperations(mapId, operations);
+  }
+  let payload;
+  try {
+    payload = await postToApi({ action: "batch", mapId, operations }, { requireSession: true });
+  } catch (error) {
+    if (error instanceof TypeError && isOfflineQueueAvailable()) {
+      return queueBatchOperations(mapId, operations);
+    }
+    throw error;
+  }
+  return (payload?.data?.results || []).map((result) => result.data ?? null);
+}
+
+async function queueBatchOperations(mapId, operations) {
+  const results = [];
+  for (const operation of operations) {
+    const payload = await postToApi({ ...operation, mapId }, { requireSession: true, queueWhenOffline: true });
+    results.push(payload?.data ?? null);
+  }
+  return results;
+}
+
+function initializeOfflineSupport() {
+  if (typeof navigator !== "undefined" && "serviceWorker" in navigator) {
+    navigator.serviceWorker.register("/sw.js").catch((error) => {
+      console.warn("Service worker registration failed", error);
+    });
+  }
+  window.addEventListener("online", handleConnectivityChange);
+  window.addEventListener("offline", handleConnectivityChange);
+  refreshOfflineQueueCount().then(() => replayOfflineQueue());
+}
+
+function handleConnectivityChange() {
+  updateOfflineStatus();
+  if (!isOffline()) {
+    replayOfflineQueue();
+    scheduleVisitedSync(0);
+  }
+}
+
+function isOffline() {
+  return typeof navigator !== "undefined" && navigator.onLine === false;
+}
+
+function isOfflineQueueAvailable() {
+  return typeof indexedDB !== "undefined";
+}
+
+function precacheIcons(urls) {
+  if (!urls.length || typeof navigator === "undefined" || !navigator.serviceWorker) {
+    return;
+  }
+  navigator.serviceWorker.ready
+    .then((registration) => registration.active?.postMessage({ type: "precache", urls }))
+    .catch(() => {
+      // ignore; icons are cached as they load anyway
+    });
+}
+
+function updateOfflineStatus() {
+  if (!offlineStatus) {
+    return;
+  }
+  const offline = isOffline();
+  const parts = [];
+  if (offline) parts.push("Offline");
+  if (offlineQueueCount) parts.push(`${offlineQueueCount} pending`);
+  offlineStatus.textContent = parts.join(" · ");
+  offlineStatus.hidden = !parts.length;
+  offlineStatus.title = offlineQueueCount
+    ? "Edits made offline are sent when the connection comes back."
+    : "No connection. Showing the last saved markers.";
+}
+
+function openOfflineDb() {
+  if (!offlineDbPromise) {
+    offlineDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(OFFLINE_STORE_NAME, { keyPath: "id", autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    offlineDbPromise.catch(() => {
+      offlineDbPromise = null;
+    });
+  }
+  return offlineDbPromise;
+}
+
+// Run one request against the queue store and resolve with its result once the transaction commits.
+async function withOfflineStore(mode, callback) {
+  const db = await openOfflineDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(OFFLINE_STORE_NAME, mode);
+    const request = callback(transaction.objectStore(OFFLINE_STORE_NAME));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+async function readOfflineQueue() {
+  if (!isOfflineQueueAvailable()) {
+    return [];
+  }
+  const entries = await withOfflineStore("readonly", (store) => store.getAll());
+  return Array.isArray(entries) ? entries : [];
+}
+
+async function refreshOfflineQueueCount() {
+  try {
+    offlineQueueCount = isOfflineQueueAvailable()
+      ? await withOfflineStore("readonly", (store) => store.count())
+      : 0;
+  } catch (error) {
+    console.error("Failed to read the offline queue", error);
+    offlineQueueCount = 0;
+  }
+  updateOfflineStatus();
+}
+
+// Store an edit for later and answer like the server would, so callers update the map as usual.
+// The POI as it was before the edit is kept to detect conflicting changes on replay.
+async function queueOfflineEdit(payload) {
+  const poiId = payload.poi?.id ?? payload.poiId;
+  const current = poiStore.get(poiId);
+  const base = current ? toPoiSnapshot(current) : null;
+  await withOfflineStore("readwrite", (store) => store.add({
+    mapId: payload.mapId,
+    payload,
+    base,
+    queuedAt: new Date().toISOString(),
+  }));
+  await refreshOfflineQueueCount();
+  switch (payload.action) {
+    case "create":
+      return { data: { ...payload.poi, mapId: payload.mapId } };
+    case "update":
+      return { data: { ...base, ...payload.poi, mapId: payload.mapId, updated: true } };
+    case "delete":
+      return { data: { id: poiId, mapId: payload.mapId, deleted: true } };
+    default:
+      return { data: null };
+  }
+}
+
+// Re-apply queued edits on top of a freshly loaded (possibly cached) list.
+async function applyQueuedEditsToStore(mapId) {
+  let entries;
+  try {
+    entries = await readOfflineQueue();
+  } catch (error) {
+    console.error("Failed to read the offline queue", error);
+    return;
+  }
+  entries
+    .filter((entry) => entry.mapId === mapId && OFFLINE_QUEUED_ACTIONS.has(entry.payload?.action))
+    .forEach((entry) => {
+      const { action, poi, poiId } = entry.payload;
+      if (action === "delete") {
+        removePoi(poiId);
+      } else {
+        applyPoiRecord({ ...poiStore.get(poi.id), ...poi });
+      }
+    });
+}
+
+// Send queued edits in order. Each edit is checked against the current server state first; edits
+// whose POI changed on the server in the meantime are dropped and reported instead of overwriting.
+async function replayOfflineQueue() {
+  if (offlineReplayBusy || isOffline() || !isOfflineQueueAvailable() || !offlineQueueCount) {
+    return;
+  }
+  offlineReplayBusy = true;
+  const conflicts = [];
+  const serverViews = new Map();
+  let drained = false;
+  try {
+    const entries = await readOfflineQueue();
+    for (const entry of entries) {
+      let server = serverViews.get(entry.mapId);
+      if (!server) {
+        const listed = await postToApi({ action: "list", mapId: entry.mapId });
+        server = new Map();
+        (Array.isArray(listed?.data) ? listed.data : []).forEach((record) => {
+          const poi = normalizePoiRecord(record);
+          if (poi) server.set(poi.id, poi);
+        });
+        serverViews.set(entry.mapId, server);
+      }
+      const check = checkOfflineEdit(entry, server);
+      if (check.status === "conflict") {
+        conflicts.push(`${describeOfflineEdit(entry)}: ${check.reason}`);
+      } else if (check.status === "apply") {
+        try {
+          const response = await postToApi(entry.payload, { requireSession: true });
+          applyReplayToServerView(entry, response, server);
+        } catch (error) {
+          if (error instanceof TypeError || error?.message === "Login required") {
+            throw error;
+          }
+          conflicts.push(`${describeOfflineEdit(entry)}: rejected by the server`);
+        }
+      }
+      await withOfflineStore("readwrite", (store) => store.delete(entry.id));
+    }
+    drained = true;
+  } catch (error) {
+    // Still offline or not signed in; the rest stays queued for the next attempt.
+    console.error("Failed to send offline edits", error);
+  } finally {
+    offlineReplayBusy = false;
+    await refreshOfflineQueueCount();
+  }
+
+  const server = serverViews.get(getMapId());
+  if (drained && server) {
+    syncPoisWithServer(server);
+    refreshHistoryPanel();
+  }
+  if (conflicts.length) {
+    console.warn("Offline edits not applied", conflicts);
+    alert(`Some edits made offline were not applied because the markers changed in the meantime:\n\n${conflicts.join("\n")}`);
+  }
+  if (drained && offlineQueueCount) {
+    // More edits were queued while this replay ran.
+    replayOfflineQueue();
+  }
+}
+
+function checkOfflineEdit(entry, server) {
+  const { action, poi, poiId } = entry.payload || {};
+  const id = poi?.id ?? poiId;
+  const current = server.get(id);
+  const base = entry.base;
+  switch (action) {
+    case "create":
+      if (!current) return { status: "apply" };
+      // The original request may have reached the server before the connection dropped.
+      return isSamePoi(current, poi, Object.keys(poi))
+        ? { status: "skip" }
+        : { status: "conflict", reason: "a different marker with the same id exists" };
+    case "update": {
+      if (!current) return { status: "conflict", reason: "it was deleted" };
+      const fields = Object.keys(poi).filter((field) => field !== "id");
+      return !base || isSamePoi(current, base, fields)
+        ? { status: "apply" }
+        : { status: "conflict", reason: "it was changed by someone else" };
+    }
+    case "delete":
+      if (!current) return { status: "skip" };
+      return !base || isSamePoi(current, base, ["type", "x", "y", ...POI_DETAIL_FIELDS])
+        ? { status: "apply" }
+        : { status: "conflict", reason: "it was changed by someone else" };
+    default:
+      return { status: "skip" };
+  }
+}
+
+function isSamePoi(a, b, fields) {
+  return fields.every((field) => {
+    if (field === "id" || field === "mapId") return true;
+    const left = a?.[field];
+    const right = b?.[field];
+    if (field === "x" || field === "y") return Math.abs(Number(left) - Number(right)) < COORD_EPSILON;
+    if (field === "verifiedAt") return (Date.parse(left) || 0) === (Date.parse(right) || 0);
+    return (left || null) === (right || null);
+  });
+}
+
+function applyReplayToServerView(entry, response, server) {
+  const { action, poi, poiId } = entry.payload;
+  if (action === "delete") {
+    server.delete(poiId);
+    return;
+  }
+  const record = normalizePoiRecord(response?.data, { ...server.get(poi.id), ...poi });
+  if (record) {
+    server.set(record.id, record);
+  }
+}
+
+function describeOfflineEdit(entry) {
+  const { action, poi } = entry.payload || {};
+  const snapshot = entry.base || poi || {};
+  const label = PoiCatalog[snapshot.type]?.label || "Marker";
+  const verb = action === "create" ? "Add" : action === "delete" ? "Delete" : "Edit";
+  return `${verb} ${snapshot.title ? `${label} “${snapshot.title}”` : label}`;
+}
+
+// Make the rendered markers match the server after a replay, undoing optimistic edits that were dropped.
+function syncPoisWithServer(server) {
+  Array.from(poiStore.keys()).forEach((poiId) => {
+    if (!server.has(poiId)) {
+      removePoi(poiId);
+    }
+  });
+  server.forEach((poi) => applyPoiRecord(poi));
+}
+
+function applyPoiRecord(record) {
+  const poi = normalizePoiRecord(record);
+  if (!poi) {
+    return;
+  }
+  if (!poiStore.has(poi.id)) {
+    renderPoiMarker(poi);
+    return;
+  }
+  updatePoiType(poi.id, poi.type);
+  updatePoiCoords(poi.id, { x: poi.x, y: poi.y });
+  updatePoiDetails(poi.id, poi);
+}
+
+function initializeSearch() {
+  if (!searchInput || !searchResultsList) {
+    return;
+  }
+  searchInput.addEventListener("input", () => updateSearchResults());
+  searchInput.addEventListener("focus", () => updateSearchResults());
+  searchInput.addEventListener("keydown", handleSearchKeyDown);
+  searchInput.addEventListener("blur", () => closeSearchResults());
+  // Keep focus in the input so the blur handler does not close the list before the click lands.
+  searchResultsList.addEventListener("pointerdown", (event) => event.preventDefault());
+}
+
+function handleSearchKeyDown(event) {
+  switch (event.key) {
+    case "ArrowDown":
+    case "ArrowUp": {
+      if (!searchResults.length) {
+        return;
+      }
+      event.preventDefault();
+      const delta = event.key === "ArrowDown" ? 1 : -1;
+      setActiveSearchResult((searchActiveIndex + delta + searchResults.length) % searchResults.length);
+      break;
+    }
+    case "Enter":
+      if (searchResults.length) {
+        event.preventDefault();
+        pickSearchResult(searchResults[Math.max(searchActiveIndex, 0)]);
+      }
+      break;
+    case "Escape":
+      event.stopPropagation();
+      if (searchInput.value) {
+        searchInput.value = "";
+        closeSearchResults();
+      } else {
+        searchInput.blur();
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+function updateSearchResults() {
+  searchResults = searchPois(searchInput.value);
+  searchActiveIndex = searchResults.length ? 0 : -1;
+  renderSearchResults();
+}
+
+function closeSearchResults() {
+  searchResults = [];
+  searchActiveIndex = -1;
+  renderSearchResults();
+}
+
+function renderSearchResults() {
+  searchResultsList.innerHTML = "";
+  searchResultsList.hidden = !searchResults.length;
+  searchInput.setAttribute("aria-expanded", String(Boolean(searchResults.length)));
+  searchResults.forEach((result, index) => {
+    const item = document.createElement("li");
+    item.className = "search-result";
+    item.id = `searchResult${index}`;
+    item.setAttribute("role", "option");
+    const asset = PoiCatalog[result.type];
+    if (asset?.src) {
+      const icon = document.createElement("img");
+      icon.src = asset.src;
+      icon.alt = "";
+      item.appendChild(icon);
+    }
+    const text = document.createElement("span");
+    text.className = "search-result-text";
+    const label = document.createElement("span");
+    label.className = "search-result-label";
+    label.textContent = result.label;
+    text.appendChild(label);
+    if (result.detail) {
+      const detail = document.createElement("span");
+      detail.className = "search-result-detail";
+      detail.textContent = result.detail;
+      text.appendChild(detail);
+    }
+    item.appendChild(text);
+    item.addEventListener("click", () => pickSearchResult(result));
+    searchResultsList.appendChild(item);
+  });
+  setActiveSearchResult(searchActiveIndex);
+}
+
+function setActiveSearchResult(index) {
+  searchActiveIndex = index;
+  Array.from(searchResultsList.children).forEach((item, i) => {
+    item.classList.toggle("search-result--active", i === index);
+    item.setAttribute("aria-selected", String(i === index));
+  });
+  if (index >= 0) {
+    searchInput.setAttribute("aria-activedescendant", `searchResult${index}`);
+    searchResultsList.children[index]?.scrollIntoView?.({ block: "nearest" });
+  } else {
+    searchInput.removeAttribute("aria-activedescendant");
+  }
+}
+
+// Type labels first get a small bonus so "water" lists the type above markers that mention water.
+function searchPois(query) {
+  const needle = query.trim().toLowerCase().replace(/\s+/g, " ");
+  if (!needle) {
+    return [];
+  }
+  const results = [];
+  const typeCounts = new Map();
+  poiStore.forEach((poi) => typeCounts.set(poi.type, (typeCounts.get(poi.type) || 0) + 1));
+  Object.entries(PoiCatalog).forEach(([key, asset]) => {
+    const type = Number(key);
+    const count = typeCounts.get(type) || 0;
+    const score = count ? fuzzyScore(needle, asset.label || "") : null;
+    if (score !== null) {
+      results.push({ kind: "type", type, label: asset.label, detail: count === 1 ? "1 marker" : `${count} markers`, score: score + 1 });
+    }
+  });
+  const minTextScore = needle.length * SEARCH_MIN_TEXT_SCORE_PER_CHAR;
+  poiStore.forEach((poi) => {
+    const titleScore = poi.title ? fuzzyScore(needle, poi.title) : null;
+    const noteScore = poi.note ? fuzzyScore(needle, poi.note) : null;
+    const best = Math.max(titleScore ?? -Infinity, (noteScore ?? -Infinity) - 1);
+    if (best < minTextScore) {
+      return;
+    }
+    const label = PoiCatalog[poi.type]?.label || "Marker";
+    results.push({
+      kind: "poi",
+      poiId: poi.id,
+      type: poi.type,
+      label: poi.title || label,
+      detail: poi.note ? truncateText(poi.note, 60) : label,
+      score: best,
+    });
+  });
+  return results.sort((a, b) => b.score - a.score).slice(0, SEARCH_RESULT_LIMIT);
+}
+
+// Subsequence match: every query character must appear in order. Consecutive characters, word
+// starts and prefixes score higher, gaps lower. Returns null when the text does not match.
+function fuzzyScore(needle, text) {
+  const haystack = text.toLowerCase();
+  let score = 0;
+  let position = 0;
+  let previous = -2;
+  for (const ch of needle) {
+    const found = haystack.indexOf(ch, position);
+    if (found < 0) {
+      return null;
+    }
+    score += 1;
+    if (found === previous + 1) {
+      score += 2;
+    }
+    if (found === 0 || /[\s\-_/(,.]/.test(haystack[found - 1])) {
+      score += 3;
+    }
+    score -= Math.min(found - position, 10) * 0.1;
+    previous = found;
+    position = found + 1;
+  }
+  if (haystack.startsWith(needle)) {
+    score += 5;
+  }
+  return score - haystack.length * 0.01;
+}
+
+function truncateText(text, maxLength) {
+  const singleLine = String(text).replace(/\s+/g, " ").trim();
+  return singleLine.length > maxLength ? `${singleLine.slice(0, maxLength - 1)}…` : singleLine;
+}
+
+// A type result goes to the marker of that type nearest to the current view.
+async function pickSearchResult(result) {
+  if (!result) {
+    return;
+  }
+  const poi = result.kind === "poi" ? poiStore.get(result.poiId) : findNearestPoiOfType(result.type);
+  searchInput.value = "";
+  closeSearchResults();
+  searchInput.blur();
+  if (poi) {
+    await flyToPoi(poi.id);
+  }
+}
+
+function getViewCenter() {
+  return {
+    x: (state.viewportWidth / 2 - state.translateX) / (state.mapWidth * state.scale),
+    y: (state.viewportHeight / 2 - state.translateY) / (state.mapHeight * state.scale),
+  };
+}
+
+function findNearestPoiOfType(type) {
+  const center = getViewCenter();
+  let nearest = null;
+  let nearestDistance = Infinity;
+  poiStore.forEach((poi) => {
+    if (poi.type !== type) {
+      return;
+    }
+    // Same measure as the finder, so "nearest" holds on maps that are not square.
+    const distance = getGameDistance(center, getPoiNormalizedCoords(poi));
+    if (distance < nearestDistance) {
+      nearest = poi;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+}
+
+// Touch and pen have no right button, so holding still on the map opens the finder instead.
+function startLongPress(event) {
+  cancelLongPress();
+  const start = { clientX: event.clientX, clientY: event.clientY };
+  longPressSession = {
+    start,
+    timer: setTimeout(() => {
+      longPressSession = null;
+      lastLongPressAt = Date.now();
+      openFinderAt(start.clientX, start.clientY);
+    }, LONG_PRESS_MS),
+  };
+}
+
+function cancelLongPress() {
+  if (longPressSession) {
+    clearTimeout(longPressSession.timer);
+    longPressSession = null;
+  }
+}
+
+function handleMapContextMenu(event) {
+  const target = event.target;
+  if (target instanceof Element && target.closest(".poi-marker, .poi-cluster")) {
+    return;
+  }
+  event.preventDefault();
+  // Some touch browsers follow a long press with a contextmenu event of their own.
+  if (Date.now() - lastLongPressAt < LONG_PRESS_MS) {
+    return;
+  }
+  openFinderAt(event.clientX, event.clientY);
+}
+
+function initializeFinder() {
+  finderCloseButton?.addEventListener("click", () => closeFinder());
+  finderRouteButton?.addEventListener("click", () => planRouteFromFinder());
+  routeButton?.addEventListener("click", () => toggleRoutePanel());
+  routeCloseButton?.addEventListener("click", () => closeRoutePanel());
+  routeClearButton?.addEventListener("click", () => clearRoute());
+  if (finderLimitSelect) {
+    finderLimitSelect.innerHTML = "";
+    FINDER_LIMITS.forEach((limit) => {
+      const option = document.createElement("option");
+      option.value = String(limit);
+      option.textContent = `${limit} per type`;
+      option.selected = limit === finderLimit;
+      finderLimitSelect.appendChild(option);
+    });
+    finderLimitSelect.addEventListener("change", () => {
+      finderLimit = Number(finderLimitSelect.value) || FINDER_LIMITS[1];
+      persistFinderSettings();
+      markPoiQueriesStale();
+      renderFinderPanel();
+    });
+  }
+}
+
+function openFinderAt(clientX, clientY) {
+  const origin = toNormalizedMapCoords(clientPointToMapCoords(clientX, clientY));
+  if (!origin || !finderPanel) {
+    return;
+  }
+  closePoiPopover();
+  closeSidePanels();
+  finderState = { origin, results: [] };
+  finderPanel.hidden = false;
+  renderFinderTypes();
+  markPoiQueriesStale();
+  renderFinderPanel();
+}
+
+function closeFinder() {
+  if (!finderState) {
+    return;
+  }
+  finderState = null;
+  if (finderPanel) {
+    finderPanel.hidden = true;
+  }
+  poiLayer.querySelector(".finder-overlay")?.remove();
+}
+
+// Finder results and route distances are recomputed on the next render after any marker change.
+function markPoiQueriesStale() {
+  finderStale = true;
+  routeStale = true;
+}
+
+function renderFinderTypes() {
+  if (!finderTypeList) {
+    return;
+  }
+  finderTypeList.innerHTML = "";
+  Object.entries(PoiCatalog).forEach(([key, asset]) => {
+    const type = Number(key);
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = "finder-type";
+    chip.title = asset.label || "";
+    chip.setAttribute("aria-pressed", String(finderTypes.has(type)));
+    if (asset.src) {
+      const icon = document.createElement("img");
+      icon.src = asset.src;
+      icon.alt = asset.label || "";
+      chip.appendChild(icon);
+    } else {
+      chip.textContent = asset.label || String(type);
+    }
+    chip.addEventListener("click", () => {
+      if (finderTypes.has(type)) {
+        finderTypes.delete(type);
+      } else {
+        finderTypes.add(type);
+      }
+      chip.setAttribute("aria-pressed", String(finderTypes.has(type)));
+      persistFinderSettings();
+      markPoiQueriesStale();
+      renderFinderPanel();
+    });
+    finderTypeList.appendChild(chip);
+  });
+}
+
+// Nearest unvisited markers per selected type, closest types first.
+function computeFinderResults(origin) {
+  const byType = new Map();
+  poiStore.forEach((poi) => {
+    if (!finderTypes.has(poi.type) || isPoiVisited(poi.id)) {
+      return;
+    }
+    const distance = getGameDistance(origin, getPoiNormalizedCoords(poi));
+    if (!byType.has(poi.type)) {
+      byType.set(poi.type, []);
+    }
+    byType.get(poi.type).push({ poi, distance });
+  });
+  const groups = Array.from(byType.entries()).map(([type, entries]) => ({
+    type,
+    entries: entries.sort((a, b) => a.distance - b.distance).slice(0, finderLimit),
+  }));
+  return groups.sort((a, b) => a.entries[0].distance - b.entries[0].distance);
+}
+
+function refreshFinderResults() {
+  if (finderState && finderStale) {
+    finderStale = false;
+    finderState.results = computeFinderResults(finderState.origin);
+  }
+}
+
+function renderFinderPanel() {
+  if (!finderState || !finderResultsList) {
+    return;
+  }
+  refreshFinderResults();
+  finderResultsList.innerHTML = "";
+  if (finderRouteButton) {
+    finderRouteButton.disabled = !finderState.results.length;
+  }
+  if (!finderTypes.size) {
+    finderResultsList.appendChild(createHistoryMessage("Pick the types to look for."));
+  } else if (!finderState.results.length) {
+    finderResultsList.appendChild(createHistoryMessage("No unvisited markers of these types."));
+  }
+  finderState.results.forEach((group, groupIndex) => {
+    const color = FINDER_LINE_COLORS[groupIndex % FINDER_LINE_COLORS.length];
+    group.entries.forEach(({ poi, distance }) => {
+      const item = document.createElement("li");
+      item.className = "history-item finder-result";
+      item.style.setProperty("--finder-color", color);
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "history-item-summary";
+      const asset = PoiCatalog[poi.type];
+      if (asset?.src) {
+        const icon = document.createElement("img");
+        icon.src = asset.src;
+        icon.alt = "";
+        button.appendChild(icon);
+      }
+      const label = document.createElement("span");
+      label.textContent = poi.title || asset?.label || "Marker";
+      button.appendChild(label);
+      button.addEventListener("click", () => flyToPoi(poi.id));
+      item.appendChild(button);
+      const distanceLabel = document.createElement("span");
+      distanceLabel.className = "finder-distance";
+      distanceLabel.textContent = formatDistance(distance);
+      item.appendChild(distanceLabel);
+      finderResultsList.appendChild(item);
+    });
+  });
+  renderFinderOverlay();
+}
+
+// Lines are drawn in screen space and redrawn with the markers on every pan and zoom.
+function renderFinderOverlay() {
+  if (!finderState) {
+    return;
+  }
+  if (finderStale) {
+    renderFinderPanel();
+    return;
+  }
+  const overlay = getMapOverlay("finder-overlay");
+  const origin = projectCoordsToScreen(finderState.origin);
+  if (!origin) {
+    return;
+  }
+  finderState.results.forEach((group, groupIndex) => {
+    const color = FINDER_LINE_COLORS[groupIndex % FINDER_LINE_COLORS.length];
+    group.entries.forEach(({ poi }) => {
+      const target = projectCoordsToScreen(getPoiNormalizedCoords(poi));
+      const line = document.createElementNS(SVG_NS, "line");
+      line.setAttribute("x1", String(origin.left));
+      line.setAttribute("y1", String(origin.top));
+      line.setAttribute("x2", String(target.left));
+      line.setAttribute("y2", String(target.top));
+      line.setAttribute("stroke", color);
+      overlay.appendChild(line);
+    });
+  });
+  const dot = document.createElementNS(SVG_NS, "circle");
+  dot.setAttribute("class", "finder-origin");
+  dot.setAttribute("cx", String(origin.left));
+  dot.setAttribute("cy", String(origin.top));
+  dot.setAttribute("r", "6");
+  overlay.appendChild(dot);
+}
+
+// SVG layers sit below the markers in poiLayer and are redrawn in viewport pixels.
+function getMapOverlay(className) {
+  let overlay = poiLayer.querySelector(`.${className}`);
+  if (!overlay) {
+    overlay = document.createElementNS(SVG_NS, "svg");
+    overlay.setAttribute("class", `map-overlay ${className}`);
+    poiLayer.insertBefore(overlay, poiLayer.firstChild);
+  }
+  overlay.innerHTML = "";
+  return overlay;
+}
+
+// Starts a loop from the finder point through the nearest marker of each selected type.
+function planRouteFromFinder() {
+  if (!finderState?.results.length) {
+    return;
+  }
+  const start = finderState.origin;
+  const poiIds = finderState.results.map((group) => group.entries[0].poi.id);
+  closeFinder();
+  setRoute(start, poiIds);
+}
+
+function toggleRouteStop(poiId) {
+  const current = routeState ? routeState.order : [];
+  const poiIds = current.includes(poiId) ? current.filter((id) => id !== poiId) : [...current, poiId];
+  setRoute(routeState?.start || getViewCenter(), poiIds);
+}
+
+function setRoute(start, poiIds) {
+  const pois = poiIds.map((id) => poiStore.get(id)).filter(Boolean);
+  if (!pois.length) {
+    clearRoute();
+    return;
+  }
+  routeState = { start, order: planRouteOrder(start, pois), position: start };
+  routeStale = true;
+  openRoutePanel();
+}
+
+function clearRoute() {
+  routeState = null;
+  closeRoutePanel();
+  if (routeButton) {
+    routeButton.hidden = true;
+  }
+  poiLayer.querySelector(".route-overlay")?.remove();
+}
+
+// Nearest-neighbour tour from the start, then 2-opt until no segment swap shortens the loop.
+function planRouteOrder(start, pois) {
+  const remaining = pois.map((poi) => ({ id: poi.id, coords: getPoiNormalizedCoords(poi) }));
+  const tour = [{ id: null, coords: start }];
+  while (remaining.length) {
+    const last = tour[tour.length - 1].coords;
+    let bestIndex = 0;
+    remaining.forEach((stop, index) => {
+      if (getGameDistance(last, stop.coords) < getGameDistance(last, remaining[bestIndex].coords)) {
+        bestIndex = index;
+      }
+    });
+    tour.push(remaining.splice(bestIndex, 1)[0]);
+  }
+
+  const dist = (a, b) => getGameDistance(tour[a].coords, tour[b % tour.length].coords);
+  for (let pass = 0; pass < ROUTE_MAX_OPTIMIZE_PASSES; pass += 1) {
+    let improved = false;
+    for (let i = 1; i < tour.length - 1; i += 1) {
+      for (let k = i + 1; k < tour.length; k += 1) {
+        const delta = dist(i - 1, k) + dist(i, k + 1) - dist(i - 1, i) - dist(k, k + 1);
+        if (delta < -1e-9) {
+          const reversed = tour.slice(i, k + 1).reverse();
+          tour.splice(i, reversed.length, ...reversed);
+          improved = true;
+        }
+      }
+    }
+    if (!improved) {
+      break;
+    }
+  }
+  return tour.slice(1).map((stop) => stop.id);
+}
+
+// Called when a marker's visited state flips so the route continues from the marker just taken.
+function advanceRoute(poiId, visited) {
+  if (!routeState || !routeState.order.includes(poiId)) {
+    return;
+  }
+  const poi = poiStore.get(poiId);
+  if (visited && poi) {
+    routeState.position = getPoiNormalizedCoords(poi);
+  }
+  routeStale = true;
+}
+
+function getRouteStops() {
+  return routeState.order.map((id) => poiStore.get(id)).filter(Boolean);
+}
+
+function getPathDistance(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i += 1) {
+    total += getGameDistance(points[i - 1], points[i]);
+  }
+  return total;
+}
+
+// What is still ahead: from the last visited stop through the open stops and back to the start.
+function getRemainingRoutePath() {
+  const open = getRouteStops().filter((poi) => !isPoiVisited(poi.id));
+  return [routeState.position, ...open.map(getPoiNormalizedCoords), routeState.start];
+}
+
+function openRoutePanel() {
+  if (!routePanel || !routeState) {
+    return;
+  }
+  closeSidePanels();
+  routePanel.hidden = false;
+  if (routeButton) {
+    routeButton.hidden = false;
+    routeButton.setAttribute("aria-expanded", "true");
+  }
+  renderRoutePanel();
+}
+
+function closeRoutePanel() {
+  if (!routePanel || routePanel.hidden) {
+    return;
+  }
+  routePanel.hidden = true;
+  routeButton?.setAttribute("aria-expanded", "false");
+}
+
+function toggleRoutePanel() {
+  if (routePanel?.hidden === false) {
+    closeRoutePanel();
+  } else {
+    openRoutePanel();
+  }
+}
+
+function renderRoutePanel() {
+  if (!routeState) {
+    return;
+  }
+  routeStale = false;
+  const stops = getRouteStops();
+  if (!stops.length) {
+    clearRoute();
+    return;
+  }
+  if (routeSummary) {
+    const open = stops.filter((poi) => !isPoiVisited(poi.id)).length;
+    const loop = getPathDistance([routeState.start, ...stops.map(getPoiNormalizedCoords), routeState.start]);
+    const left = getPathDistance(getRemainingRoutePath());
+    routeSummary.textContent = open
+      ? `${open} of ${stops.length} stops left · ${formatDistance(left)} to go · ${formatDistance(loop)} loop`
+      : `All ${stops.length} stops visited · ${formatDistance(left)} back to start`;
+  }
+  if (routeStopList && routePanel?.hidden === false) {
+    routeStopList.innerHTML = "";
+    let previous = routeState.start;
+    stops.forEach((poi, index) => {
+      const coords = getPoiNormalizedCoords(poi);
+      routeStopList.appendChild(createRouteStopItem(poi, index, getGameDistance(previous, coords)));
+      previous = coords;
+    });
+  }
+  renderRouteOverlay();
+}
+
+function createRouteStopItem(poi, index, legDistance) {
+  const item = document.createElement("li");
+  item.className = "history-item route-stop";
+  item.classList.toggle("route-stop--done", isPoiVisited(poi.id));
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "history-item-summary";
+  const number = document.createElement("span");
+  number.className = "route-stop-number";
+  number.textContent = String(index + 1);
+  button.appendChild(number);
+  const asset = PoiCatalog[poi.type];
+  if (asset?.src) {
+    const icon = document.createElement("img");
+    icon.src = asset.src;
+    icon.alt = "";
+    button.appendChild(icon);
+  }
+  const label = document.createElement("span");
+  label.textContent = poi.title || asset?.label || "Marker";
+  button.appendChild(label);
+  button.addEventListener("click", () => flyToPoi(poi.id));
+  item.appendChild(button);
+  const distanceLabel = document.createElement("span");
+  distanceLabel.className = "finder-distance";
+  distanceLabel.textContent = formatDistance(legDistance);
+  item.appendChild(distanceLabel);
+  const removeButton = document.createElement("button");
+  removeButton.type = "button";
+  removeButton.className = "side-panel-close";
+  removeButton.setAttribute("aria-label", "Remove from route");
+  removeButton.textContent = "×";
+  removeButton.addEventListener("click", () => toggleRouteStop(poi.id));
+  item.appendChild(removeButton);
+  return item;
+}
+
+function renderRouteOverlay() {
+  if (!routeState) {
+    return;
+  }
+  if (routeStale) {
+    renderRoutePanel();
+    return;
+  }
+  const overlay = getMapOverlay("route-overlay");
+  const points = getRemainingRoutePath().map(projectCoordsToScreen).filter(Boolean);
+  if (!points.length) {
+    return;
+  }
+  const line = document.createElementNS(SVG_NS, "polyline");
+  line.setAttribute("class", "route-line");
+  line.setAttribute("points", points.map((point) => `${point.left},${point.top}`).join(" "));
+  overlay.appendChild(line);
+  const start = points[points.length - 1];
+  const dot = document.createElementNS(SVG_NS, "circle");
+  dot.setAttribute("class", "route-start");
+  dot.setAttribute("cx", String(start.left));
+  dot.setAttribute("cy", String(start.top));
+  dot.setAttribute("r", "6");
+  overlay.appendChild(dot);
+}
+
+async function flyToPoi(poiId) {
+  const poi = poiStore.get(poiId);
+  if (!poi) {
+    return;
+  }
+  if (hiddenTypes.has(poi.type)) {
+    toggleTypeVisibility(poi.type);
+  }
+  const coords = getPoiNormalizedCoords(poi);
+  const arrived = await flyToMapPoint(coords.x, coords.y, getScaleForZoomProgress(SEARCH_FOCUS_ZOOM_PROGRESS));
+  if (arrived && poiStore.has(poiId)) {
+    setFocusedPoi(poiId);
+    flashMarker(poiId, "poi-marker--pulse", PULSE_DURATION_MS);
+  }
+}
+
+// Distance between two normalized map points: metres once the map is calibrated, map pixels until
+// then. formatDistance labels the result accordingly.
+function getGameDistance(a, b) {
+  const calibration = getMapCalibration();
+  if (calibration) {
+    const from = calibration.toGame(a);
+    const to = calibration.toGame(b);
+    return Math.hypot(from.x - to.x, from.y - to.y) / GAME_UNITS_PER_METER;
+  }
+  const dx = (a.x - b.x) * state.mapWidth;
+  const dy = (a.y - b.y) * state.mapHeight;
+  return Math.hypot(dx, dy);
+}
+
+function formatDistance(distance, calibrated = Boolean(getMapCalibration())) {
+  if (!calibrated) {
+    return `${Math.round(distance)} map px`;
+  }
+  return distance < 1000 ? `${Math.round(distance)} m` : `${(distance / 1000).toFixed(1)} km`;
+}
+
+function getDistanceUnitLabel() {
+  return getMapCalibration() ? "m" : "map px";
+}
+
+// Scale along the map's x axis; calibrated maps may differ slightly along y.
+function getDistancePerMapPixel() {
+  if (!state.mapWidth) {
+    return 1;
+  }
+  return getGameDistance({ x: 0, y: 0 }, { x: 1, y: 0 }) / state.mapWidth || 1;
+}
+
+function initializeCoordinates() {
+  mapViewport.addEventListener("pointermove", updateCoordReadout);
+  mapViewport.addEventListener("pointerleave", () => {
+    if (coordReadout) {
+      coordReadout.hidden = true;
+    }
+  });
+  gotoForm?.addEventListener("submit", handleGotoSubmit);
+  gotoInput?.addEventListener("input", () => gotoInput.setCustomValidity(""));
+  calibrationButton?.addEventListener("click", () => toggleCalibrationPanel());
+  calibrationCloseButton?.addEventListener("click", () => closeCalibrationPanel());
+  calibrationForm?.addEventListener("submit", handleCalibrationFormSubmit);
+  calibrationForm?.elements.location?.addEventListener("input", (event) => event.target.setCustomValidity(""));
+  calibrationSaveButton?.addEventListener("click", () => saveCalibration());
+  updateCalibrationControls();
+}
+
+function normalizeCalibrationPoints(rows) {
+  if (!Array.isArray(rows)) {
+    return [];
+  }
+  return rows
+    .map((row) => ({ x: Number(row?.x), y: Number(row?.y), gameX: Number(row?.gameX), gameY: Number(row?.gameY) }))
+    .filter((point) => [point.x, point.y, point.gameX, point.gameY].every(Number.isFinite));
+}
+
+function getMapCalibration() {
+  const points = currentMap?.calibration || null;
+  if (calibrationCache.points !== points) {
+    calibrationCache = { points, transform: buildCalibrationTransform(points || []) };
+  }
+  return calibrationCache.transform;
+}
+
+// Three or more points that are not on one line get a full affine fit (rotation and skew included);
+// otherwise each game axis is fitted to the matching map axis, which is exact for two points.
+function buildCalibrationTransform(points) {
+  if (points.length < 2) {
+    return null;
+  }
+  const coefficients = (points.length >= 3 && fitAffineCalibration(points)) || fitAxisCalibration(points);
+  if (!coefficients) {
+    return null;
+  }
+  const [a, b, c, d, e, f] = coefficients;
+  const det = a * e - b * d;
+  if (!det || !Number.isFinite(det)) {
+    return null;
+  }
+  return {
+    toGame: (coords) => ({ x: a * coords.x + b * coords.y + c, y: d * coords.x + e * coords.y + f }),
+    toMap: (game) => ({
+      x: (e * (game.x - c) - b * (game.y - f)) / det,
+      y: (a * (game.y - f) - d * (game.x - c)) / det,
+    }),
+  };
+}
+
+function fitAxisCalibration(points) {
+  const fit = (inputs, outputs) => {
+    const meanIn = inputs.reduce((sum, value) => sum + value, 0) / inputs.length;
+    const meanOut = outputs.reduce((sum, value) => sum + value, 0) / outputs.length;
+    let covariance = 0;
+    let variance = 0;
+    inputs.forEach((value, index) => {
+      covariance += (value - meanIn) * (outputs[index] - meanOut);
+      variance += (value - meanIn) ** 2;
+    });
+    if (!variance) {
+      return null;
+    }
+    const slope = covariance / variance;
+    return [slope, meanOut - slope * meanIn];
+  };
+  const xFit = fit(points.map((point) => point.x), points.map((point) => point.gameX));
+  const yFit = fit(points.map((point) => point.y), points.map((point) => point.gameY));
+  if (!xFit || !yFit) {
+    return null;
+  }
+  return [xFit[0], 0, xFit[1], 0, yFit[0], yFit[1]];
+}
+
+// Least squares over [x, y, 1] via the 3x3 normal equations, solved with Cramer's rule.
+function fitAffineCalibration(points) {
+  const m = [
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+  ];
+  const rx = [0, 0, 0];
+  const ry = [0, 0, 0];
+  points.forEach((point) => {
+    const row = [point.x, point.y, 1];
+    for (let i = 0; i < 3; i += 1) {
+      for (let j = 0; j < 3; j += 1) {
+        m[i][j] += row[i] * row[j];
+      }
+      rx[i] += row[i] * point.gameX;
+      ry[i] += row[i] * point.gameY;
+    }
+  });
+  const det3 = (q) =>
+    q[0][0] * (q[1][1] * q[2][2] - q[1][2] * q[2][1]) -
+    q[0][1] * (q[1][0] * q[2][2] - q[1][2] * q[2][0]) +
+    q[0][2] * (q[1][0] * q[2][1] - q[1][1] * q[2][0]);
+  const det = det3(m);
+  // Points on (or very near) one line leave one axis undetermined.
+  if (Math.abs(det) < 1e-12) {
+    return null;
+  }
+  const solve = (rhs) =>
+    [0, 1, 2].map((column) => det3(m.map((row, index) => row.map((value, j) => (j === column ? rhs[index] : value)))) / det);
+  return [...solve(rx), ...solve(ry)];
+}
+
+// Accepts the game's location readout ("(X=-12345.6,Y=7890.1,Z=230.0)") or any "x, y" pair.
+function parseGameLocation(text) {
+  const value = String(text || "");
+  const axis = (name) => value.match(new RegExp(`\\b${name}\\s*[=:]\\s*(-?\\d+(?:\\.\\d+)?)`, "i"));
+  const xMatch = axis("X");
+  const yMatch = axis("Y");
+  if (xMatch && yMatch) {
+    return { x: Number(xMatch[1]), y: Number(yMatch[1]) };
+  }
+  const numbers = value.match(/-?\d+(?:\.\d+)?/g);
+  if (!numbers || numbers.length < 2) {
+    return null;
+  }
+  return { x: Number(numbers[0]), y: Number(numbers[1]) };
+}
+
+function formatGameCoords(game) {
+  return `X ${Math.round(game.x)}, Y ${Math.round(game.y)}`;
+}
+
+function updateCalibrationControls() {
+  const calibrated = Boolean(getMapCalibration());
+  if (gotoForm) {
+    gotoForm.hidden = !calibrated;
+  }
+  if (coordReadout && !calibrated) {
+    coordReadout.hidden = true;
+  }
+  if (duplicateRadiusUnit) {
+    duplicateRadiusUnit.textContent = getDistanceUnitLabel();
+  }
+}
+
+function updateCoordReadout(event) {
+  const calibration = getMapCalibration();
+  if (!coordReadout || !calibration) {
+    return;
+  }
+  const coords = toNormalizedMapCoords(clientPointToMapCoords(event.clientX, event.clientY));
+  coordReadout.hidden = !coords;
+  if (coords) {
+    coordReadout.textContent = formatGameCoords(calibration.toGame(coords));
+  }
+}
+
+function handleGotoSubmit(event) {
+  event.preventDefault();
+  const calibration = getMapCalibration();
+  if (!gotoInput || !calibration) {
+    return;
+  }
+  const game = parseGameLocation(gotoInput.value);
+  const coords = game ? calibration.toMap(game) : null;
+  const inside = coords && coords.x >= 0 && coords.x <= 1 && coords.y >= 0 && coords.y <= 1;
+  if (!inside) {
+    gotoInput.setCustomValidity(game ? "That location is outside this map." : "Paste a location such as X=-12345, Y=6789.");
+    gotoInput.reportValidity();
+    return;
+  }
+  gotoInput.blur();
+  dropGotoPin(coords, formatGameCoords(game));
+  flyToMapPoint(coords.x, coords.y, getScaleForZoomProgress(SEARCH_FOCUS_ZOOM_PROGRESS));
+}
+
+function dropGotoPin(coords, label) {
+  clearGotoPin();
+  const element = document.createElement("div");
+  element.className = "goto-pin";
+  element.title = `${label} (click to remove)`;
+  element.addEventListener("pointerdown", (event) => event.stopPropagation());
+  element.addEventListener("click", () => clearGotoPin());
+  poiLayer.appendChild(element);
+  gotoPin = { coords, element, timer: setTimeout(clearGotoPin, GOTO_PIN_LIFETIME_MS) };
+  renderGotoPin();
+}
+
+function clearGotoPin() {
+  if (!gotoPin) {
+    return;
+  }
+  clearTimeout(gotoPin.timer);
+  gotoPin.element.remove();
+  gotoPin = null;
+}
+
+function renderGotoPin() {
+  if (!gotoPin) {
+    return;
+  }
+  const position = projectCoordsToScreen(gotoPin.coords);
+  if (position) {
+    gotoPin.element.style.left = `${position.left}px`;
+    gotoPin.element.style.top = `${position.top}px`;
+  }
+}
+
+function toggleCalibrationPanel() {
+  if (calibrationPanel?.hidden === false) {
+    closeCalibrationPanel();
+  } else {
+    openCalibrationPanel();
+  }
+}
+
+function openCalibrationPanel() {
+  if (!calibrationPanel || !editMode || editorSession?.role !== "admin") {
+    return;
+  }
+  closeSidePanels();
+  calibrationDraft = { points: [...(currentMap?.calibration || [])], pending: null };
+  calibrationPanel.hidden = false;
+  calibrationButton?.setAttribute("aria-expanded", "true");
+  renderCalibrationPanel();
+}
+
+function closeCalibrationPanel() {
+  if (!calibrationPanel || calibrationPanel.hidden) {
+    return;
+  }
+  calibrationDraft = null;
+  calibrationPanel.hidden = true;
+  calibrationButton?.setAttribute("aria-expanded", "false");
+  document.body.classList.remove("calibration-picking");
+  poiLayer.querySelector(".calibration-overlay")?.remove();
+}
+
+function renderCalibrationPanel() {
+  if (!calibrationDraft) {
+    return;
+  }
+  const { points, pending } = calibrationDraft;
+  if (calibrationHint) {
+    if (pending) {
+      calibrationHint.textContent = `Click the spot on the map where the game shows ${formatGameCoords(pending)}.`;
+    } else if (points.length < 2) {
+      calibrationHint.textContent = "Add at least two reference points, far apart on both axes.";
+    } else {
+      const transform = buildCalibrationTransform(points);
+      const error = transform ? Math.max(...points.map((point) => getCalibrationError(transform, point))) : null;
+      calibrationHint.textContent = transform
+        ? `${points.length} points, largest error ${formatDistance(error / GAME_UNITS_PER_METER, true)}.`
+        : "These points do not spread over both axes.";
+    }
+  }
+  if (calibrationList) {
+    calibrationList.innerHTML = "";
+    if (!points.length) {
+      calibrationList.appendChild(createHistoryMessage("This map is not calibrated."));
+    }
+    points.forEach((point, index) => {
+      const item = document.createElement("li");
+      item.className = "history-item";
+      const label = document.createElement("span");
+      label.className = "history-item-summary";
+      label.textContent = `${index + 1}. ${formatGameCoords({ x: point.gameX, y: point.gameY })}`;
+      item.appendChild(label);
+      const removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.className = "side-panel-close";
+      removeButton.setAttribute("aria-label", "Remove point");
+      removeButton.textContent = "×";
+      removeButton.addEventListener("click", () => {
+        points.splice(index, 1);
+        renderCalibrationPanel();
+      });
+      item.appendChild(removeButton);
+      calibrationList.appendChild(item);
+    });
+  }
+  document.body.classList.toggle("calibration-picking", Boolean(pending));
+  renderCalibrationOverlay();
+}
+
+// How far, in game units, the fitted transform puts a reference point from where the game says it is.
+function getCalibrationError(transform, point) {
+  const game = transform.toGame(point);
+  return Math.hypot(game.x - point.gameX, game.y - point.gameY);
+}
+
+function handleCalibrationFormSubmit(event) {
+  event.preventDefault();
+  const input = calibrationForm.elements.location;
+  const game = parseGameLocation(input.value);
+  if (!game || !calibrationDraft) {
+    input.setCustomValidity("Paste a location such as X=-12345, Y=6789.");
+    input.reportValidity();
+    return;
+  }
+  calibrationDraft.pending = game;
+  renderCalibrationPanel();
+}
+
+function handleCalibrationPick(clientX, clientY) {
+  const coords = toNormalizedMapCoords(clientPointToMapCoords(clientX, clientY));
+  if (!coords || !calibrationDraft?.pending) {
+    return;
+  }
+  const { pending } = calibrationDraft;
+  calibrationDraft.points.push({ x: coords.x, y: coords.y, gameX: pending.x, gameY: pending.y });
+  calibrationDraft.pending = null;
+  calibrationForm?.reset();
+  renderCalibrationPanel();
+}
+
+function renderCalibrationOverlay() {
+  if (!calibrationDraft) {
+    return;
+  }
+  const overlay = getMapOverlay("calibration-overlay");
+  calibrationDraft.points.forEach((point) => {
+    const position = projectCoordsToScreen(point);
+    if (!position) {
+      return;
+    }
+    const dot = document.createElementNS(SVG_NS, "circle");
+    dot.setAttribute("class", "calibration-point");
+    dot.setAttribute("cx", String(position.left));
+    dot.setAttribute("cy", String(position.top));
+    dot.setAttribute("r", "5");
+    overlay.appendChild(dot);
+  });
+}
+
+async function saveCalibration() {
+  if (!calibrationDraft) {
+    return;
+  }
+  const { points } = calibrationDraft;
+  if (points.length === 1 || (points.length && !buildCalibrationTransform(points))) {
+    alert("Add at least two reference points that differ on both axes.");
+    return;
+  }
+  const mapId = getMapId();
+  try {
+    const payload = await postToApi(
+      { action: "saveCalibration", mapId, calibration: points },
+      { requireSession: true }
+    );
+    const entry = findMapEntry(mapId);
+    if (entry) {
+      entry.calibration = normalizeCalibrationPoints(payload?.data);
+    }
+    if (mapId !== getMapId()) {
+      return;
+    }
+    closeCalibrationPanel();
+    updateCalibrationControls();
+    markPoiQueriesStale();
+    scheduleMarkerRender();
+  } catch (error) {
+    console.error("Failed to save calibration", error);
+    alert("Failed to save the calibration. Please try again.");
+  }
+}
+
+function initializeDataTransfer() {
+  dataButton?.addEventListener("click", () => toggleDataPanel());
+  dataCloseButton?.addEventListener("click", () => closeDataPanel());
+  exportGeoJsonButton?.addEventListener("click", () => exportPois("geojson"));
+  exportCsvButton?.addEventListener("click", () => exportPois("csv"));
+  importFileInput?.addEventListener("change", handleImportFileChange);
+  importDuplicates?.addEventListener("change", () => renderImportPreview());
+  importApplyButton?.addEventListener("click", () => applyImport());
+  if (duplicateRadiusInput) {
+    duplicateRadiusInput.max = String(MAX_DUPLICATE_RADIUS_METERS);
+    duplicateRadiusInput.value = String(duplicateRadius);
+    duplicateRadiusInput.addEventListener("change", handleDuplicateRadiusChange);
+  }
+  duplicateReportButton?.addEventListener("click", () => loadDuplicateReport());
+}
+
+function toggleDataPanel() {
+  if (dataPanel?.hidden === false) {
+    closeDataPanel();
+  } else {
+    openDataPanel();
+  }
+}
+
+function openDataPanel() {
+  if (!dataPanel) {
+    return;
+  }
+  closeSidePanels();
+  dataPanel.hidden = false;
+  dataButton?.setAttribute("aria-expanded", "true");
+}
+
+function closeDataPanel() {
+  if (!dataPanel || dataPanel.hidden) {
+    return;
+  }
+  dataPanel.hidden = true;
+  dataButton?.setAttribute("aria-expanded", "false");
+  clearImport();
+  clearDuplicateReport();
+}
+
+function getExportRows() {
+  const calibration = getMapCalibration();
+  const visibleOnly = Boolean(exportVisibleOnly?.checked);
+  return Array.from(poiStore.values())
+    .filter((poi) => !visibleOnly || !hiddenTypes.has(poi.type))
+    .sort((a, b) => a.type - b.type || a.id.localeCompare(b.id))
+    .map((poi) => {
+      const coords = getPoiNormalizedCoords(poi);
+      const game = calibration ? calibration.toGame(coords) : null;
+      return {
+        id: poi.id,
+        type: poi.type,
+        typeName: PoiCatalog[poi.type]?.label || "",
+        x: coords.x,
+        y: coords.y,
+        gameX: game ? Math.round(game.x * 100) / 100 : null,
+        gameY: game ? Math.round(game.y * 100) / 100 : null,
+        title: poi.title || null,
+        note: poi.note || null,
+        quantity: poi.quantity || null,
+        verifiedAt: poi.verifiedAt || null,
+      };
+    });
+}
+
+function exportPois(format) {
+  const rows = getExportRows();
+  const baseName = `${currentMap?.folder || getMapName()}-markers`;
+  if (format === "csv") {
+    downloadText(`${baseName}.csv`, "text/csv", buildCsv(rows));
+  } else {
+    downloadText(`${baseName}.geojson`, "application/geo+json", JSON.stringify(buildGeoJson(rows), null, 2));
+  }
+}
+
+// Geometry is in game coordinates on calibrated maps; properties always carry the normalized x and y.
+function buildGeoJson(rows) {
+  const calibrated = Boolean(getMapCalibration());
+  return {
+    type: "FeatureCollection",
+    potmap: { mapId: getMapId(), mapName: currentMap?.name || "", geometry: calibrated ? "game" : "normalized" },
+    features: rows.map(({ gameX, gameY, ...properties }) => ({
+      type: "Feature",
+      id: properties.id,
+      geometry: { type: "Point", coordinates: calibrated ? [gameX, gameY] : [properties.x, properties.y] },
+      properties,
+    })),
+  };
+}
+
+function buildCsv(rows) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [EXPORT_CSV_COLUMNS.join(",")];
+  rows.forEach((row) => lines.push(EXPORT_CSV_COLUMNS.map((column) => escape(row[column])).join(",")));
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+function downloadText(fileName, mimeType, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// RFC 4180 style: quoted fields may hold commas, doubled quotes and line breaks.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+// Both formats come out as plain objects; a field that is present (even empty) replaces the stored value.
+function parseImportFile(fileName, text) {
+  const trimmed = text.replace(/^\uFEFF/, "").trim();
+  if (/\.csv$/i.test(fileName) || !trimmed.startsWith("{")) {
+    const [header = [], ...lines] = parseCsv(trimmed);
+    const columns = header.map((name) => name.trim());
+    return lines.map((cells) => {
+      const row = {};
+      columns.forEach((column, index) => {
+        if (column) row[column] = (cells[index] ?? "").trim();
+      });
+      return row;
+    });
+  }
+  const collection = JSON.parse(trimmed);
+  if (collection?.type !== "FeatureCollection" || !Array.isArray(collection.features)) {
+    throw new Error("Not a GeoJSON FeatureCollection.");
+  }
+  const geometryIsGame = collection.potmap?.geometry !== "normalized";
+  return collection.features.map((feature) => {
+    const row = { ...(feature?.properties || {}) };
+    const [first, second] = feature?.geometry?.type === "Point" ? feature.geometry.coordinates || [] : [];
+    if (geometryIsGame) {
+      row.gameX ??= first;
+      row.gameY ??= second;
+    } else {
+      row.x ??= first;
+      row.y ??= second;
+    }
+    row.id ??= feature?.id;
+    return row;
+  });
+}
+
+async function handleImportFileChange() {
+  const file = importFileInput?.files?.[0];
+  if (!file) {
+    return;
+  }
+  try {
+    const rows = parseImportFile(file.name, await file.text());
+    if (rows.length > IMPORT_MAX_POIS) {
+      throw new Error(`A file can hold at most ${IMPORT_MAX_POIS} markers.`);
+    }
+    importState = { rows, entries: classifyImportRows(rows), message: null };
+  } catch (error) {
+    importState = { entries: [], message: `Could not read ${file.name}: ${error.message}` };
+  }
+  renderImportPreview();
+  await markForeignImportRows(importState);
+}
+
+// Ids are unique across maps, so rows whose id belongs to another map (an export of that map used
+// as a seed) are added as copies with new ids.
+async function markForeignImportRows(state) {
+  const candidates = (state.entries || []).filter((entry) => entry.poi?.id && !entry.existing);
+  if (!candidates.length) {
+    return;
+  }
+  try {
+    const payload = await postToApi(
+      { action: "importCheck", mapId: getMapId(), pois: candidates.map((entry) => ({ id: entry.poi.id })) },
+      { requireSession: true }
+    );
+    const foreignIds = new Set(Array.isArray(payload?.data) ? payload.data : []);
+    candidates
+      .filter((entry) => foreignIds.has(entry.poi.id))
+      .forEach((entry) => {
+        delete entry.poi.id;
+        if (entry.status === "new") {
+          entry.status = "copy";
+          entry.reason = "id belongs to another map; added with a new id";
+        } else {
+          entry.reason = `${entry.reason}; id belongs to another map`;
+        }
+      });
+  } catch (error) {
+    console.warn("Failed to check import ids against other maps", error);
+  }
+  if (importState === state) {
+    renderImportPreview();
+  }
+}
+
+function clearImport() {
+  importState = null;
+  if (importFileInput) {
+    importFileInput.value = "";
+  }
+  renderImportPreview();
+}
+
+// Sorts each row into new, moved, updated, unchanged, duplicate or invalid against the loaded markers.
+// markForeignImportRows later turns new rows with another map's id into copies.
+function classifyImportRows(rows) {
+  const calibration = getMapCalibration();
+  const byType = new Map();
+  poiStore.forEach((poi) => {
+    if (!byType.has(poi.type)) byType.set(poi.type, []);
+    byType.get(poi.type).push(poi);
+  });
+  const seenIds = new Set();
+  return rows.map((row) => {
+    const entry = { status: "invalid", row, reason: "", poi: null };
+    const id = row.id ? String(row.id).trim().toLowerCase() : "";
+    const type = Number(row.type);
+    let coords = null;
+    if (row.x !== undefined && row.x !== "" && row.y !== undefined && row.y !== "") {
+      coords = { x: Number(row.x), y: Number(row.y) };
+    } else if (calibration && row.gameX !== undefined && row.gameX !== "" && row.gameY !== undefined && row.gameY !== "") {
+      coords = calibration.toMap({ x: Number(row.gameX), y: Number(row.gameY) });
+    }
+    const quantity = row.quantity === undefined || row.quantity === null || row.quantity === "" ? 0 : Number(row.quantity);
+    if (id && !/^[0-9a-f]{32}$/.test(id)) {
+      entry.reason = "id is not a 32 character hex id";
+    } else if (id && seenIds.has(id)) {
+      entry.reason = "id appears more than once";
+    } else if (!PoiCatalog[type]) {
+      entry.reason = `unknown type ${row.type ?? ""}`.trim();
+    } else if (!coords) {
+      entry.reason = calibration ? "missing coordinates" : "missing x and y (this map is not calibrated)";
+    } else if (!(coords.x >= 0 && coords.x <= 1 && coords.y >= 0 && coords.y <= 1)) {
+      entry.reason = "outside the map";
+    } else if (!Number.isInteger(quantity) || quantity < 0) {
+      entry.reason = "quantity must be a whole number";
+    } else if (row.verifiedAt && Number.isNaN(Date.parse(row.verifiedAt))) {
+      entry.reason = "verifiedAt is not a date";
+    }
+    if (entry.reason) {
+      return entry;
+    }
+    if (id) seenIds.add(id);
+
+    const poi = { type, x: coords.x, y: coords.y };
+    if (id) poi.id = id;
+    IMPORT_DETAIL_FIELDS.forEach((field) => {
+      if (field in row) poi[field] = field === "quantity" ? quantity : String(row[field] ?? "").trim();
+    });
+    entry.poi = poi;
+
+    const existing = id ? poiStore.get(id) : null;
+    if (existing) {
+      entry.existing = existing;
+      if (existing.type !== type) {
+        entry.poi = null;
+        entry.reason = "already exists with another type";
+        return entry;
+      }
+      const current = getPoiNormalizedCoords(existing);
+      const moved = Math.abs(current.x - coords.x) > COORD_EPSILON || Math.abs(current.y - coords.y) > COORD_EPSILON;
+      entry.status = moved ? "moved" : hasImportDetailChanges(existing, poi) ? "updated" : "unchanged";
+      return entry;
+    }
+    const twin = (byType.get(type) || []).find(
+      (other) => getGameDistance(getPoiNormalizedCoords(other), coords) <= duplicateRadius
+    );
+    if (twin) {
+      entry.status = "duplicate";
+      entry.reason = `${formatDistance(getGameDistance(getPoiNormalizedCoords(twin), coords))} from ${twin.title || PoiCatalog[type].label}`;
+      return entry;
+    }
+    entry.status = "new";
+    return entry;
+  });
+}
+
+function hasImportDetailChanges(existing, poi) {
+  return IMPORT_DETAIL_FIELDS.some((field) => {
+    if (!(field in poi)) {
+      return false;
+    }
+    if (field === "quantity") {
+      return (existing.quantity || 0) !== poi.quantity;
+    }
+    if (field === "verifiedAt") {
+      const before = existing.verifiedAt ? Date.parse(existing.verifiedAt) : null;
+      const after = poi.verifiedAt ? Date.parse(poi.verifiedAt) : null;
+      return before !== after;
+    }
+    return (existing[field] || "") !== poi[field];
+  });
+}
+
+function getImportSelection() {
+  const includeDuplicates = Boolean(importDuplicates?.checked);
+  return (importState?.entries || []).filter(
+    (entry) => ["new", "copy", "moved", "updated"].includes(entry.status) || (includeDuplicates && entry.status === "duplicate")
+  );
+}
+
+function renderImportPreview() {
+  if (!importSummary || !importPreview) {
     return;
   }
-  const mapPoint = clientPointToMapCoords(clientPoint.clientX, clientPoint.clientY);
-  const normalized = mapPoint ? toNormalizedMapCoords(mapPoint) : null;
-  if (!normalized) {
-    revertMarkerPosition(snapshot);
+  importPreview.innerHTML = "";
+  if (!importState) {
+    importSummary.hidden = true;
+    if (importApplyButton) importApplyButton.disabled = true;
     return;
   }
-  applyMarkerCoords(marker, normalized);
+  const counts = {};
+  importState.entries.forEach((entry) => {
+    counts[entry.status] = (counts[entry.status] || 0) + 1;
+  });
+  const parts = ["new", "copy", "moved", "updated", "unchanged", "duplicate", "invalid"]
+    .filter((status) => counts[status])
+    .map((status) => `${counts[status]} ${status}`);
+  importSummary.hidden = false;
+  importSummary.textContent = importState.message || parts.join(" · ") || "The file holds no markers.";
+
+  importState.entries
+    .filter((entry) => entry.status !== "unchanged")
+    .slice(0, IMPORT_PREVIEW_LIMIT)
+    .forEach((entry) => {
+      const item = document.createElement("li");
+      item.className = `history-item import-item import-item--${entry.status}`;
+      const status = document.createElement("span");
+      status.className = "import-item-status";
+      status.textContent = entry.status;
+      item.appendChild(status);
+      const label = document.createElement("span");
+      label.className = "history-item-summary";
+      const type = Number(entry.row.type);
+      label.textContent = entry.row.title || PoiCatalog[type]?.label || `Type ${entry.row.type ?? "?"}`;
+      item.appendChild(label);
+      if (entry.reason) {
+        const reason = document.createElement("span");
+        reason.className = "history-item-meta";
+        reason.textContent = entry.reason;
+        item.appendChild(reason);
+      }
+      importPreview.appendChild(item);
+    });
+
+  const selection = getImportSelection();
+  if (importApplyButton) {
+    importApplyButton.disabled = !selection.length;
+    importApplyButton.textContent = selection.length ? `Apply ${selection.length} changes` : "Apply";
+  }
+}
+
+async function applyImport() {
+  const selection = getImportSelection();
+  if (!selection.length) {
+    return;
+  }
+  importApplyButton.disabled = true;
   try {
-    const updated = await updatePoiOnServer(snapshot.id, normalized, snapshot.type);
-    if (updated) {
-      applyMarkerCoords(marker, updated);
+    const payload = await postToApi(
+      { action: "import", mapId: getMapId(), pois: selection.map((entry) => entry.poi) },
+      { requireSession: true }
+    );
+    const { created = 0, updated = 0 } = payload?.data || {};
+    importState = { entries: [], message: `Imported: ${created} added, ${updated} updated.` };
+    if (importFileInput) {
+      importFileInput.value = "";
     }
+    await resyncPois();
   } catch (error) {
-    console.error("Failed to move POI", error);
-    revertMarkerPosition(snapshot);
-    alert("Failed to move marker. Please try again.");
+    console.error("Failed to import markers", error);
+    importState.message = `Import failed: ${getApiErrorMessage(error)}`;
   }
+  renderImportPreview();
 }
 
-async function commitMarkerDelete(snapshot) {
-  const marker = snapshot.marker;
-  if (!marker || !snapshot.id) {
-    return;
+// API errors arrive as the raw ErrorEnvelope JSON in the message.
+function getApiErrorMessage(error) {
+  try {
+    return JSON.parse(error.message).error || error.message;
+  } catch (e) {
+    return error?.message || "unknown error";
   }
+}
+
+function loadDuplicateRadius() {
   try {
-    await deletePoiOnServer(snapshot.id);
-    removeMarkerElement(marker);
-  } catch (error) {
-    console.error("Failed to delete POI", error);
-    alert("Failed to delete marker. Please try again.");
+    const stored = localStorage.getItem(DUPLICATE_RADIUS_STORAGE_KEY);
+    const radius = stored === null ? NaN : Number(stored);
+    return radius >= 0 && radius <= MAX_DUPLICATE_RADIUS_METERS ? radius : DUPLICATE_RADIUS_METERS;
+  } catch (e) {
+    return DUPLICATE_RADIUS_METERS;
   }
 }
 
-function removeMarkerElement(marker) {
-  if (!marker) {
+// 0 turns the placement warning and the import check off.
+function handleDuplicateRadiusChange() {
+  const value = Math.round(Number(duplicateRadiusInput.value));
+  duplicateRadius = Number.isFinite(value) ? clamp(value, 0, MAX_DUPLICATE_RADIUS_METERS) : DUPLICATE_RADIUS_METERS;
+  duplicateRadiusInput.value = String(duplicateRadius);
+  try {
+    localStorage.setItem(DUPLICATE_RADIUS_STORAGE_KEY, String(duplicateRadius));
+  } catch (e) {
+    // Storage may be unavailable; the setting then lasts for this page only.
+  }
+  if (importState?.rows) {
+    importState.entries = classifyImportRows(importState.rows);
+    renderImportPreview();
+  }
+}
+
+// The server measures in map pixels, so the radius is converted with this map's scale.
+async function loadDuplicateReport() {
+  if (!duplicateReportButton || !isMapReady()) {
     return;
   }
-  const poiId = marker.dataset?.id;
-  if (poiId) {
-    const normalizedId = poiId.toLowerCase();
-    renderedPoiIds.delete(normalizedId);
-    if (visitedPoiIds.delete(normalizedId)) {
-      persistVisitedState();
+  const radius = duplicateRadius || DUPLICATE_RADIUS_METERS;
+  const sessionId = mapSessionId;
+  duplicateReportButton.disabled = true;
+  setDuplicateSummary("Searching…");
+  try {
+    const payload = await postToApi(
+      { action: "duplicates", mapId: getMapId(), radius: radius / getDistancePerMapPixel() },
+      { requireSession: true }
+    );
+    if (sessionId !== mapSessionId) {
+      return;
     }
+    const clusters = (Array.isArray(payload?.data) ? payload.data : [])
+      .map((cluster) => (cluster.pois || []).map((poi) => poiStore.get(String(poi.id).toLowerCase())).filter(Boolean))
+      .filter((pois) => pois.length > 1);
+    renderDuplicateReport(clusters, radius);
+  } catch (error) {
+    console.error("Failed to load duplicates", error);
+    setDuplicateSummary(`Search failed: ${getApiErrorMessage(error)}`);
+  } finally {
+    duplicateReportButton.disabled = false;
   }
-  marker.remove();
 }
 
-function startIconDrag(icon, event) {
-  if (!isMapReady() || !editMode) {
+function renderDuplicateReport(clusters, radius) {
+  if (!duplicateList) {
     return;
   }
-  const type = Number(icon.dataset.type);
-  if (!Number.isFinite(type)) {
+  duplicateList.replaceChildren(...clusters.map(createDuplicateItem));
+  setDuplicateSummary(
+    clusters.length
+      ? `${clusters.length} group${clusters.length === 1 ? "" : "s"} of markers within ${formatDistance(radius)}. Click one to select its markers.`
+      : `No markers of the same type within ${formatDistance(radius)} of each other.`
+  );
+}
+
+function createDuplicateItem(pois) {
+  const item = document.createElement("li");
+  item.className = "history-item";
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "history-item-summary";
+  const asset = PoiCatalog[pois[0].type];
+  if (asset?.src) {
+    const icon = document.createElement("img");
+    icon.src = asset.src;
+    icon.alt = "";
+    button.appendChild(icon);
+  }
+  const label = document.createElement("span");
+  label.textContent = `${pois.length} × ${asset?.label || "Marker"}`;
+  button.appendChild(label);
+  button.addEventListener("click", () => selectDuplicateCluster(pois));
+  item.appendChild(button);
+  const spread = document.createElement("span");
+  spread.className = "finder-distance";
+  let widest = 0;
+  pois.forEach((a, index) => pois.slice(index + 1).forEach((b) => {
+    widest = Math.max(widest, getGameDistance(getPoiNormalizedCoords(a), getPoiNormalizedCoords(b)));
+  }));
+  spread.textContent = formatDistance(widest);
+  spread.title = "Largest distance between two markers of the group";
+  item.appendChild(spread);
+  return item;
+}
+
+// Selecting the group lets the admin delete the extra markers or inspect them one by one.
+function selectDuplicateCluster(pois) {
+  const present = pois.filter((poi) => poiStore.has(poi.id));
+  if (!present.length) {
     return;
   }
-  event.preventDefault();
-  if (dragState) {
-    endDrag();
+  clearSelection();
+  present.forEach((poi) => setPoiSelected(poi.id, true));
+  updateSelectionBar();
+  flyToPoi(present[0].id);
+}
+
+function setDuplicateSummary(text) {
+  if (!duplicateSummary) {
+    return;
   }
+  duplicateSummary.textContent = text;
+  duplicateSummary.hidden = !text;
+}
+
+function clearDuplicateReport() {
+  duplicateList?.replaceChildren();
+  setDuplicateSummary("");
+}
+
+function loadFinderTypes() {
   try {
-    icon.setPointerCapture(event.pointerId);
-  } catch (error) {
-    // Ignore pointer capture failures.
+    const stored = JSON.parse(localStorage.getItem(FINDER_TYPES_STORAGE_KEY) || "[]");
+    return new Set(Array.isArray(stored) ? stored.map(Number).filter(Number.isFinite) : []);
+  } catch (e) {
+    return new Set();
   }
-  dragState = {
-    mode: "create",
-    pointerId: event.pointerId,
-    type,
-    sourceElement: icon,
-    ghost: createDragGhost(icon.src, icon.title || icon.alt || "", getDragGhostSizePx()),
+}
+
+function loadFinderLimit() {
+  try {
+    const stored = Number(localStorage.getItem(FINDER_LIMIT_STORAGE_KEY));
+    return FINDER_LIMITS.includes(stored) ? stored : FINDER_LIMITS[1];
+  } catch (e) {
+    return FINDER_LIMITS[1];
+  }
+}
+
+function persistFinderSettings() {
+  try {
+    localStorage.setItem(FINDER_TYPES_STORAGE_KEY, JSON.stringify(Array.from(finderTypes)));
+    localStorage.setItem(FINDER_LIMIT_STORAGE_KEY, String(finderLimit));
+  } catch (e) {
+    // ignore storage errors (private mode, quota, ...)
+  }
+}
+
+function normalizePoiRecord(record, fallback = null) {
+  const base = fallback || {};
+  const id = String(record?.id || base.id || "").toLowerCase();
+  const type = Number(record?.type ?? base.type);
+  const x = Number(record?.x ?? base.x);
+  const y = Number(record?.y ?? base.y);
+  if (!id || Number.isNaN(type) || Number.isNaN(x) || Number.isNaN(y)) {
+    return fallback || null;
+  }
+  const poi = { id, type, x, y };
+  // Detail fields are optional; the API omits the ones that are not set.
+  const title = record?.title ?? base.title;
+  const note = record?.note ?? base.note;
+  const quantity = Number(record?.quantity ?? base.quantity);
+  const verifiedAt = record?.verifiedAt ?? base.verifiedAt;
+  if (title) poi.title = String(title);
+  if (note) poi.note = String(note);
+  if (Number.isFinite(quantity) && quantity > 0) poi.quantity = quantity;
+  if (verifiedAt && !Number.isNaN(Date.parse(verifiedAt))) poi.verifiedAt = String(verifiedAt);
+  return poi;
+}
+
+// Plain copy of a POI with everything needed to recreate it under the same id.
+function toPoiSnapshot(poi) {
+  const snapshot = { id: poi.id, type: poi.type, x: poi.x, y: poi.y };
+  POI_DETAIL_FIELDS.forEach((field) => {
+    if (poi[field] !== undefined) {
+      snapshot[field] = poi[field];
+    }
+  });
+  return snapshot;
+}
+
+// Detail payload that sets every field, clearing the ones the snapshot lacks.
+function toDetailsPayload(snapshot) {
+  return {
+    title: snapshot.title || "",
+    note: snapshot.note || "",
+    quantity: snapshot.quantity || 0,
+    verifiedAt: snapshot.verifiedAt || "",
   };
-  updateDragGhostPosition({ clientX: event.clientX, clientY: event.clientY });
-  attachDragListeners();
 }
 
-let dragListenersBound = false;
+function recordEdit(entry) {
+  undoStack.push(entry);
+  if (undoStack.length > MAX_HISTORY_ENTRIES) {
+    undoStack.shift();
+  }
+  redoStack.length = 0;
+  updateHistoryButtons();
+  refreshHistoryPanel();
+}
 
-function attachDragListeners() {
-  if (dragListenersBound) {
-    return;
+function clearEditHistory() {
+  undoStack.length = 0;
+  redoStack.length = 0;
+  updateHistoryButtons();
+}
+
+function updateHistoryButtons() {
+  if (undoButton) {
+    undoButton.disabled = historyBusy || !undoStack.length;
+  }
+  if (redoButton) {
+    redoButton.disabled = historyBusy || !redoStack.length;
   }
-  window.addEventListener("pointermove", handleDragPointerMove, { passive: false });
-  window.addEventListener("pointerup", handleDragPointerUp, { passive: false });
-  window.addEventListener("pointercancel", handleDragPointerCancel, { passive: false });
-  dragListenersBound = true;
 }
 
-function detachDragListeners() {
-  if (!dragListenersBound) {
+function undoLastEdit() {
+  return replayEdit(undoStack, redoStack, "undo");
+}
+
+function redoLastEdit() {
+  return replayEdit(redoStack, undoStack, "redo");
+}
+
+// Pop an entry, apply it on the server and move it to the opposite stack. A failed replay leaves
+// the entry where it was so the user can retry.
+async function replayEdit(source, target, direction) {
+  if (historyBusy || !editMode || !source.length) {
     return;
   }
-  window.removeEventListener("pointermove", handleDragPointerMove);
-  window.removeEventListener("pointerup", handleDragPointerUp);
-  window.removeEventListener("pointercancel", handleDragPointerCancel);
-  dragListenersBound = false;
+  const entry = source[source.length - 1];
+  historyBusy = true;
+  updateHistoryButtons();
+  try {
+    await applyEditEntry(entry, direction);
+    source.pop();
+    target.push(entry);
+    refreshHistoryPanel();
+  } catch (error) {
+    console.error(`Failed to ${direction} edit`, error);
+    alert(`Failed to ${direction} the last change. Please try again.`);
+  } finally {
+    historyBusy = false;
+    updateHistoryButtons();
+  }
 }
 
-function handleDragPointerMove(event) {
-  if (!dragState || event.pointerId !== dragState.pointerId) {
+async function applyEditEntry(entry, direction) {
+  const undoing = direction === "undo";
+  switch (entry.kind) {
+    case "create":
+      if (undoing) {
+        await removePoiFromServer(entry.poi.id);
+      } else {
+        await restorePoiOnServer(entry.poi);
+      }
+      break;
+    case "delete":
+      if (undoing) {
+        await restorePoiOnServer(entry.poi);
+      } else {
+        await removePoiFromServer(entry.poi.id);
+      }
+      break;
+    case "move": {
+      const coords = undoing ? entry.from : entry.to;
+      // The type is left alone: it may have been changed since this move.
+      await updatePoiOnServer(entry.poiId, coords);
+      updatePoiCoords(entry.poiId, coords);
+      break;
+    }
+    case "type": {
+      const type = undoing ? entry.from : entry.to;
+      await updatePoiOnServer(entry.poiId, null, type);
+      updatePoiType(entry.poiId, type);
+      break;
+    }
+    case "details": {
+      const snapshot = undoing ? entry.before : entry.after;
+      const updated = await updatePoiDetailsOnServer(entry.poiId, toDetailsPayload(snapshot));
+      updatePoiDetails(entry.poiId, updated || snapshot);
+      break;
+    }
+    case "group": {
+      // Undo walks the steps backwards; the whole group succeeds or fails as one batch.
+      const steps = undoing ? [...entry.steps].reverse() : entry.steps;
+      const results = await sendPoiBatch(steps.map((step) => toBatchOperation(step, undoing)));
+      steps.forEach((step, index) => applyBatchStepLocally(step, undoing, results[index]));
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+// Batch operation that replays one single-marker history step.
+function toBatchOperation(step, undoing) {
+  switch (step.kind) {
+    case "create":
+    case "delete": {
+      const present = (step.kind === "create") !== undoing;
+      return present ? { action: "create", poi: { ...step.poi } } : { action: "delete", poiId: step.poi.id };
+    }
+    case "move": {
+      const coords = undoing ? step.from : step.to;
+      return { action: "update", poi: { id: step.poiId, x: coords.x, y: coords.y } };
+    }
+    case "details": {
+      const snapshot = undoing ? step.before : step.after;
+      return { action: "update", poi: { id: step.poiId, ...toDetailsPayload(snapshot) } };
+    }
+    case "type":
+      return { action: "update", poi: { id: step.poiId, type: undoing ? step.from : step.to } };
+    default:
+      throw new Error(`Unsupported history step: ${step.kind}`);
+  }
+}
+
+function applyBatchStepLocally(step, undoing, data) {
+  switch (step.kind) {
+    case "create":
+    case "delete":
+      if ((step.kind === "create") !== undoing) {
+        renderPoiMarker(normalizePoiRecord(data, step.poi));
+      } else {
+        removePoi(step.poi.id);
+      }
+      break;
+    case "move":
+      updatePoiCoords(step.poiId, undoing ? step.from : step.to);
+      break;
+    case "details": {
+      const snapshot = undoing ? step.before : step.after;
+      updatePoiDetails(step.poiId, normalizePoiRecord(data) || snapshot);
+      break;
+    }
+    case "type":
+      updatePoiType(step.poiId, undoing ? step.from : step.to);
+      break;
+    default:
+      break;
+  }
+}
+
+async function restorePoiOnServer(snapshot) {
+  const saved = await createPoiOnServer({ ...snapshot });
+  renderPoiMarker(saved || snapshot);
+}
+
+async function removePoiFromServer(poiId) {
+  await deletePoiOnServer(poiId);
+  removePoi(poiId);
+}
+
+// The side panels share one spot on screen, so opening one closes the others.
+function closeSidePanels() {
+  closeHistoryPanel();
+  closeEditorsPanel();
+  closeTypesPanel();
+  closeFinder();
+  closeRoutePanel();
+  closeCalibrationPanel();
+  closeDataPanel();
+  closeSyncPanel();
+}
+
+function toggleHistoryPanel() {
+  if (historyPanel?.hidden === false) {
+    closeHistoryPanel();
+  } else {
+    openHistoryPanel();
+  }
+}
+
+function openHistoryPanel() {
+  if (!historyPanel || !editMode) {
     return;
   }
-  event.preventDefault();
-  dragState.lastPoint = { clientX: event.clientX, clientY: event.clientY };
-  updateDragGhostPosition(dragState.lastPoint);
-  const highlightTrash =
-    Boolean(
-      trashCan &&
-      dragState.mode === "move" &&
-      isPointInsideElement(trashCan, event.clientX, event.clientY)
-    );
-  setTrashActive(highlightTrash);
+  closeSidePanels();
+  historyPanel.hidden = false;
+  historyButton?.setAttribute("aria-expanded", "true");
+  refreshHistoryPanel();
 }
 
-function handleDragPointerUp(event) {
-  if (!dragState || event.pointerId !== dragState.pointerId) {
+function closeHistoryPanel() {
+  if (!historyPanel || historyPanel.hidden) {
     return;
   }
-  const snapshot = dragState;
-  const dropPoint = { clientX: event.clientX, clientY: event.clientY };
-  const dropOnMap = isPointInsideElement(mapViewport, dropPoint.clientX, dropPoint.clientY);
-  const dropOnTrash = trashCan ? isPointInsideElement(trashCan, dropPoint.clientX, dropPoint.clientY) : false;
-  endDrag();
-  if (snapshot.mode === "create" && Number.isFinite(snapshot.type)) {
-    if (!dropOnMap) {
-      return;
-    }
-    commitToolbarDrop(snapshot, dropPoint);
+  historyPanelSession += 1;
+  historyPanel.hidden = true;
+  historyButton?.setAttribute("aria-expanded", "false");
+  if (historyList) {
+    historyList.innerHTML = "";
+  }
+}
+
+// Reload the server change log while the panel is open; a newer refresh supersedes older ones.
+async function refreshHistoryPanel() {
+  if (!historyPanel || historyPanel.hidden || !historyList) {
     return;
   }
-  if (snapshot.mode === "move" && snapshot.marker) {
-    if (dropOnTrash) {
-      commitMarkerDelete(snapshot);
+  const session = ++historyPanelSession;
+  try {
+    const payload = await postToApi({ action: "history", mapId: getMapId(), limit: CHANGE_LOG_LIMIT }, { requireSession: true });
+    if (session !== historyPanelSession) {
       return;
     }
-    if (dropOnMap) {
-      commitMarkerMove(snapshot, dropPoint);
-    } else {
-      revertMarkerPosition(snapshot);
+    renderHistoryList(Array.isArray(payload?.data) ? payload.data : []);
+  } catch (error) {
+    if (session !== historyPanelSession) {
+      return;
     }
+    console.error("Failed to load change history", error);
+    historyList.innerHTML = "";
+    historyList.appendChild(createHistoryMessage("Could not load recent changes."));
   }
 }
 
-function handleDragPointerCancel(event) {
-  if (dragState && event.pointerId === dragState.pointerId) {
-    endDrag();
+function renderHistoryList(changes) {
+  historyList.innerHTML = "";
+  if (!changes.length) {
+    historyList.appendChild(createHistoryMessage("No changes recorded yet."));
+    return;
   }
+  changes.forEach((change) => {
+    historyList.appendChild(createHistoryItem(change));
+  });
 }
 
-function updateDragGhostPosition(point) {
-  if (!dragState?.ghost || !point) {
+function createHistoryMessage(text) {
+  const item = document.createElement("li");
+  item.className = "history-item history-item--empty";
+  item.textContent = text;
+  return item;
+}
+
+function createHistoryItem(change) {
+  const poi = change.after || change.before || {};
+  const item = document.createElement("li");
+  item.className = `history-item history-item--${change.action}`;
+
+  const summary = document.createElement("button");
+  summary.type = "button";
+  summary.className = "history-item-summary";
+  const asset = PoiCatalog[poi.type];
+  if (asset?.src) {
+    const icon = document.createElement("img");
+    icon.src = asset.src;
+    icon.alt = "";
+    summary.appendChild(icon);
+  }
+  const text = document.createElement("span");
+  text.textContent = describeChange(change);
+  summary.appendChild(text);
+  summary.addEventListener("click", () => focusHistoryPoi(change.poiId));
+  item.appendChild(summary);
+
+  if (change.action === "delete" && change.before && !poiStore.has(change.poiId)) {
+    const restoreButton = document.createElement("button");
+    restoreButton.type = "button";
+    restoreButton.className = "history-item-restore";
+    restoreButton.textContent = "Restore";
+    restoreButton.addEventListener("click", async () => {
+      restoreButton.disabled = true;
+      try {
+        await restoreDeletedPoi(change);
+      } catch (error) {
+        console.error("Failed to restore POI", error);
+        alert("Failed to restore marker. It may already have been restored.");
+        restoreButton.disabled = false;
+      }
+    });
+    item.appendChild(restoreButton);
+  }
+
+  const meta = document.createElement("div");
+  meta.className = "history-item-meta";
+  meta.textContent = `${change.editor || "Unknown editor"} · ${new Date(change.changedAt).toLocaleString()}`;
+  item.appendChild(meta);
+
+  return item;
+}
+
+function describeChange(change) {
+  const poi = change.after || change.before || {};
+  const label = PoiCatalog[poi.type]?.label || "Marker";
+  const name = poi.title ? `${label} “${poi.title}”` : label;
+  switch (change.action) {
+    case "create":
+      return `Added ${name}`;
+    case "delete":
+      return `Deleted ${name}`;
+    case "restore":
+      return `Restored ${name}`;
+    case "update": {
+      const before = change.before || {};
+      const after = change.after || {};
+      if (before.type !== undefined && before.type !== after.type) {
+        return `Changed ${PoiCatalog[before.type]?.label || "marker"} to ${name}`;
+      }
+      const moved = before.x !== after.x || before.y !== after.y;
+      const detailed = POI_DETAIL_FIELDS.some((field) => (before[field] ?? null) !== (after[field] ?? null));
+      if (moved && detailed) return `Moved and edited ${name}`;
+      return moved ? `Moved ${name}` : `Edited ${name}`;
+    }
+    default:
+      return `${change.action} ${name}`;
+  }
+}
+
+function focusHistoryPoi(poiId) {
+  const poi = poiStore.get(poiId);
+  if (!poi || !isMapReady()) {
     return;
   }
-  dragState.ghost.style.left = `${point.clientX}px`;
-  dragState.ghost.style.top = `${point.clientY}px`;
+  const coords = getPoiNormalizedCoords(poi);
+  centerOnMapPoint(coords.x, coords.y);
+  applyTransform();
+  setFocusedPoi(poiId);
 }
 
-function createDragGhost(src, label = "", sizePxOverride = null) {
-  const ghost = document.createElement("img");
-  ghost.className = "drag-ghost";
-  ghost.src = src;
-  ghost.alt = label;
-  const numericSize = sizePxOverride ?? getDragGhostSizePx();
-  const sizePx = `${Math.round(numericSize)}px`;
-  ghost.style.width = sizePx;
-  ghost.style.height = sizePx;
-  document.body.appendChild(ghost);
-  return ghost;
+// Restores are recorded as a create so they can be undone like any other placement.
+async function restoreDeletedPoi(change) {
+  const payload = await postToApi({ action: "restore", mapId: getMapId(), changeId: change.id }, { requireSession: true });
+  const restored = normalizePoiRecord(payload?.data, change.before);
+  renderPoiMarker(restored);
+  recordEdit({ kind: "create", poi: toPoiSnapshot(restored) });
+  focusHistoryPoi(restored.id);
 }
 
-function endDrag() {
-  if (!dragState) {
+function handleHistoryKeyDown(event) {
+  if (!editMode || !(event.ctrlKey || event.metaKey)) {
     return;
   }
-  try {
-    dragState.sourceElement?.releasePointerCapture?.(dragState.pointerId);
-  } catch (error) {
-    // Ignore pointer capture release failures.
+  const target = event.target;
+  if (target instanceof HTMLElement && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) {
+    return;
   }
-  if (dragState.marker) {
-    dragState.marker.style.opacity = dragState.originalMarkerOpacity ?? "";
+  const key = event.key.toLowerCase();
+  if (key === "z" && !event.shiftKey) {
+    event.preventDefault();
+    undoLastEdit();
+  } else if ((key === "z" && event.shiftKey) || key === "y") {
+    event.preventDefault();
+    redoLastEdit();
   }
-  if (dragState.ghost?.parentElement) {
-    dragState.ghost.parentElement.removeChild(dragState.ghost);
+}
+
+function getPoiTooltip(poi) {
+  const label = PoiCatalog[poi?.type]?.label || "";
+  const parts = [label];
+  if (poi?.title) parts.push(poi.title);
+  if (poi?.quantity) parts.push(`×${poi.quantity}`);
+  const respawnIn = poi?.id ? getRespawnRemaining(poi.id) : 0;
+  if (respawnIn) parts.push(`respawns in ${formatRespawnTime(respawnIn)}`);
+  return parts.filter(Boolean).join(" · ");
+}
+
+function openPoiPopover(poiId, mode, extra = null) {
+  if (!poiPopover || !poiId || !poiStore.has(poiId)) {
+    return;
+  }
+  closePoiPopover();
+  popoverState = { ...extra, poiId, mode };
+  renderPoiPopover();
+  poiPopover.hidden = false;
+  positionPoiPopover();
+  if (mode === "edit") {
+    poiPopover.querySelector("input, textarea")?.focus();
+  } else if (mode === "type") {
+    poiPopover.querySelector('.poi-type-option[aria-pressed="true"]')?.focus();
+  } else if (mode === "duplicate") {
+    poiPopover.querySelector('button[type="submit"]')?.focus();
   }
-  setTrashActive(false);
-  dragState = null;
-  detachDragListeners();
 }
 
-function isPointInsideElement(element, clientX, clientY) {
-  if (!element) {
-    return false;
+function closePoiPopover() {
+  if (!poiPopover || !popoverState) {
+    return;
   }
-  const rect = element.getBoundingClientRect();
-  return clientX >= rect.left && clientX <= rect.right && clientY >= rect.top && clientY <= rect.bottom;
+  // Dismissing a duplicate warning counts as cancelling the placement.
+  const { resolve } = popoverState;
+  popoverState = null;
+  resolve?.("cancel");
+  poiPopover.hidden = true;
+  poiPopover.innerHTML = "";
 }
 
-function clientPointToMapCoords(clientX, clientY) {
-  if (!isMapReady()) {
-    return null;
+function handleDocumentPointerDownForPopover(event) {
+  if (!popoverState || !poiPopover) {
+    return;
   }
-  const rect = mapViewport.getBoundingClientRect();
-  const offsetX = clientX - rect.left;
-  const offsetY = clientY - rect.top;
-  const mapX = (offsetX - state.translateX) / state.scale;
-  const mapY = (offsetY - state.translateY) / state.scale;
-  if (Number.isNaN(mapX) || Number.isNaN(mapY)) {
-    return null;
+  const target = event.target;
+  if (target instanceof Node && poiPopover.contains(target)) {
+    return;
   }
-  return { mapX, mapY };
+  // Pressing the popover's own marker again is handled by the marker itself.
+  if (target instanceof HTMLElement && getMarkerId(target) === popoverState.poiId) {
+    return;
+  }
+  closePoiPopover();
 }
 
-function toNormalizedMapCoords(point) {
-  if (!point || !isMapReady()) {
-    return null;
+function renderPoiPopover() {
+  const poi = popoverState ? poiStore.get(popoverState.poiId) : null;
+  if (!poiPopover || !poi) {
+    return;
   }
-  const withinBounds =
-    point.mapX >= 0 &&
-    point.mapX <= state.mapWidth &&
-    point.mapY >= 0 &&
-    point.mapY <= state.mapHeight;
-  if (!withinBounds) {
-    return null;
+  poiPopover.innerHTML = "";
+  const asset = PoiCatalog[poi.type];
+
+  const header = document.createElement("div");
+  header.className = "poi-popover-header";
+  if (asset?.src) {
+    const icon = document.createElement("img");
+    icon.src = asset.src;
+    icon.alt = "";
+    header.appendChild(icon);
+  }
+  const heading = document.createElement("strong");
+  heading.textContent = asset?.label || "Marker";
+  header.appendChild(heading);
+  const closeButton = document.createElement("button");
+  closeButton.type = "button";
+  closeButton.className = "poi-popover-close";
+  closeButton.setAttribute("aria-label", "Close");
+  closeButton.textContent = "×";
+  closeButton.addEventListener("click", closePoiPopover);
+  header.appendChild(closeButton);
+  poiPopover.appendChild(header);
+
+  if (popoverState.mode === "edit") {
+    poiPopover.appendChild(buildPoiDetailsForm(poi));
+  } else if (popoverState.mode === "type") {
+    poiPopover.appendChild(buildPoiTypePicker(poi));
+  } else if (popoverState.mode === "duplicate") {
+    poiPopover.appendChild(buildDuplicatePrompt(poi, popoverState.distance));
+  } else {
+    const body = buildPoiDetailsView(poi);
+    const actions = document.createElement("div");
+    actions.className = "poi-popover-actions";
+    const routeToggle = document.createElement("button");
+    routeToggle.type = "button";
+    routeToggle.textContent = routeState?.order.includes(poi.id) ? "Remove from route" : "Add to route";
+    routeToggle.addEventListener("click", () => {
+      toggleRouteStop(poi.id);
+      closePoiPopover();
+    });
+    actions.appendChild(routeToggle);
+    body.appendChild(actions);
+    poiPopover.appendChild(body);
   }
-  return {
-    x: clamp(point.mapX / state.mapWidth, 0, 1),
-    y: clamp(point.mapY / state.mapHeight, 0, 1),
+}
+
+function buildPoiDetailsView(poi) {
+  const body = document.createElement("div");
+  body.className = "poi-popover-body";
+  const addLine = (className, text) => {
+    const line = document.createElement("div");
+    line.className = className;
+    line.textContent = text;
+    body.appendChild(line);
   };
+  if (poi.title) addLine("poi-popover-title", poi.title);
+  if (poi.quantity) addLine("poi-popover-quantity", `Quantity: ${poi.quantity}`);
+  if (poi.note) addLine("poi-popover-note", poi.note);
+  if (poi.verifiedAt) addLine("poi-popover-meta", `Verified ${formatRelativeDate(poi.verifiedAt)}`);
+  if (!body.childElementCount) addLine("poi-popover-meta", "No details yet.");
+  return body;
 }
 
-async function commitToolbarDrop(dragSnapshot, clientPoint) {
-  const mapPoint = clientPointToMapCoords(clientPoint.clientX, clientPoint.clientY);
-  const normalized = mapPoint ? toNormalizedMapCoords(mapPoint) : null;
-  if (!normalized) {
+function buildPoiDetailsForm(poi) {
+  const form = document.createElement("form");
+  form.className = "poi-popover-body poi-popover-form";
+
+  const addField = (labelText, input) => {
+    const label = document.createElement("label");
+    label.textContent = labelText;
+    label.appendChild(input);
+    form.appendChild(label);
+    return input;
+  };
+
+  const titleInput = document.createElement("input");
+  titleInput.type = "text";
+  titleInput.maxLength = POI_TITLE_MAX_LENGTH;
+  titleInput.value = poi.title || "";
+  addField("Title", titleInput);
+
+  const quantityInput = document.createElement("input");
+  quantityInput.type = "number";
+  quantityInput.min = "0";
+  quantityInput.step = "1";
+  quantityInput.value = poi.quantity ? String(poi.quantity) : "";
+  addField("Quantity", quantityInput);
+
+  const noteInput = document.createElement("textarea");
+  noteInput.rows = 3;
+  noteInput.maxLength = POI_NOTE_MAX_LENGTH;
+  noteInput.value = poi.note || "";
+  addField("Note", noteInput);
+
+  const initialVerified = poi.verifiedAt ? toDateInputValue(poi.verifiedAt) : "";
+  const verifiedInput = document.createElement("input");
+  verifiedInput.type = "date";
+  verifiedInput.value = initialVerified;
+  const verifiedLabel = document.createElement("label");
+  verifiedLabel.textContent = "Last verified";
+  const verifiedRow = document.createElement("div");
+  verifiedRow.className = "poi-popover-row";
+  const todayButton = document.createElement("button");
+  todayButton.type = "button";
+  todayButton.textContent = "Today";
+  todayButton.addEventListener("click", () => {
+    verifiedInput.value = toDateInputValue(new Date().toISOString());
+  });
+  verifiedRow.appendChild(verifiedInput);
+  verifiedRow.appendChild(todayButton);
+  verifiedLabel.appendChild(verifiedRow);
+  form.appendChild(verifiedLabel);
+
+  const actions = document.createElement("div");
+  actions.className = "poi-popover-actions";
+  const cancelButton = document.createElement("button");
+  cancelButton.type = "button";
+  cancelButton.textContent = "Cancel";
+  cancelButton.addEventListener("click", closePoiPopover);
+  const saveButton = document.createElement("button");
+  saveButton.type = "submit";
+  saveButton.textContent = "Save";
+  actions.appendChild(cancelButton);
+  actions.appendChild(saveButton);
+  form.appendChild(actions);
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const quantity = Math.max(0, Math.floor(Number(quantityInput.value) || 0));
+    const details = {
+      title: titleInput.value.trim(),
+      note: noteInput.value.trim(),
+      quantity,
+    };
+    // Only resend the date when it changed so the stored time of day is kept.
+    if (verifiedInput.value !== initialVerified) {
+      details.verifiedAt = verifiedInput.value ? new Date(`${verifiedInput.value}T12:00:00Z`).toISOString() : "";
+    }
+    saveButton.disabled = true;
+    const before = toPoiSnapshot(poi);
+    try {
+      const updated = await updatePoiDetailsOnServer(poi.id, details);
+      if (updated) {
+        updatePoiDetails(poi.id, updated);
+        recordEdit({ kind: "details", poiId: poi.id, before, after: toPoiSnapshot(updated) });
+      }
+      closePoiPopover();
+    } catch (error) {
+      console.error("Failed to save marker details", error);
+      alert("Failed to save marker details. Please try again.");
+      saveButton.disabled = false;
+    }
+  });
+  return form;
+}
+
+function buildPoiTypePicker(poi) {
+  const list = document.createElement("div");
+  list.className = "poi-popover-body poi-type-picker";
+  list.setAttribute("role", "group");
+  list.setAttribute("aria-label", "Change type");
+  Object.entries(PoiCatalog)
+    .sort(([, a], [, b]) => a.label.localeCompare(b.label))
+    .forEach(([type, asset]) => {
+      const option = document.createElement("button");
+      option.type = "button";
+      option.className = "poi-type-option";
+      option.setAttribute("aria-pressed", String(Number(type) === poi.type));
+      const icon = document.createElement("img");
+      icon.src = asset.src;
+      icon.alt = "";
+      const label = document.createElement("span");
+      label.textContent = asset.label;
+      option.append(icon, label);
+      option.addEventListener("click", () => changePoiType(poi.id, Number(type), list));
+      list.appendChild(option);
+    });
+  return list;
+}
+
+async function changePoiType(poiId, type, picker) {
+  const poi = poiStore.get(poiId);
+  if (!poi || poi.type === type || !PoiCatalog[type]) {
+    closePoiPopover();
     return;
   }
-  const pendingPoi = {
-    id: generateGuidHex(),
-    type: dragSnapshot.type,
-    x: normalized.x,
-    y: normalized.y,
-  };
+  const from = poi.type;
+  picker?.querySelectorAll("button").forEach((button) => {
+    button.disabled = true;
+  });
   try {
-    const savedPoi = await createPoiOnServer(pendingPoi);
-    renderPoiMarker(savedPoi);
+    const updated = await updatePoiOnServer(poiId, null, type);
+    updatePoiType(poiId, updated?.type ?? type);
+    recordEdit({ kind: "type", poiId, from, to: type });
+    closePoiPopover();
   } catch (error) {
-    console.error("Failed to place POI", error);
-    alert("Failed to place marker. Please try again.");
+    console.error("Failed to change marker type", error);
+    alert("Failed to change the marker type. Please try again.");
+    picker?.querySelectorAll("button").forEach((button) => {
+      button.disabled = false;
+    });
   }
 }
 
-async function createPoiOnServer(poi) {
-  const payload = await postToApi({ action: "create", mapId: MAP_ID_HEX, poi }, { requireCode: true });
-  return normalizePoiRecord(payload?.data, poi);
+function buildDuplicatePrompt(poi, distance) {
+  const body = document.createElement("div");
+  body.className = "poi-popover-body";
+  const message = document.createElement("div");
+  const label = poi.title ? `“${poi.title}”` : `this ${PoiCatalog[poi.type]?.label || "marker"}`;
+  message.textContent = `The new position is ${formatDistance(distance)} from ${label}. Is it the same spot?`;
+  body.appendChild(message);
+  const actions = document.createElement("div");
+  actions.className = "poi-popover-actions";
+  [
+    ["cancel", "Cancel", "button"],
+    ["place", "Place anyway", "button"],
+    ["merge", "Merge", "submit"],
+  ].forEach(([choice, text, type]) => {
+    const button = document.createElement("button");
+    button.type = type;
+    button.textContent = text;
+    button.addEventListener("click", () => settleDuplicatePrompt(choice));
+    actions.appendChild(button);
+  });
+  body.appendChild(actions);
+  return body;
 }
 
-async function updatePoiOnServer(poiId, coords, type) {
-  const payload = await postToApi({
-    action: "update",
-    mapId: MAP_ID_HEX,
-    poi: { id: poiId, x: coords.x, y: coords.y },
-  }, { requireCode: true });
-  return normalizePoiRecord(payload?.data, {
-    id: poiId,
-    type,
-    x: coords.x,
-    y: coords.y,
-  });
+// Keep the popover next to its marker while the map pans and zooms.
+function positionPoiPopover() {
+  if (!poiPopover || !popoverState || poiPopover.hidden) {
+    return;
+  }
+  const poi = poiStore.get(popoverState.poiId);
+  const screenPosition = poi ? projectCoordsToScreen(getPoiNormalizedCoords(poi)) : null;
+  if (!screenPosition) {
+    return;
+  }
+  const rect = mapViewport.getBoundingClientRect();
+  const offset = getMarkerSizePx() / 2 + 8;
+  const width = poiPopover.offsetWidth || 240;
+  const height = poiPopover.offsetHeight || 0;
+  const left = clamp(rect.left + screenPosition.left + offset, 8, Math.max(8, window.innerWidth - width - 8));
+  const top = clamp(rect.top + screenPosition.top - offset, 8, Math.max(8, window.innerHeight - height - 8));
+  poiPopover.style.left = `${left}px`;
+  poiPopover.style.top = `${top}px`;
 }
 
-async function deletePoiOnServer(poiId) {
-  const payload = await postToApi({ action: "delete", mapId: MAP_ID_HEX, poiId }, { requireCode: true });
-  return payload?.data ?? null;
+function toDateInputValue(iso) {
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) {
+    return "";
+  }
+  return date.toISOString().slice(0, 10);
 }
 
-function normalizePoiRecord(record, fallback = null) {
-  const base = fallback || {};
-  const id = String(record?.id || base.id || "").toLowerCase();
-  const type = Number(record?.type ?? base.type);
-  const x = Number(record?.x ?? base.x);
-  const y = Number(record?.y ?? base.y);
-  if (!id || Number.isNaN(type) || Number.isNaN(x) || Number.isNaN(y)) {
-    return fallback || null;
+function formatRelativeDate(iso) {
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) {
+    return "";
   }
-  return { id, type, x, y };
+  const days = Math.floor((Date.now() - date.getTime()) / 86400000);
+  const relative = days <= 0 ? "today" : days === 1 ? "yesterday" : `${days} days ago`;
+  return `${relative} (${date.toLocaleDateString()})`;
 }
 
 function generateGuidHex() {
@@ -1626,40 +7122,377 @@ function isMapReady() {
   return Boolean(state.initialized && state.mapWidth && state.mapHeight);
 }
 
-function loadVisitedPoiIds() {
-  if (typeof localStorage === "undefined") {
-    return [];
+// Each map remembers its own hidden types; a link that carries a filter for this map wins.
+// A link's filter only applies to this visit; it is saved once the user changes the filter.
+function reloadHiddenTypes(urlState) {
+  const fromUrl = Boolean(urlState?.hiddenTypes) && (!urlState.mapId || urlState.mapId === getMapId());
+  if (fromUrl) {
+    adoptSharedPreset(urlState);
   }
+  urlFilterActive = fromUrl;
+  // Maps without a saved filter start from the diet profile.
+  setHiddenTypes(fromUrl ? urlState.hiddenTypes : loadHiddenTypes(getHiddenTypesStorageKey()) ?? getDietHiddenTypes());
+}
+
+function setHiddenTypes(types) {
+  hiddenTypes.clear();
+  normalizeTypeList(types).forEach((type) => hiddenTypes.add(type));
+  refreshVisibilityFilters();
+  renderFilterPresetSelect();
+}
+
+// Called after every user change to the filter.
+function commitHiddenTypes() {
+  urlFilterActive = false;
+  persistHiddenTypes();
+  renderFilterPresetSelect();
+  scheduleUrlStateWrite();
+}
+
+// Returns null when the map has no saved filter yet, as opposed to one that hides nothing.
+function loadHiddenTypes(key) {
   try {
-    const raw = localStorage.getItem(VISITED_STORAGE_KEY);
-    if (!raw) {
-      return [];
+    const raw = localStorage.getItem(key);
+    if (raw === null) {
+      return null;
     }
     const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed)) {
-      return [];
-    }
-    return parsed
-      .map((id) => String(id || "").toLowerCase())
-      .filter((id) => Boolean(id));
+    return Array.isArray(parsed) ? normalizeTypeList(parsed) : [];
   } catch (error) {
-    console.warn("Failed to load visited markers", error);
+    console.warn("Failed to load hidden types", error);
     return [];
   }
 }
 
+function persistHiddenTypes() {
+  try {
+    localStorage.setItem(getHiddenTypesStorageKey(), JSON.stringify(normalizeTypeList(hiddenTypes)));
+  } catch (error) {
+    console.warn("Failed to persist hidden types", error);
+  }
+}
+
+// Sorted, de-duplicated numeric type ids so filters can be compared by value.
+function normalizeTypeList(types) {
+  const unique = new Set(
+    Array.from(types || [])
+      .map(Number)
+      .filter((type) => Number.isInteger(type))
+  );
+  return Array.from(unique).sort((a, b) => a - b);
+}
+
+function reloadVisitedPoiIds() {
+  visitedPoiStamps.clear();
+  loadVisitedStamps(getVisitedStorageKey()).forEach((takenAt, id) => visitedPoiStamps.set(id, takenAt));
+  scheduleVisitedSync(0);
+  scheduleRespawnTick();
+}
+
+// Stored as { poiId: takenAtMs }. Older versions kept a plain id array without times; those
+// markers count as taken long ago, so they stay visited unless their type respawns.
+function loadVisitedStamps(key) {
+  const stamps = new Map();
+  if (typeof localStorage === "undefined") {
+    return stamps;
+  }
+  try {
+    const raw = localStorage.getItem(key);
+    const parsed = raw ? JSON.parse(raw) : null;
+    const entries = Array.isArray(parsed)
+      ? parsed.map((id) => [id, 0])
+      : parsed && typeof parsed === "object"
+        ? Object.entries(parsed)
+        : [];
+    entries.forEach(([id, takenAt]) => {
+      const normalized = String(id || "").toLowerCase();
+      if (normalized && Number.isFinite(Number(takenAt))) {
+        stamps.set(normalized, Number(takenAt));
+      }
+    });
+  } catch (error) {
+    console.warn("Failed to load visited markers", error);
+  }
+  return stamps;
+}
+
+function storeVisitedStamps(key, stamps) {
+  localStorage.setItem(key, JSON.stringify(Object.fromEntries(stamps)));
+}
+
 function persistVisitedState() {
+  writeVisitedStorage();
+  scheduleVisitedSync();
+}
+
+function writeVisitedStorage() {
   if (typeof localStorage === "undefined") {
     return;
   }
   try {
-    const payload = JSON.stringify(Array.from(visitedPoiIds));
-    localStorage.setItem(VISITED_STORAGE_KEY, payload);
+    storeVisitedStamps(getVisitedStorageKey(), visitedPoiStamps);
   } catch (error) {
     console.warn("Failed to persist visited markers", error);
   }
 }
 
+// Sync profiles keep the visited markers of every device that knows the code in step. Each sync
+// sends what changed since the last known server state, so ticks made offline still merge.
+function initializeVisitedSync() {
+  syncButton?.addEventListener("click", () => toggleSyncPanel());
+  syncCloseButton?.addEventListener("click", () => closeSyncPanel());
+  syncForm?.addEventListener("submit", handleSyncFormSubmit);
+  syncForm?.elements.create?.addEventListener("click", () => createSyncProfile());
+  syncCopyButton?.addEventListener("click", () => copySyncCode());
+  syncNowButton?.addEventListener("click", () => syncVisitedState());
+  syncForgetButton?.addEventListener("click", () => forgetSyncProfile());
+  updateSyncControls();
+}
+
+function loadSyncProfile() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SYNC_PROFILE_STORAGE_KEY) || "null");
+    return typeof stored?.code === "string" && stored.code ? { code: stored.code } : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function setSyncProfile(profile) {
+  syncProfile = profile;
+  try {
+    if (profile) {
+      localStorage.setItem(SYNC_PROFILE_STORAGE_KEY, JSON.stringify(profile));
+    } else {
+      localStorage.removeItem(SYNC_PROFILE_STORAGE_KEY);
+    }
+  } catch (e) {
+    // Without storage the profile only lasts for this page.
+  }
+  updateSyncControls();
+}
+
+// The server's visited set as of the last sync on this device, per map. Missing means this
+// device never synced the map, so everything ticked locally is sent.
+function getSyncedVisitedStorageKey() {
+  return `${getVisitedStorageKey()}_synced`;
+}
+
+function loadSyncedVisitedStamps() {
+  const key = getSyncedVisitedStorageKey();
+  return typeof localStorage !== "undefined" && localStorage.getItem(key) !== null ? loadVisitedStamps(key) : null;
+}
+
+function storeSyncedVisitedStamps(stamps) {
+  try {
+    if (stamps) {
+      storeVisitedStamps(getSyncedVisitedStorageKey(), stamps);
+    } else {
+      localStorage.removeItem(getSyncedVisitedStorageKey());
+    }
+  } catch (e) {
+    // The next sync then resends every visited marker, which the server ignores.
+  }
+}
+
+function scheduleVisitedSync(delayMs = VISITED_SYNC_DELAY_MS) {
+  if (!syncProfile) {
+    return;
+  }
+  clearTimeout(visitedSyncTimer);
+  visitedSyncTimer = setTimeout(() => {
+    visitedSyncTimer = null;
+    syncVisitedState();
+  }, delayMs);
+}
+
+async function syncVisitedState() {
+  if (!syncProfile) {
+    return false;
+  }
+  if (visitedSyncBusy) {
+    visitedSyncQueued = true;
+    return false;
+  }
+  const sessionId = mapSessionId;
+  const base = loadSyncedVisitedStamps();
+  const sent = new Map(visitedPoiStamps);
+  // A marker taken again since the last sync is sent with its new time.
+  const added = Array.from(sent)
+    .filter(([id, takenAt]) => base?.get(id) !== takenAt)
+    .map(([id, takenAt]) => ({ id, takenAt: new Date(takenAt).toISOString() }));
+  const removed = base ? Array.from(base.keys()).filter((id) => !sent.has(id)) : [];
+  visitedSyncBusy = true;
+  let synced = false;
+  try {
+    const payload = await postToApi({
+      action: "syncVisited",
+      mapId: getMapId(),
+      sync: { code: syncProfile.code, added, removed },
+    });
+    if (sessionId === mapSessionId) {
+      const remote = new Map();
+      (payload?.data?.visited || []).forEach((mark) => {
+        const takenAt = Date.parse(mark?.takenAt);
+        if (mark?.id && Number.isFinite(takenAt)) {
+          remote.set(String(mark.id).toLowerCase(), takenAt);
+        }
+      });
+      storeSyncedVisitedStamps(remote);
+      // Keep whatever was taken or unticked here while the request was on its way.
+      const merged = new Map(remote);
+      visitedPoiStamps.forEach((takenAt, id) => {
+        if (sent.get(id) !== takenAt) merged.set(id, takenAt);
+      });
+      sent.forEach((takenAt, id) => {
+        if (!visitedPoiStamps.has(id)) merged.delete(id);
+      });
+      applyVisitedStamps(merged);
+      visitedSyncMessage = `Synced ${new Date().toLocaleTimeString()}.`;
+      synced = true;
+    }
+  } catch (error) {
+    console.warn("Failed to sync visited markers", error);
+    visitedSyncMessage = isOffline()
+      ? "Offline. Changes are sent when the connection comes back."
+      : `Sync failed: ${getApiErrorMessage(error)}`;
+  } finally {
+    visitedSyncBusy = false;
+    updateSyncControls();
+  }
+  if (visitedSyncQueued) {
+    visitedSyncQueued = false;
+    scheduleVisitedSync(0);
+  }
+  return synced;
+}
+
+// Swap in visited markers from elsewhere without counting them as a local change.
+function applyVisitedStamps(stamps) {
+  const changed = [];
+  visitedPoiStamps.forEach((takenAt, id) => {
+    if (!stamps.has(id)) changed.push(id);
+  });
+  stamps.forEach((takenAt, id) => {
+    if (visitedPoiStamps.get(id) !== takenAt) changed.push(id);
+  });
+  if (!changed.length) {
+    return;
+  }
+  visitedPoiStamps.clear();
+  stamps.forEach((takenAt, id) => visitedPoiStamps.set(id, takenAt));
+  writeVisitedStorage();
+  changed.forEach((id) => {
+    const marker = mountedMarkers.get(id);
+    if (marker) {
+      applyMarkerVisitedState(marker);
+    }
+  });
+  markPoiQueriesStale();
+  scheduleMarkerRender();
+  scheduleRespawnTick();
+}
+
+async function createSyncProfile() {
+  const passphrase = syncForm?.elements.code?.value.trim() || "";
+  try {
+    const payload = await postToApi({ action: "createSync", sync: passphrase ? { code: passphrase } : {} });
+    await linkSyncProfile(payload?.data?.code || passphrase);
+  } catch (error) {
+    console.error("Failed to create sync profile", error);
+    visitedSyncMessage = `Could not create the profile: ${getApiErrorMessage(error)}`;
+    updateSyncControls();
+  }
+}
+
+function handleSyncFormSubmit(event) {
+  event.preventDefault();
+  const code = syncForm.elements.code?.value.trim();
+  if (code) {
+    linkSyncProfile(code);
+  }
+}
+
+// A device joining a profile adds its own visited markers to the shared set.
+async function linkSyncProfile(code) {
+  storeSyncedVisitedStamps(null);
+  setSyncProfile({ code });
+  if (await syncVisitedState()) {
+    if (syncForm) {
+      syncForm.reset();
+    }
+  } else if (!visitedSyncBusy) {
+    setSyncProfile(null);
+  }
+}
+
+function forgetSyncProfile() {
+  clearTimeout(visitedSyncTimer);
+  storeSyncedVisitedStamps(null);
+  visitedSyncMessage = "This device no longer syncs. Its visited markers stay as they are.";
+  setSyncProfile(null);
+}
+
+async function copySyncCode() {
+  if (!syncProfile) {
+    return;
+  }
+  try {
+    await navigator.clipboard.writeText(syncProfile.code);
+    visitedSyncMessage = "Code copied.";
+  } catch (e) {
+    syncCodeOutput?.select();
+  }
+  updateSyncControls();
+}
+
+function toggleSyncPanel() {
+  if (syncPanel?.hidden === false) {
+    closeSyncPanel();
+  } else {
+    openSyncPanel();
+  }
+}
+
+function openSyncPanel() {
+  if (!syncPanel) {
+    return;
+  }
+  closeSidePanels();
+  syncPanel.hidden = false;
+  syncButton?.setAttribute("aria-expanded", "true");
+  updateSyncControls();
+}
+
+function closeSyncPanel() {
+  if (!syncPanel || syncPanel.hidden) {
+    return;
+  }
+  syncPanel.hidden = true;
+  syncButton?.setAttribute("aria-expanded", "false");
+}
+
+function updateSyncControls() {
+  syncButton?.setAttribute("title", syncProfile ? "Visited markers sync with your other devices" : "Sync visited markers between devices");
+  if (syncLinked) {
+    syncLinked.hidden = !syncProfile;
+  }
+  if (syncCodeOutput) {
+    syncCodeOutput.value = syncProfile?.code || "";
+  }
+  if (syncNowButton) {
+    syncNowButton.disabled = visitedSyncBusy;
+  }
+  if (syncForm) {
+    syncForm.hidden = Boolean(syncProfile);
+  }
+  if (syncStatus) {
+    syncStatus.textContent = visitedSyncMessage || (syncProfile
+      ? "Visited markers are shared with every device that uses this code."
+      : "Create a sync code (or pick a passphrase) to share visited markers between your devices, then enter it on the other ones. No account or email needed.");
+  }
+}
+
 function syncVisitedOpacityVariable() {
   if (typeof document === "undefined") {
     return;
@@ -0,0 +1,158 @@
+// Service worker that keeps the map usable on flaky connections: the app shell and marker icons
+// are served from cache, tiles are cached as they are viewed, and the last list/types/maps
+// answers from the API are replayed when the network is down. Edits are queued by the page.
+
+const CACHE_VERSION = "v1";
+const CACHE_PREFIX = "potmap-";
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const TILE_CACHE = `${CACHE_PREFIX}tiles-${CACHE_VERSION}`;
+const DATA_CACHE = `${CACHE_PREFIX}data-${CACHE_VERSION}`;
+const SHELL_URLS = ["/", "/index.html", "/main.js", "/style/main.css", "/favicon.svg", "/graphics/discord.svg"];
+const SHELL_PATHS = new Set(SHELL_URLS);
+const CACHED_API_ACTIONS = new Set(["list", "types", "maps"]);
+const MAX_TILE_ENTRIES = 4000;
+const TILE_TRIM_INTERVAL = 50;
+
+let tilePutsSinceTrim = 0;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const current = new Set([SHELL_CACHE, TILE_CACHE, DATA_CACHE]);
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key.startsWith(CACHE_PREFIX) && !current.has(key))
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page sends the icon URLs once the type catalog is known.
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "precache" && Array.isArray(event.data.urls)) {
+    event.waitUntil(precacheUrls(event.data.urls));
+  }
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) {
+    return;
+  }
+  if (request.method === "POST" && url.pathname === "/api/data") {
+    event.respondWith(handleApiRequest(request));
+    return;
+  }
+  if (request.method !== "GET") {
+    return;
+  }
+  if (url.pathname.startsWith("/tiles/")) {
+    event.respondWith(cacheFirst(request, TILE_CACHE));
+  } else if (url.pathname.startsWith("/graphics/") || url.pathname.startsWith("/api/type-icons/")) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  } else if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, SHELL_CACHE, "/index.html"));
+  } else if (SHELL_PATHS.has(url.pathname)) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  }
+});
+
+async function precacheUrls(urls) {
+  const cache = await caches.open(SHELL_CACHE);
+  await Promise.all(urls.map(async (url) => {
+    if (await cache.match(url)) {
+      return;
+    }
+    try {
+      await cache.add(url);
+    } catch (e) {
+      // ignore icons that fail to load; they are retried on the next visit
+    }
+  }));
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) {
+    return cached;
+  }
+  const response = await fetch(request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+    if (cacheName === TILE_CACHE) {
+      trimTileCache(cache);
+    }
+  }
+  return response;
+}
+
+async function networkFirst(request, cacheName, fallbackUrl = null) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request) || (fallbackUrl && await cache.match(fallbackUrl));
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+// POST bodies cannot be cache keys, so read-only API answers are stored under a synthetic GET URL
+// per action and map.
+async function handleApiRequest(request) {
+  let body = null;
+  try {
+    body = await request.clone().json();
+  } catch (e) {
+    // not JSON; pass it through untouched
+  }
+  if (!CACHED_API_ACTIONS.has(body?.action)) {
+    return fetch(request);
+  }
+  const key = `/api/data?action=${encodeURIComponent(body.action)}&mapId=${encodeURIComponent(body.mapId || "")}`;
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(key, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(key);
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+// Cache keys come back in insertion order, so the oldest tiles are dropped first.
+async function trimTileCache(cache) {
+  tilePutsSinceTrim += 1;
+  if (tilePutsSinceTrim < TILE_TRIM_INTERVAL) {
+    return;
+  }
+  tilePutsSinceTrim = 0;
+  const keys = await cache.keys();
+  const excess = keys.length - MAX_TILE_ENTRIES;
+  for (let i = 0; i < excess; i += 1) {
+    await cache.delete(keys[i]);
+  }
+}